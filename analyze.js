@@ -1,7 +1,8 @@
 import fs from 'fs/promises';
 import chalk from 'chalk';
 import { readTfFiles } from './utils/files.js';
-import { refactorFile } from './refactor.js';
+import { refactorFiles } from './refactor.js';
+import { buildPrompt, builtinProfiles, defaultProfiles } from './utils/profiles.js';
 
 export async function analyzeAndRefactor(dir) {
     console.log(`🔍 Analyzing Terraform files in directory: ${dir}`);
@@ -15,10 +16,10 @@ export async function analyzeAndRefactor(dir) {
         return;
     }
 
-    const prompt = "Can you refactor this Terraform code for readability, performance, and best practices? Respond with only the fixed code.";
+    const prompt = buildPrompt(builtinProfiles, defaultProfiles);
     
-    // Step 2: Refactor the files
-    const results = await Promise.all(files.map(f => refactorFile(f, prompt)));
+    // Step 2: Refactor the files, a few requests at a time, each with the declarations it uses from the others
+    const results = await refactorFiles(files, prompt);
     console.log(`Refactor results:`, results);
 
     // Step 3: Create the report content
@@ -31,7 +32,7 @@ export async function analyzeAndRefactor(dir) {
             report += `\`\`\`hcl\n${r.suggestion}\n\`\`\`\n\n`;
         } else {
             console.log(chalk.red(`❌ Refactoring failed for: ${r.path}`));
-            report += `## ${r.path}\n\nError during refactoring.\n\n`;
+            report += `## ${r.path}\n\nError during refactoring: ${r.error.message}\n\n`;
         }
     });
 
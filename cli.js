@@ -0,0 +1,287 @@
+import { parseArgs } from 'util';
+import chalk from 'chalk';
+import { providerNames } from './providers/index.js';
+import { includeKinds } from './utils/files.js';
+import { severities } from './security/findings.js';
+import { reportFormats } from './security/formats.js';
+import { toolNames } from './terraform/tools.js';
+import { conflictResolutions } from './generator/plan.js';
+import { configOptions, loadConfig } from './config/index.js';
+
+// Subcommands available without going through the interactive menu
+const commands = {
+    optimize: {
+        summary: 'Refactor Terraform files with the AI assistant',
+        usage: 'ta optimize <dir> [--yes [--allow-destructive]] [--provider amazonq|openai|echo] [--model <name>] [--endpoint <url>] [--profile <names>] [--list-profiles] [--concurrency <n>] [--resume|--new-session] [--no-cache]',
+        options: {
+            yes: { type: 'boolean', short: 'y', description: 'Apply every suggestion without asking' },
+            'allow-destructive': { type: 'boolean', description: 'With --yes, also apply changes classified as destructive' },
+            provider: { type: 'string', short: 'p', description: `LLM provider (${providerNames.join(', ')})` },
+            model: { type: 'string', description: 'Model name for the openai provider' },
+            endpoint: { type: 'string', description: 'Base URL of an OpenAI-compatible API' },
+            timeout: { type: 'string', description: 'Per-request timeout in milliseconds' },
+            retries: { type: 'string', description: 'Retries for transient provider failures' },
+            include: { type: 'string', description: `Also analyze these file kinds, comma separated (${includeKinds.join(', ')})` },
+            profile: { type: 'string', description: "Refactor goals, comma separated (see --list-profiles; default: the project's, else best-practices)" },
+            'list-profiles': { type: 'boolean', description: 'List the built-in and project refactor profiles' },
+            concurrency: { type: 'string', short: 'c', description: 'Provider requests running at once (default 4)' },
+            'chunk-size': { type: 'string', description: 'Send files over this many characters in chunks of whole blocks (default 12000)' },
+            resume: { type: 'boolean', description: 'Resume the interrupted session without asking' },
+            'new-session': { type: 'boolean', description: 'Start over instead of resuming an interrupted session' },
+            'no-cache': { type: 'boolean', description: 'Ask the provider again instead of using cached suggestions' },
+        },
+    },
+    security: {
+        summary: 'Scan Terraform files for security issues',
+        usage: 'ta security <dir> [--format text|json|sarif|junit] [--output <file>] [--fail-on <severity>] [--baseline <file>]',
+        options: {
+            format: { type: 'string', short: 'f', default: 'text', description: `Output format (${reportFormats.join(', ')})` },
+            output: { type: 'string', short: 'o', description: 'Write the json, sarif or junit report to a file' },
+            'fail-on': { type: 'string', default: 'low', description: `Exit with 1 on findings at or above this severity (${severities.join(', ')}, none)` },
+            rules: { type: 'string', description: 'Directory with extra rule modules to run (e.g. .ta/rules; nothing is loaded without it)' },
+            baseline: { type: 'string', description: 'Baseline of accepted findings (default .ta/security-baseline.json)' },
+            'update-baseline': { type: 'boolean', description: 'Accept all current findings into the baseline' },
+        },
+    },
+    fix: {
+        summary: 'Fix security findings with the AI assistant and re-scan',
+        usage: 'ta fix <dir> [--severity <level>] [--yes [--allow-destructive]] [--provider amazonq|openai|echo]',
+        options: {
+            severity: { type: 'string', short: 's', default: 'low', description: `Only fix findings at or above this severity (${severities.join(', ')})` },
+            yes: { type: 'boolean', short: 'y', description: 'Apply every fix without asking' },
+            'allow-destructive': { type: 'boolean', description: 'With --yes, also apply fixes classified as destructive' },
+            provider: { type: 'string', short: 'p', description: `LLM provider (${providerNames.join(', ')})` },
+            model: { type: 'string', description: 'Model name for the openai provider' },
+            endpoint: { type: 'string', description: 'Base URL of an OpenAI-compatible API' },
+            timeout: { type: 'string', description: 'Per-request timeout in milliseconds' },
+            retries: { type: 'string', description: 'Retries for transient provider failures' },
+            rules: { type: 'string', description: 'Directory with extra rule modules to run (e.g. .ta/rules; nothing is loaded without it)' },
+            baseline: { type: 'string', description: 'Baseline of accepted findings (default .ta/security-baseline.json)' },
+        },
+    },
+    deploy: {
+        summary: 'Run fmt, init, validate and plan, then apply the saved plan',
+        usage: 'ta deploy <dir> [--env <names>|all] [--plan-only] [--yes] [--allow-destroy] [--confirm <prod env>] [--binary terraform|tofu]',
+        options: {
+            env: { type: 'string', short: 'e', description: 'Environments under environments/, comma separated, or all' },
+            confirm: { type: 'string', description: 'Name of the production environment, confirming it without a prompt' },
+            'plan-only': { type: 'boolean', description: 'Stop after terraform plan and keep the saved plan' },
+            timeout: { type: 'string', description: 'Per-command timeout in milliseconds (default none)' },
+            yes: { type: 'boolean', short: 'y', description: 'Apply the saved plan without asking' },
+            'allow-destroy': { type: 'boolean', description: 'Allow applying plans that destroy or replace resources' },
+            prices: { type: 'string', description: 'Price table for the plan report (default .ta/prices.json)' },
+            binary: { type: 'string', short: 'b', description: 'terraform or tofu (default: .ta/project.json, else whichever is installed)' },
+        },
+    },
+    'plan-report': {
+        summary: 'Analyze a plan JSON: deletions, sensitive changes and monthly cost',
+        usage: 'ta plan-report <plan.json|dir> [--prices <file>] [--format md|html|both]',
+        options: {
+            prices: { type: 'string', description: 'Price table overriding the bundled one (default .ta/prices.json)' },
+            format: { type: 'string', short: 'f', default: 'both', description: 'Report format (md, html or both)' },
+        },
+    },
+    destroy: {
+        summary: 'Destroy Terraform-managed infrastructure',
+        usage: 'ta destroy <dir> [--env <names>|all] [--target <address>...] [--dry-run] [--yes] [--confirm <prod env>] [--binary terraform|tofu]',
+        options: {
+            target: { type: 'string', multiple: true, description: 'Only destroy this resource address (repeatable)' },
+            'dry-run': { type: 'boolean', description: 'Show what would be destroyed and stop' },
+            timeout: { type: 'string', description: 'Per-command timeout in milliseconds (default none)' },
+            env: { type: 'string', short: 'e', description: 'Environments under environments/, comma separated, or all' },
+            confirm: { type: 'string', description: 'Name of the production environment, confirming it without a prompt' },
+            yes: { type: 'boolean', short: 'y', description: 'Do not ask for confirmation' },
+            binary: { type: 'string', short: 'b', description: 'terraform or tofu (default: .ta/project.json, else whichever is installed)' },
+        },
+    },
+    generate: {
+        summary: 'Generate a Terraform project structure',
+        usage: 'ta generate <dir> [--template <name>|--upgrade] [--layout flat|multi] [--answers <file>] [--yes] [--dry-run] [--on-conflict overwrite|skip|merge|fail] [--source <dir|git url>] [--binary terraform|tofu]',
+        options: {
+            template: { type: 'string', short: 't', description: "Template to generate from (see 'ta templates')" },
+            layout: { type: 'string', short: 'l', description: 'Layout when building from scratch (flat or multi)' },
+            source: { type: 'string', description: 'Also load templates from this folder or git URL' },
+            answers: { type: 'string', short: 'a', description: 'JSON file with values for the template variables' },
+            yes: { type: 'boolean', short: 'y', description: 'Use defaults for variables not in the answers file instead of asking' },
+            binary: { type: 'string', short: 'b', description: 'Write settings for terraform or tofu (default: whichever is installed)' },
+            'dry-run': { type: 'boolean', description: 'Show the planned files and what happens to existing ones, write nothing' },
+            'on-conflict': { type: 'string', description: 'For existing files that differ: overwrite, skip, merge or fail (default: ask; fail with --yes)' },
+            upgrade: { type: 'boolean', description: 'Re-render the template recorded in .ta/generated.json and merge its changes' },
+        },
+    },
+    templates: {
+        summary: 'List the project templates or preview one',
+        usage: 'ta templates [--preview <name> [--files]] [--source <dir|git url>]',
+        options: {
+            preview: { type: 'string', description: 'Show the description, variables and files of a template' },
+            files: { type: 'boolean', description: 'With --preview, also print every file' },
+            source: { type: 'string', description: 'Also load templates from this folder or git URL' },
+        },
+    },
+};
+
+// Options every command takes
+const commonOptions = {
+    config: { type: 'string', description: 'Read settings from this file instead of the .tarc files found' },
+    'no-config': { type: 'boolean', description: 'Ignore .tarc files' },
+    help: { type: 'boolean', short: 'h', description: 'Show help' },
+};
+
+function formatOptions(options) {
+    return Object.entries({ ...options, ...commonOptions })
+        .map(([name, option]) => {
+            const flag = `${option.short ? `-${option.short}, ` : '    '}--${name}${option.type === 'string' ? ' <value>' : ''}`;
+            return `  ${flag.padEnd(28)}${option.description}`;
+        })
+        .join('\n');
+}
+
+function printHelp(name) {
+    if (name && commands[name]) {
+        const command = commands[name];
+        console.log(`${command.summary}\n\nUsage: ${command.usage}\n\nOptions:\n${formatOptions(command.options)}`);
+        return;
+    }
+
+    const list = Object.entries(commands)
+        .map(([commandName, command]) => `  ${commandName.padEnd(12)}${command.summary}`)
+        .join('\n');
+    console.log(
+        `Usage: ta [command] <dir> [options]\n\nRun without arguments to open the interactive menu.\n\nCommands:\n${list}\n\nRun 'ta <command> --help' for the options of a command. Settings in .tarc files (the project's and ~/.tarc) apply to every command; flags override them.`
+    );
+}
+
+function validate(name, values) {
+    if (name === 'plan-report' && !['md', 'html', 'both'].includes(values.format)) {
+        return `Unknown format '${values.format}'. Expected md, html or both.`;
+    }
+    if (name === 'security' && !reportFormats.includes(values.format)) {
+        return `Unknown format '${values.format}'. Expected one of ${reportFormats.join(', ')}.`;
+    }
+    if (name === 'security' && ![...severities, 'none'].includes(values['fail-on'])) {
+        return `Unknown severity '${values['fail-on']}'. Expected one of ${[...severities, 'none'].join(', ')}.`;
+    }
+    if (name === 'security' && values.output && values.format === 'text') {
+        return '--output needs --format json, sarif or junit.';
+    }
+    if (name === 'fix' && !severities.includes(values.severity)) {
+        return `Unknown severity '${values.severity}'. Expected one of ${severities.join(', ')}.`;
+    }
+    if (values.provider && !providerNames.includes(values.provider)) {
+        return `Unknown provider '${values.provider}'. Expected one of ${providerNames.join(', ')}.`;
+    }
+    const unknownKind = values.include?.split(',').find((kind) => !includeKinds.includes(kind));
+    if (unknownKind) {
+        return `Unknown file kind '${unknownKind}'. Expected ${includeKinds.join(', ')}.`;
+    }
+    for (const key of ['timeout', 'retries']) {
+        if (values[key] !== undefined && !/^\d+$/.test(values[key])) {
+            return `--${key} must be a non-negative integer.`;
+        }
+    }
+    if (values.binary && !toolNames.includes(values.binary)) {
+        return `Unknown binary '${values.binary}'. Expected ${toolNames.join(' or ')}.`;
+    }
+    for (const key of ['concurrency', 'chunk-size']) {
+        if (values[key] !== undefined && !/^[1-9]\d*$/.test(values[key])) {
+            return `--${key} must be a positive integer.`;
+        }
+    }
+    if (values.resume && values['new-session']) {
+        return '--resume and --new-session cannot be used together.';
+    }
+    if (name === 'generate' && values.layout && !['flat', 'multi'].includes(values.layout)) {
+        return `Unknown layout '${values.layout}'. Expected flat or multi.`;
+    }
+    if (name === 'generate' && values['on-conflict'] && ![...conflictResolutions, 'fail'].includes(values['on-conflict'])) {
+        return `Unknown --on-conflict '${values['on-conflict']}'. Expected ${[...conflictResolutions, 'fail'].join(', ')}.`;
+    }
+    if (name === 'generate' && values.upgrade && (values.template || values.layout)) {
+        return '--upgrade uses the template recorded in .ta/generated.json; drop --template and --layout.';
+    }
+    return null;
+}
+
+// The .tarc settings that stand in for flags of command `name`, leaving out those it has no flag for
+export function settingsOptions(name, settings) {
+    return Object.fromEntries(Object.entries(configOptions(settings, name)).filter(([key]) => commands[name].options[key]));
+}
+
+// Parse argv and dispatch to the matching handler. Resolves to the process exit code.
+export async function runCli(argv, handlers) {
+    const [name, ...rest] = argv;
+
+    if (!name || name === '--help' || name === '-h' || name === 'help') {
+        printHelp(rest[0]);
+        return 0;
+    }
+
+    const command = commands[name];
+    if (!command) {
+        console.error(chalk.red(`Unknown command '${name}'.`));
+        printHelp();
+        return 2;
+    }
+
+    let parsed;
+    try {
+        // Defaults are applied after the .tarc settings, so they are left out here
+        const options = Object.fromEntries(
+            Object.entries({ ...command.options, ...commonOptions }).map(([key, { description, default: _, ...option }]) => [key, option])
+        );
+        parsed = parseArgs({ args: rest, options, allowPositionals: true });
+    } catch (error) {
+        console.error(chalk.red(error.message));
+        console.log(`Usage: ${command.usage}`);
+        return 2;
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        printHelp(name);
+        return 0;
+    }
+
+    if (positionals.length > 1) {
+        console.error(chalk.red(`Unexpected argument '${positionals[1]}'.`));
+        console.log(`Usage: ${command.usage}`);
+        return 2;
+    }
+
+    if (values.config && values['no-config']) {
+        console.error(chalk.red('--config and --no-config cannot be used together.'));
+        return 2;
+    }
+
+    const dir = positionals[0] || './';
+    let settings;
+    try {
+        ({ settings } = await loadConfig(dir, { file: values.config, disabled: values['no-config'] }));
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        return 2;
+    }
+
+    // Flags win over .tarc settings, which win over the defaults
+    const { config, 'no-config': noConfig, ...flags } = values;
+    const defaults = Object.fromEntries(
+        Object.entries(command.options)
+            .filter(([, option]) => option.default !== undefined)
+            .map(([key, option]) => [key, option.default])
+    );
+    const options = { ...defaults, ...settingsOptions(name, settings), ...flags };
+
+    const error = validate(name, options);
+    if (error) {
+        console.error(chalk.red(error));
+        return 2;
+    }
+
+    try {
+        const ok = await handlers[name](dir, { ...options, settings });
+        return ok === false ? 1 : 0;
+    } catch (err) {
+        console.error(chalk.red(`${name} failed: ${err.message}`));
+        return 1;
+    }
+}
@@ -0,0 +1,118 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+import { resolvePaths, schemaProblems } from './schema.js';
+
+// Tool settings from .tarc files (JSON or YAML, see config/schema.js for what they hold).
+// The user's file in the home directory applies everywhere; the project's file is the nearest
+// one in the project directory or a folder above it, and its settings win. Objects merge key by
+// key, lists and values replace. Command line flags override both.
+
+export const configNames = ['.tarc', '.tarc.json', '.tarc.yaml', '.tarc.yml'];
+
+// .tarc.json is JSON and .tarc.yaml/.tarc.yml YAML; a plain .tarc is JSON when it starts with `{`
+function parseConfig(file, text) {
+    const json = file.endsWith('.json') || (path.extname(file) === '' && text.trimStart().startsWith('{'));
+    if (json) return JSON.parse(text);
+    return parseYaml(text) ?? {};
+}
+
+export async function readConfigFile(file) {
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+
+    let settings;
+    try {
+        settings = parseConfig(file, text);
+    } catch (error) {
+        throw new Error(`Invalid ${file}: ${error.message.trimEnd()}`);
+    }
+    const problems = schemaProblems(settings);
+    if (problems.length) throw new Error(`Invalid ${file}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    return resolvePaths(settings, path.dirname(path.resolve(file)));
+}
+
+// The config file in `dir`, or null. Two of them in one folder is an error rather than a guess.
+async function configIn(dir) {
+    const found = [];
+    for (const name of configNames) {
+        const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+        if (stat?.isFile()) found.push(name);
+    }
+    if (found.length > 1) throw new Error(`${dir} has ${found.join(' and ')}; keep one of them.`);
+    return found.length ? path.join(dir, found[0]) : null;
+}
+
+// The nearest config file in `dir` or the folders above it, not counting the home directory's
+async function projectConfigFile(dir) {
+    const home = os.homedir();
+    let current = path.resolve(dir);
+    for (;;) {
+        if (current !== home) {
+            const file = await configIn(current);
+            if (file) return file;
+        }
+        const parent = path.dirname(current);
+        if (parent === current) return null;
+        current = parent;
+    }
+}
+
+function mergeSettings(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        const plain = (item) => item && typeof item === 'object' && !Array.isArray(item);
+        merged[key] = plain(value) && plain(base[key]) ? mergeSettings(base[key], value) : value;
+    }
+    return merged;
+}
+
+// Settings for a project directory. Resolves to { settings, files } with the files read, user file
+// first. `options.file` replaces discovery with one file; `options.disabled` ignores every file.
+export async function loadConfig(dir, { file, disabled } = {}) {
+    if (disabled) return { settings: {}, files: [] };
+    const files = file ? [path.resolve(file)] : [await configIn(os.homedir()), await projectConfigFile(dir)].filter(Boolean);
+
+    let settings = {};
+    for (const item of files) settings = mergeSettings(settings, await readConfigFile(item));
+    return { settings, files };
+}
+
+// Settings that have a command line flag, as the values parseArgs would give for those flags.
+// `command` picks between settings sharing a flag: deploy and destroy take deploy.timeout,
+// plan-report takes reports.format.
+export function configOptions(settings, command) {
+    const { provider = {}, refactor = {}, security = {}, environments = {}, deploy = {}, reports = {} } = settings;
+    const deploying = command === 'deploy' || command === 'destroy';
+    const options = {
+        provider: provider.name,
+        model: provider.model,
+        endpoint: provider.endpoint,
+        timeout: deploying ? deploy.timeout : provider.timeout,
+        retries: provider.retries,
+        concurrency: provider.concurrency,
+        'chunk-size': provider.chunkSize,
+        'no-cache': provider.cache === false || undefined,
+        include: refactor.include?.join(','),
+        format: command === 'plan-report' ? reports.format : security.format,
+        'fail-on': security.failOn,
+        rules: security.rules,
+        baseline: security.baseline,
+        severity: security.fixSeverity,
+        env: environments.default,
+        binary: deploy.binary,
+        'allow-destroy': deploy.allowDestroy || undefined,
+        'plan-only': deploy.planOnly || undefined,
+        prices: reports.prices,
+    };
+    return Object.fromEntries(
+        Object.entries(options)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => [key, typeof value === 'number' ? String(value) : value])
+    );
+}
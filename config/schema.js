@@ -0,0 +1,153 @@
+import path from 'path';
+import { providerNames } from '../providers/index.js';
+import { includeKinds } from '../utils/files.js';
+import { severities } from '../security/findings.js';
+import { reportFormats } from '../security/formats.js';
+import { toolNames } from '../terraform/tools.js';
+
+// Settings a .tarc file may hold. Each node is one of
+//   { type: 'object', properties: { key: node } }   known keys only; `oneOf` lists keys of which one is required
+//   { type: 'map', key?, values: node }             any key (matching `key.pattern`), every value checked against `values`
+//   { type: 'list', items: node }
+//   { type: 'string', enum?, pattern? }, { type: 'integer', min? }, { type: 'boolean' }
+// `path: true` marks file and folder settings, resolved against the folder of the file that sets them.
+
+export const scannerNames = ['builtin', 'tfsec'];
+
+const string = { type: 'string' };
+const file = { type: 'string', path: true };
+const names = { type: 'list', items: { type: 'string', pattern: /^[\w.-]+$/, hint: 'a word (letters, digits, . _ -)' } };
+
+export const configSchema = {
+    type: 'object',
+    properties: {
+        provider: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', enum: providerNames },
+                model: string,
+                endpoint: string,
+                timeout: { type: 'integer', min: 0 },
+                retries: { type: 'integer', min: 0 },
+                concurrency: { type: 'integer', min: 1 },
+                chunkSize: { type: 'integer', min: 1 },
+                cache: { type: 'boolean' },
+            },
+        },
+        refactor: {
+            type: 'object',
+            properties: {
+                profiles: {
+                    type: 'map',
+                    key: { pattern: /^[\w.-]+$/, hint: 'a word (letters, digits, . _ -)' },
+                    values: { type: 'object', properties: { description: string, instructions: string, file }, oneOf: ['instructions', 'file'] },
+                },
+                styleGuides: { type: 'list', items: file },
+                defaultProfiles: names,
+                include: { type: 'list', items: { type: 'string', enum: includeKinds } },
+            },
+        },
+        security: {
+            type: 'object',
+            properties: {
+                scanners: { type: 'list', items: { type: 'string', enum: scannerNames } },
+                rules: file,
+                baseline: file,
+                failOn: { type: 'string', enum: [...severities, 'none'] },
+                format: { type: 'string', enum: reportFormats },
+                fixSeverity: { type: 'string', enum: severities },
+            },
+        },
+        environments: {
+            type: 'object',
+            properties: {
+                default: string,
+                production: names,
+            },
+        },
+        deploy: {
+            type: 'object',
+            properties: {
+                binary: { type: 'string', enum: toolNames },
+                timeout: { type: 'integer', min: 0 },
+                allowDestroy: { type: 'boolean' },
+                planOnly: { type: 'boolean' },
+            },
+        },
+        reports: {
+            type: 'object',
+            properties: {
+                dir: file,
+                prices: file,
+                format: { type: 'string', enum: ['md', 'html', 'both'] },
+            },
+        },
+        ignore: { type: 'list', items: string },
+    },
+};
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'a list';
+    if (typeof value === 'object') return 'an object';
+    return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function join(at, key) {
+    return at ? `${at}.${key}` : key;
+}
+
+// Problems with `value` against `node`, as messages naming the setting, e.g.
+// "provider.timeout must be an integer of at least 0, got string \"30s\""
+export function schemaProblems(value, node = configSchema, at = '') {
+    const name = at || 'the configuration';
+    switch (node.type) {
+        case 'object': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${name} must be an object, got ${describe(value)}`];
+            const problems = [];
+            for (const [key, item] of Object.entries(value)) {
+                const child = node.properties[key];
+                if (!child) problems.push(`Unknown setting ${join(at, key)}. Expected one of ${Object.keys(node.properties).join(', ')}`);
+                else problems.push(...schemaProblems(item, child, join(at, key)));
+            }
+            if (node.oneOf && !node.oneOf.some((key) => value[key] !== undefined)) problems.push(`${name} needs ${node.oneOf.join(' or ')}`);
+            return problems;
+        }
+        case 'map': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${name} must be an object, got ${describe(value)}`];
+            return Object.entries(value).flatMap(([key, item]) =>
+                node.key && !node.key.pattern.test(key) ? [`${join(at, key)}: the name must be ${node.key.hint}`] : schemaProblems(item, node.values, join(at, key))
+            );
+        }
+        case 'list':
+            if (!Array.isArray(value)) return [`${name} must be a list, got ${describe(value)}`];
+            return value.flatMap((item, index) => schemaProblems(item, node.items, `${name}[${index}]`));
+        case 'string':
+            if (typeof value !== 'string') return [`${name} must be a string, got ${describe(value)}`];
+            if (node.enum && !node.enum.includes(value)) return [`${name} must be one of ${node.enum.join(', ')}, got "${value}"`];
+            if (node.pattern && !node.pattern.test(value)) return [`${name} must be ${node.hint}, got "${value}"`];
+            return [];
+        case 'integer':
+            if (!Number.isInteger(value) || value < (node.min ?? -Infinity)) {
+                return [`${name} must be an integer${node.min !== undefined ? ` of at least ${node.min}` : ''}, got ${describe(value)}`];
+            }
+            return [];
+        case 'boolean':
+            return typeof value === 'boolean' ? [] : [`${name} must be true or false, got ${describe(value)}`];
+        default:
+            return [];
+    }
+}
+
+// Copy of `value` with every `path: true` setting resolved against `base`
+export function resolvePaths(value, base, node = configSchema) {
+    if (value === null || value === undefined) return value;
+    if (node.path && typeof value === 'string') return path.resolve(base, value);
+    if (node.type === 'list' && Array.isArray(value)) return value.map((item) => resolvePaths(item, base, node.items));
+    if ((node.type === 'object' || node.type === 'map') && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, resolvePaths(item, base, node.type === 'map' ? node.values : node.properties[key] || {})])
+        );
+    }
+    return value;
+}
@@ -0,0 +1,116 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { commonLines, mergeThree } from '../utils/diff.js';
+import { isGitUrl } from './registry.js';
+
+// What a generation would do to a project directory, decided before anything is written.
+// .ta/generated.json records the template, version, values and the content generated for every
+// file, so a later run (or `generate --upgrade`) can tell the user's edits from template changes
+// and three-way merge them.
+
+export const manifestFile = path.join('.ta', 'generated.json');
+
+export const conflictResolutions = ['overwrite', 'skip', 'merge'];
+
+const mergeLabels = { ours: 'existing', theirs: 'template' };
+
+export async function readGenerationManifest(dir) {
+    const file = path.join(dir, manifestFile);
+    const text = await fs.readFile(file, 'utf8').catch(() => null);
+    if (text === null) return null;
+
+    let manifest;
+    try {
+        manifest = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid ${manifestFile}: ${error.message}`);
+    }
+    if (typeof manifest.template !== 'string' || !manifest.files || typeof manifest.files !== 'object') {
+        throw new Error(`Invalid ${manifestFile}: expected template and files.`);
+    }
+    return manifest;
+}
+
+export async function writeGenerationManifest(dir, { template, tool, values, files }) {
+    const file = path.join(dir, manifestFile);
+    const manifest = {
+        template: template.name,
+        version: template.version,
+        // Local template folders are recorded absolute so an upgrade from elsewhere finds them
+        source: ['built-in', 'user'].includes(template.source) || isGitUrl(template.source) ? template.source : path.resolve(template.source),
+        tool,
+        values,
+        generatedAt: new Date().toISOString(),
+        files: Object.fromEntries(files.filter((item) => item.content !== null).map((item) => [item.path, item.content])),
+    };
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(manifest, null, 2) + '\n');
+    return file;
+}
+
+// One entry per rendered file ({ path, content }, content null for folders) with the action to take:
+//   create     nothing there yet
+//   unchanged  already identical to the template
+//   update     generated before and not edited since: safe to replace
+//   keep       edited since generation but the template did not change: left alone
+//   merge      edited and changed in the template, merged without conflicts (`merged`)
+//   conflict   differs and cannot be settled alone; `merged` holds the merge with `conflicts`
+//              conflict regions, for the user to choose overwrite, skip or merge
+// Files from the previous generation the template no longer has are listed as `obsolete` and never deleted.
+// `manifest` is the previous generation's, only used when it was made from the same template.
+export async function planGeneration(dir, files, manifest = null) {
+    const bases = manifest?.files || {};
+    const entries = [];
+
+    for (const file of files) {
+        const fullPath = path.join(dir, file.path);
+        if (file.content === null) {
+            const stat = await fs.stat(fullPath).catch(() => null);
+            if (stat && !stat.isDirectory()) throw new Error(`${file.path} exists and is not a folder.`);
+            entries.push({ ...file, action: stat ? 'unchanged' : 'create' });
+            continue;
+        }
+
+        const existing = await fs.readFile(fullPath, 'utf8').catch((error) => {
+            if (error.code === 'ENOENT') return null;
+            throw new Error(`Cannot read ${file.path}: ${error.message}`);
+        });
+        const base = typeof bases[file.path] === 'string' ? bases[file.path] : null;
+        const entry = { ...file, existing };
+
+        if (existing === null) entry.action = 'create';
+        else if (existing === file.content) entry.action = 'unchanged';
+        else if (base !== null && existing === base) entry.action = 'update';
+        else if (base !== null && file.content === base) entry.action = 'keep';
+        else {
+            const { content, conflicts } = mergeThree(base ?? commonLines(existing, file.content), existing, file.content, mergeLabels);
+            entry.merged = content;
+            entry.conflicts = conflicts;
+            entry.action = base !== null && conflicts === 0 ? 'merge' : 'conflict';
+        }
+        entries.push(entry);
+    }
+
+    const generated = new Set(files.map((file) => file.path));
+    for (const file of Object.keys(bases).filter((item) => !generated.has(item))) {
+        entries.push({ path: file, content: null, action: 'obsolete' });
+    }
+    return entries;
+}
+
+// Content to write for an entry, or null to leave the file as it is. `resolution` settles conflicts.
+export function plannedContent(entry, resolution) {
+    switch (entry.action) {
+        case 'create':
+        case 'update':
+            return entry.content;
+        case 'merge':
+            return entry.merged;
+        case 'conflict':
+            if (resolution === 'overwrite') return entry.content;
+            if (resolution === 'merge') return entry.merged;
+            return null;
+        default:
+            return null;
+    }
+}
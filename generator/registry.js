@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { runCommand, which } from '../terraform/runner.js';
+import { variableProblem } from './variables.js';
+
+// Project templates are directories with a template.json manifest and a files/ folder holding
+// the files to generate:
+//   { "name", "description", "version", "icon", "files": ["main.tf", "modules/vpc/main.tf", "scripts/"], "variables": [...] }
+// `version` is recorded in generated projects so `generate --upgrade` can say what it upgrades from.
+// Entries of `files` ending with "/" are folders created empty (git does not keep empty folders).
+// Variables are described in variables.js.
+
+export const manifestName = 'template.json';
+
+export const builtinTemplatesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'template');
+
+export function userTemplatesDir() {
+    return process.env.TA_TEMPLATES_DIR || path.join(os.homedir(), '.ta', 'templates');
+}
+
+async function exists(file) {
+    return fs.access(file).then(
+        () => true,
+        () => false
+    );
+}
+
+function manifestProblem(manifest) {
+    if (typeof manifest.name !== 'string' || !/^[\w.-]+$/.test(manifest.name)) return 'name must be a word (letters, digits, . _ -)';
+    if (typeof manifest.description !== 'string') return 'description must be a string';
+    if (manifest.version !== undefined && typeof manifest.version !== 'string') return 'version must be a string';
+    if (!Array.isArray(manifest.files) || manifest.files.some((file) => typeof file !== 'string')) return 'files must be a list of paths';
+    if (manifest.files.some((file) => path.isAbsolute(file) || file.split(/[\\/]/).includes('..'))) return 'files must stay inside the project';
+    if (manifest.variables !== undefined && !Array.isArray(manifest.variables)) return 'variables must be a list';
+    for (const variable of manifest.variables || []) {
+        const problem = variableProblem(variable);
+        if (problem) return problem;
+    }
+    return null;
+}
+
+// Read and check one template directory. Throws when the manifest is missing or invalid.
+export async function readTemplate(dir, source) {
+    const manifestPath = path.join(dir, manifestName);
+    let manifest;
+    try {
+        manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read template manifest ${manifestPath}: ${error.message}`);
+    }
+
+    const problem = manifestProblem(manifest);
+    if (problem) throw new Error(`Invalid template manifest ${manifestPath}: ${problem}.`);
+
+    for (const file of manifest.files.filter((item) => !item.endsWith('/'))) {
+        if (!(await exists(path.join(dir, 'files', file)))) {
+            throw new Error(`Invalid template manifest ${manifestPath}: files/${file} does not exist.`);
+        }
+    }
+
+    return {
+        name: manifest.name,
+        description: manifest.description,
+        version: manifest.version || null,
+        icon: manifest.icon || '📦',
+        files: manifest.files,
+        variables: manifest.variables || [],
+        dir,
+        source,
+    };
+}
+
+// Templates in `dir`: the directory itself when it holds a manifest, else each subdirectory that does
+export async function loadTemplates(dir, source = dir) {
+    if (await exists(path.join(dir, manifestName))) return [await readTemplate(dir, source)];
+
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const templates = [];
+    for (const entry of entries.filter((item) => item.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+        const templateDir = path.join(dir, entry.name);
+        if (await exists(path.join(templateDir, manifestName))) templates.push(await readTemplate(templateDir, source));
+    }
+    return templates;
+}
+
+export function isGitUrl(source) {
+    return /^(https?|ssh|git|file):\/\//.test(source) || /^[\w.-]+@[\w.-]+:/.test(source) || source.endsWith('.git');
+}
+
+// A local directory for `source`: the path itself, or a shallow clone of a git URL under
+// ~/.ta/cache/templates (cloned again on every run so the templates are current)
+export async function resolveSource(source) {
+    // git would read it as an option (e.g. --upload-pack=<command>)
+    if (source.startsWith('-')) throw new Error(`Invalid template source '${source}': it cannot start with '-'.`);
+    if (!isGitUrl(source)) {
+        const dir = path.resolve(source);
+        if (!(await exists(dir))) throw new Error(`Template source '${source}' does not exist.`);
+        return dir;
+    }
+
+    const git = await which('git');
+    if (!git) throw new Error(`git is needed to fetch templates from ${source}.`);
+    const hash = crypto.createHash('sha1').update(source).digest('hex').slice(0, 12);
+    const dir = path.join(os.homedir(), '.ta', 'cache', 'templates', hash);
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.mkdir(path.dirname(dir), { recursive: true });
+    const { code } = await runCommand(git, ['clone', '--quiet', '--depth', '1', '--', source, dir], { capture: true, timeout: 120000 });
+    if (code !== 0) throw new Error(`git clone ${source} failed (exit code ${code}).`);
+    return dir;
+}
+
+// Every template from the built-in folder, the user folder and `sources` (paths or git URLs).
+// A later source replaces a template of the same name from an earlier one.
+export async function discoverTemplates({ sources = [] } = {}) {
+    const found = new Map();
+    const add = (templates) => templates.forEach((template) => found.set(template.name, template));
+
+    add(await loadTemplates(builtinTemplatesDir, 'built-in'));
+    add(await loadTemplates(userTemplatesDir(), 'user'));
+    for (const source of sources) {
+        const templates = await loadTemplates(await resolveSource(source), source);
+        if (templates.length === 0) throw new Error(`No templates (${manifestName}) found in ${source}.`);
+        add(templates);
+    }
+    return [...found.values()];
+}
+
+export function findTemplate(templates, name) {
+    const template = templates.find((item) => item.name === name);
+    if (!template) {
+        throw new Error(`Unknown template '${name}'. Available: ${templates.map((item) => item.name).join(', ')}.`);
+    }
+    return template;
+}
+
+// [{ path, content }] with the raw file contents; content is null for folders
+export async function readTemplateFiles(template) {
+    return Promise.all(
+        template.files.map(async (file) => ({
+            path: file,
+            content: file.endsWith('/') ? null : await fs.readFile(path.join(template.dir, 'files', file), 'utf8'),
+        }))
+    );
+}
@@ -0,0 +1,69 @@
+import path from 'path';
+
+// Rendering of template files: {{ name }} placeholders are filled with variable values and HCL files
+// are re-indented so generated code looks the same whatever the template's whitespace.
+
+const placeholder = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Fill {{ name }} placeholders. Placeholders without a value are left as they are. Lines after
+// the first of a multi-line value get the indentation of the placeholder's line.
+export function renderText(text, values) {
+    return text.replace(placeholder, (match, name, offset) => {
+        if (!(name in values)) return match;
+        const value = String(values[name]);
+        const indent = /^[ \t]*/.exec(text.slice(text.lastIndexOf('\n', offset) + 1))[0];
+        return value.replace(/\n(?=.)/g, `\n${indent}`);
+    });
+}
+
+export function isHclFile(file) {
+    return /\.(tf|tfvars|hcl)$/.test(file);
+}
+
+// A value as it goes inside an HCL string literal; lists become HCL lists
+export function hclValue(value) {
+    if (Array.isArray(value)) return `[${value.map((item) => `"${hclValue(item)}"`).join(', ')}]`;
+    // "$$" in a replacement string is one "$"
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\$\{/g, '$$$${').replace(/%\{/g, '%%{');
+}
+
+// Text of a line with string literals and comments removed, to count brackets
+function codeOf(line) {
+    return line
+        .replace(/"(?:[^"\\]|\\.)*"/g, '""')
+        .replace(/(#|\/\/).*$/, '')
+        .replace(/\/\*.*?\*\//g, '');
+}
+
+// Re-indent HCL by bracket depth with two spaces, drop trailing whitespace, collapse runs of blank
+// lines and end with one newline. Heredoc bodies are kept as they are.
+export function formatHcl(text) {
+    const lines = [];
+    let depth = 0;
+    let heredoc = null;
+
+    for (const raw of text.replace(/\r\n/g, '\n').split('\n')) {
+        if (heredoc) {
+            lines.push(raw.trimEnd());
+            if (raw.trim() === heredoc) heredoc = null;
+            continue;
+        }
+        const line = raw.trim();
+        const code = codeOf(line);
+        const closing = /^[}\])]*/.exec(code)[0].length;
+        lines.push(line ? '  '.repeat(Math.max(depth - closing, 0)) + line : '');
+
+        depth = Math.max(depth + (code.match(/[{[(]/g) || []).length - (code.match(/[}\])]/g) || []).length, 0);
+        heredoc = /<<-?\s*([A-Za-z_]\w*)\s*$/.exec(code)?.[1] || null;
+    }
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+// Render one template file. Variable values are escaped for HCL string literals in .tf, .tfvars
+// and .hcl files; `raw` values (generated HCL such as the terraform settings block) are inserted
+// as they are.
+export function renderFile(file, content, values, raw = {}) {
+    if (!isHclFile(path.basename(file))) return renderText(renderText(content, raw), values);
+    const escaped = Object.fromEntries(Object.entries(values).map(([name, value]) => [name, hclValue(value)]));
+    return formatHcl(renderText(renderText(content, raw), escaped));
+}
@@ -0,0 +1,152 @@
+import { renderText } from './render.js';
+
+// Input variables declared by a template manifest:
+//   { "name", "description", "type": "string|number|boolean|list", "default",
+//     "validation": "cidr|region|name|bucket" or { "pattern", "message" }, "choices": [...] }
+// A variable without a default must be answered. Defaults may use {{ placeholders }} of the
+// variables declared before them.
+
+export const variableTypes = ['string', 'number', 'boolean', 'list'];
+
+function isCidr(value) {
+    const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\/(\d{1,2})$/.exec(value);
+    return Boolean(match) && match.slice(1, 5).every((octet) => Number(octet) <= 255) && Number(match[5]) <= 32;
+}
+
+export const validations = {
+    cidr: { test: isCidr, message: 'must be an IPv4 CIDR block such as 10.0.0.0/16' },
+    region: {
+        test: (value) => /^[a-z]{2}(-gov|-iso[a-z]?)?-(north|south|east|west|central)(east|west)?-\d$/.test(value),
+        message: 'must be an AWS region such as us-east-1',
+    },
+    name: {
+        test: (value) => /^[a-z][a-z0-9-]{0,62}$/.test(value) && !value.endsWith('-'),
+        message: 'must start with a letter and use lowercase letters, digits and hyphens (at most 63 characters)',
+    },
+    bucket: {
+        test: (value) => /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(value) && !value.includes('..') && !isCidr(`${value}/0`),
+        message: 'must be a valid S3 bucket name: 3-63 lowercase letters, digits, dots and hyphens',
+    },
+};
+
+function validationFor(variable) {
+    if (!variable.validation) return null;
+    if (typeof variable.validation === 'string') return validations[variable.validation];
+    return {
+        test: (value) => new RegExp(variable.validation.pattern).test(value),
+        message: variable.validation.message || `must match ${variable.validation.pattern}`,
+    };
+}
+
+// Problem with a variable declaration in a manifest, or null
+export function variableProblem(variable) {
+    if (!variable || typeof variable.name !== 'string' || !/^[A-Za-z_][\w-]*$/.test(variable.name)) {
+        return 'each variable needs a name made of letters, digits, _ and -';
+    }
+    if (variable.type !== undefined && !variableTypes.includes(variable.type)) {
+        return `variable ${variable.name}: type must be one of ${variableTypes.join(', ')}`;
+    }
+    const { validation } = variable;
+    if (typeof validation === 'string' && !validations[validation]) {
+        return `variable ${variable.name}: validation must be one of ${Object.keys(validations).join(', ')} or { pattern }`;
+    }
+    if (validation && typeof validation === 'object') {
+        try {
+            new RegExp(validation.pattern);
+        } catch {
+            return `variable ${variable.name}: validation.pattern must be a regular expression`;
+        }
+    }
+    if (variable.choices !== undefined && !Array.isArray(variable.choices)) {
+        return `variable ${variable.name}: choices must be a list`;
+    }
+    return null;
+}
+
+// Convert and check one answer (typed from an answers file, or text from a prompt).
+// Returns { value } or { error }.
+export function parseValue(variable, input) {
+    const type = variable.type || 'string';
+    let value = input;
+
+    if (type === 'number') {
+        value = typeof input === 'number' ? input : Number(String(input).trim());
+        if (String(input).trim() === '' || !Number.isFinite(value)) return { error: `${variable.name} must be a number` };
+    } else if (type === 'boolean') {
+        const text = String(input).trim().toLowerCase();
+        if (typeof input !== 'boolean' && !['true', 'false', 'yes', 'no'].includes(text)) {
+            return { error: `${variable.name} must be true or false` };
+        }
+        value = typeof input === 'boolean' ? input : text === 'true' || text === 'yes';
+    } else if (type === 'list') {
+        value = Array.isArray(input)
+            ? input.map(String)
+            : String(input)
+                  .split(',')
+                  .map((item) => item.trim())
+                  .filter(Boolean);
+    } else {
+        value = String(input);
+    }
+
+    if (variable.choices && !variable.choices.includes(value)) {
+        return { error: `${variable.name} must be one of ${variable.choices.join(', ')}` };
+    }
+    const validation = validationFor(variable);
+    const items = Array.isArray(value) ? value : [value];
+    if (validation && (type === 'string' || type === 'list')) {
+        const bad = items.find((item) => !validation.test(item));
+        if (bad !== undefined) return { error: `${variable.name} ${validation.message} (got '${bad}')` };
+    }
+    return { value };
+}
+
+// Default of a variable with the placeholders of earlier values filled in, or undefined
+export function defaultFor(variable, values) {
+    if (variable.default === undefined) return undefined;
+    return typeof variable.default === 'string' ? renderText(variable.default, values) : variable.default;
+}
+
+// Default values of the variables that have one, keyed by name
+export function defaultValues(variables) {
+    const values = {};
+    for (const variable of variables) {
+        const initial = defaultFor(variable, values);
+        if (initial !== undefined) values[variable.name] = initial;
+    }
+    return values;
+}
+
+// Values for the template's variables from `answers`, then (with `useDefaults`) the defaults.
+// `ask(variable, initial)` is called for the rest and resolves to the raw input, or undefined to
+// cancel. Throws on invalid or missing values; resolves to null when cancelled.
+export async function resolveValues(variables, answers = {}, { useDefaults = false, ask } = {}) {
+    const unknown = Object.keys(answers).find((name) => !variables.some((variable) => variable.name === name));
+    if (unknown) throw new Error(`Unknown variable '${unknown}' in the answers. Expected ${variables.map((variable) => variable.name).join(', ')}.`);
+
+    // Check every answer before asking anything
+    for (const variable of variables.filter((item) => item.name in answers)) {
+        const { error } = parseValue(variable, answers[variable.name]);
+        if (error) throw new Error(`Invalid answer: ${error}.`);
+    }
+
+    const values = {};
+    for (const variable of variables) {
+        const initial = defaultFor(variable, values);
+        let input;
+        if (variable.name in answers) {
+            input = answers[variable.name];
+        } else if (useDefaults || !ask) {
+            if (initial === undefined) throw new Error(`No value for ${variable.name}${variable.description ? ` (${variable.description})` : ''}.`);
+            input = initial;
+        } else {
+            input = await ask(variable, initial);
+            if (input === undefined) return null;
+        }
+
+        const { value, error } = parseValue(variable, input);
+        if (error) throw new Error(`Invalid answer: ${error}.`);
+        values[variable.name] = value;
+    }
+    return values;
+}
@@ -5,11 +5,84 @@ import path from "path";
 import chalk from "chalk";
 import prompts from "prompts";
 import ora from "ora";
-import { readTfFiles } from "./utils/files.js";
-import { refactorFile } from "./refactor.js";
+import { labelFor, readTfFiles } from "./utils/files.js";
+import {
+  applyHunks,
+  buildHunks,
+  createPatch,
+  diffWords,
+  formatHunkHeader,
+} from "./utils/diff.js";
+import { refactorFile, refactorFiles } from "./refactor.js";
+import { createSuggestionCache } from "./utils/cache.js";
+import { buildPrompt, loadProfiles, selectProfiles } from "./utils/profiles.js";
+import { loadConfig } from "./config/index.js";
+import {
+  canResume,
+  createSession,
+  readSession,
+  recordFile,
+  reviewedFile,
+  saveSession,
+  sessionFile,
+} from "./utils/session.js";
+import { createProvider, ProviderUnavailableError } from "./providers/index.js";
+import { runCli, settingsOptions } from "./cli.js";
+import { createRunner, findTerraform, which } from "./terraform/runner.js";
+import {
+  compatibilityProblems,
+  features,
+  projectTool,
+  saveProjectTool,
+  settingsBlock,
+  toolNames,
+  tools,
+  toolVersion,
+} from "./terraform/tools.js";
+import {
+  appendAuditLog,
+  backupPath,
+  findProtectedResources,
+  resourceKey,
+} from "./terraform/destroy.js";
+import { hasDeletions, planActions, summarizePlan } from "./terraform/plan.js";
+import { analyzePlan, loadPrices } from "./terraform/analyze.js";
+import {
+  detectEnvironments,
+  environmentArgs,
+  selectEnvironments,
+} from "./terraform/environments.js";
+import { renderPlanHtml, renderPlanMarkdown } from "./terraform/report.js";
+import {
+  discoverTemplates,
+  findTemplate,
+  readTemplateFiles,
+  userTemplatesDir,
+} from "./generator/registry.js";
+import { renderFile } from "./generator/render.js";
+import {
+  manifestFile,
+  plannedContent,
+  planGeneration,
+  readGenerationManifest,
+  writeGenerationManifest,
+} from "./generator/plan.js";
+import {
+  defaultValues,
+  parseValue,
+  resolveValues,
+} from "./generator/variables.js";
+import { runSecurityScan } from "./security/index.js";
+import {
+  buildFixPrompt,
+  findingBlock,
+  groupFindings,
+} from "./security/remediation.js";
+import { exceedsThreshold, writeBaseline } from "./security/findings.js";
+import { summarize, toJson, toJunit, toSarif } from "./security/formats.js";
 import { fileURLToPath } from "url";
 import { dirname } from "path";
-import { exec } from "child_process";
+import { spawn, spawnSync } from "child_process";
 import figlet from "figlet";
 import boxen from "boxen";
 import os from "os";
@@ -17,6 +90,11 @@ import os from "os";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Reports go to reports.dir from .tarc, else report/ next to the tool
+function reportDir(options) {
+  return options.settings?.reports?.dir || path.join(__dirname, "report");
+}
+
 // Set OS-based icons
 const platform = os.platform();
 const isWindows = platform === "win32";
@@ -35,43 +113,268 @@ const icons = {
   question: isWindows ? "?" : "❓",
   yes: isWindows ? "[Y]" : "✔",
   no: isWindows ? "[N]" : "✖",
-  "3tier": isWindows ? "[*]" : "🧱",
-  s3website: isWindows ? "[*]" : "🌐",
-  rds: isWindows ? "[*]" : "🗄️",
-  vpc: isWindows ? "[*]" : "🌐",
-  default: isWindows ? "[*]" : "📦",
 };
 
-// Format changes with magenta as main color
-function formatDiff(oldContent, newContent) {
-  let diffOutput = "";
-  const oldLines = oldContent.split("\n");
-  const newLines = newContent.split("\n");
+// Highlight the words that changed between a removed and an added line
+function highlightWords(oldText, newText) {
+  let removed = "";
+  let added = "";
+  for (const op of diffWords(oldText, newText)) {
+    if (op.type !== "insert") {
+      removed +=
+        op.type === "delete" ? chalk.bgHex("#2E6B2E")(op.value) : op.value;
+    }
+    if (op.type !== "delete") {
+      added +=
+        op.type === "insert" ? chalk.bgHex("#6B5A2E")(op.value) : op.value;
+    }
+  }
+  return { removed, added };
+}
 
-  let i = 0;
-  let j = 0;
+// Format one hunk with magenta as main color
+function formatHunk(hunk) {
+  let diffOutput = chalk.magenta(formatHunkHeader(hunk)) + "\n";
 
-  while (i < oldLines.length || j < newLines.length) {
-    if (
-      i < oldLines.length &&
-      j < newLines.length &&
-      oldLines[i] === newLines[j]
-    ) {
-      diffOutput += chalk.gray("  " + oldLines[i]) + "\n";
+  const lines = hunk.lines;
+  for (let i = 0; i < lines.length; ) {
+    if (lines[i].type === " ") {
+      diffOutput += chalk.gray("  " + lines[i].text) + "\n";
       i++;
-      j++;
+      continue;
+    }
+
+    // A block of removals followed by additions: pair them up for word highlighting
+    const removed = [];
+    const added = [];
+    while (i < lines.length && lines[i].type === "-") removed.push(lines[i++]);
+    while (i < lines.length && lines[i].type === "+") added.push(lines[i++]);
+
+    const highlighted = removed.map((line, index) =>
+      index < added.length
+        ? highlightWords(line.text, added[index].text)
+        : { removed: line.text }
+    );
+    removed.forEach((line, index) => {
+      diffOutput +=
+        chalk.hex("#80EF80")("- " + highlighted[index].removed) + "\n";
+    });
+    added.forEach((line, index) => {
+      const text =
+        index < highlighted.length ? highlighted[index].added : line.text;
+      diffOutput += chalk.hex("#FFD580")("+ " + text) + "\n";
+    });
+  }
+  return diffOutput;
+}
+
+const impactColors = {
+  cosmetic: chalk.green,
+  additive: chalk.hex("#FFD580"),
+  modified: chalk.hex("#FFD700"),
+  destructive: chalk.red,
+};
+
+// Summarize what a suggestion changes in the infrastructure
+function formatComparison(comparison) {
+  let output = impactColors[comparison.classification].bold(
+    `${icons.analyze} Change classification: ${comparison.classification}`
+  );
+  for (const change of comparison.changes) {
+    output +=
+      "\n" +
+      impactColors[change.impact](
+        `  ${change.impact.padEnd(12)}${change.address}: ${change.detail}`
+      );
+  }
+  if (comparison.moved.length > 0) {
+    output += chalk.gray(
+      `\n  ${comparison.moved.length} moved block(s) added to keep renamed objects in state`
+    );
+  }
+  return output;
+}
+
+function formatDiff(hunks) {
+  if (hunks.length === 0) return chalk.gray("No changes suggested.");
+  return hunks.map(formatHunk).join("");
+}
+
+// Split an editor setting into the program and its arguments, keeping quoted words whole,
+// e.g. `code --wait` or `"C:\Program Files\Notepad++\notepad++.exe" -multiInst`.
+// Backslashes escape the next character except on Windows, where they separate folders.
+function splitCommand(command) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+    const escape =
+      char === "\\" && !isWindows && quote !== "'" && i + 1 < command.length;
+    if (escape) {
+      word = (word ?? "") + command[++i];
+    } else if (quote) {
+      if (char === quote) quote = null;
+      else word += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      word = word ?? "";
+    } else if (/\s/.test(char)) {
+      if (word !== null) words.push(word);
+      word = null;
     } else {
-      if (i < oldLines.length) {
-        diffOutput += chalk.hex("#80EF80")("- " + oldLines[i]) + "\n";
-        i++;
-      }
-      if (j < newLines.length) {
-        diffOutput += chalk.hex("#FFD580")("+ " + newLines[j]) + "\n";
-        j++;
+      word = (word ?? "") + char;
+    }
+  }
+  if (word !== null) words.push(word);
+  return words;
+}
+
+// Let the user rewrite the suggested side of a hunk in $EDITOR
+async function editHunk(hunk) {
+  const proposed = hunk.lines
+    .filter((line) => line.type !== "-")
+    .map((line) => line.text + (line.noNewline ? "" : "\n"))
+    .join("");
+  const tmpFile = path.join(os.tmpdir(), `ta-hunk-${process.pid}.tf`);
+  await fs.writeFile(tmpFile, proposed, "utf8");
+
+  // Run without a shell, so nothing in the setting or the file name is interpreted
+  const [editor, ...args] = splitCommand(
+    process.env.VISUAL || process.env.EDITOR || (isWindows ? "notepad" : "vi")
+  );
+  const result = spawnSync(editor, [...args, tmpFile], { stdio: "inherit" });
+  const edited = await fs.readFile(tmpFile, "utf8");
+  await fs.rm(tmpFile, { force: true });
+
+  if (result.status !== 0) return null;
+  return proposed.endsWith("\n") && !edited.endsWith("\n")
+    ? edited + "\n"
+    : edited;
+}
+
+// Step through the hunks of a suggestion, returning one decision per hunk
+async function reviewHunks(hunks) {
+  const decisions = [];
+  for (const [index, hunk] of hunks.entries()) {
+    console.log(
+      chalk.white.bold(`\nHunk ${index + 1}/${hunks.length}`) +
+        "\n" +
+        formatHunk(hunk)
+    );
+    const { action } = await prompts({
+      type: "select",
+      name: "action",
+      message: chalk.hex("#80EF80")(`${icons.question} Apply this hunk?`),
+      choices: [
+        { title: chalk.green(`${icons.yes} Accept`), value: "accept" },
+        { title: chalk.red(`${icons.no} Reject`), value: "reject" },
+        { title: chalk.white("✎ Edit"), value: "edit" },
+      ],
+      initial: 0,
+    });
+
+    if (action === "edit") {
+      const text = await editHunk(hunk);
+      if (text === null) {
+        console.log(chalk.gray(`${icons.skip} Editor failed, hunk rejected`));
+        decisions.push({ action: "reject" });
+      } else {
+        decisions.push({ action: "edit", text });
       }
+    } else {
+      decisions.push({ action: action || "reject" });
     }
   }
-  return diffOutput;
+  return decisions;
+}
+
+// Show a validated suggestion as a diff and apply what the user accepts: everything, hunk by
+// hunk or nothing. Accepted hunks are written to disk. Returns the change record for reports.
+async function reviewSuggestion(file, suggestion, options = {}) {
+  const hunks = buildHunks(file.content, suggestion.suggestion);
+  const diff = formatDiff(hunks);
+  const patch = createPatch(
+    file.relativePath,
+    file.content,
+    suggestion.suggestion
+  );
+  const change = { file, diff, patch, suggestion, hunks, decisions: [] };
+
+  const boxedDiff = boxen(diff, {
+    padding: 1,
+    margin: 1,
+    borderStyle: "double",
+    borderColor: "magenta",
+    title: `Proposed changes in ${path.basename(file.path)}`,
+    titleAlignment: "center",
+  });
+
+  console.log(boxedDiff);
+  if (suggestion.comparison) {
+    console.log(formatComparison(suggestion.comparison));
+  }
+
+  if (hunks.length === 0) return change;
+
+  const destructive = suggestion.comparison?.classification === "destructive";
+  if (options.yes && destructive && !options["allow-destructive"]) {
+    console.log(
+      chalk.red(
+        `${icons.skip} Skipped ${file.path}: destructive change (use --allow-destructive to apply)`
+      )
+    );
+    change.decisions = hunks.map(() => ({ action: "reject" }));
+    return change;
+  }
+
+  const confirm = options.yes
+    ? { apply: "all" }
+    : await prompts({
+        type: "select",
+        name: "apply",
+        message: chalk.hex("#80EF80")(
+          `${icons.question} Do you want to apply these changes?`
+        ),
+        choices: [
+          { title: chalk.green(`${icons.yes} Yes, apply`), value: "all" },
+          { title: chalk.white("☰ Review hunk by hunk"), value: "hunks" },
+          { title: chalk.red(`${icons.no} No, skip`), value: "skip" },
+        ],
+        initial: 0,
+      });
+
+  // Cancelled (Ctrl+C): no decision was made
+  if (!confirm.apply) {
+    change.cancelled = true;
+    change.decisions = hunks.map(() => ({ action: "reject" }));
+    return change;
+  }
+
+  if (confirm.apply === "all") {
+    change.decisions = hunks.map(() => ({ action: "accept" }));
+  } else if (confirm.apply === "hunks") {
+    change.decisions = await reviewHunks(hunks);
+  } else {
+    change.decisions = hunks.map(() => ({ action: "reject" }));
+  }
+
+  if (change.decisions.some((decision) => decision.action !== "reject")) {
+    const content = applyHunks(file.content, hunks, change.decisions);
+    file.content = content;
+    await fs.writeFile(file.path, content, "utf8");
+    const accepted = change.decisions.filter(
+      (decision) => decision.action !== "reject"
+    ).length;
+    console.log(
+      chalk.green(
+        `${icons.success} Changes applied for ${file.path} (${accepted}/${hunks.length} hunks)`
+      )
+    );
+  } else {
+    console.log(chalk.gray(`${icons.skip} Skipped ${file.path}`));
+  }
+  return change;
 }
 
 // CLI Greeting with magenta theme
@@ -119,14 +422,189 @@ function printGreeting() {
   console.log(greetingBox);
 }
 
-async function analyzeAndRefactor(dir) {
+function providerFromOptions(options) {
+  return createProvider({
+    provider: options.provider,
+    model: options.model,
+    endpoint: options.endpoint,
+    timeout: options.timeout && Number(options.timeout),
+    retries: options.retries && Number(options.retries),
+  });
+}
+
+// What a finished file's review leaves in the session: enough to skip it and rebuild its report
+// entry on resume. Edited hunk text is not kept, only that the hunk was edited.
+function sessionRecord(change) {
+  const accepted = change.decisions.some(
+    (decision) => decision.action !== "reject"
+  );
+  return {
+    status: change.suggestion.error
+      ? "failed"
+      : change.hunks.length === 0
+      ? "no changes"
+      : accepted
+      ? "applied"
+      : "rejected",
+    error: change.suggestion.error?.message,
+    comparison: change.suggestion.comparison,
+    patch: change.patch,
+    hunks: change.hunks.map(({ oldStart, oldLines, newStart, newLines }) => ({
+      oldStart,
+      oldLines,
+      newStart,
+      newLines,
+    })),
+    decisions: change.decisions.map(({ action }) => ({ action })),
+  };
+}
+
+function changeFromRecord(file, record) {
+  return {
+    file,
+    suggestion: record.error
+      ? { error: new Error(record.error) }
+      : { comparison: record.comparison },
+    patch: record.patch,
+    hunks: record.hunks,
+    decisions: record.decisions,
+    resumed: true,
+  };
+}
+
+// The session to record this run in: the interrupted one when it can resume (same prompt and
+// provider) and the user agrees (--resume and --yes resume without asking), else a new one.
+// Null when the question is cancelled.
+async function chooseSession(dir, prompt, provider, options) {
+  const fresh = createSession(prompt, provider);
+  if (options["new-session"]) return fresh;
+
+  const previous = await readSession(dir);
+  if (!canResume(previous, prompt, provider)) {
+    if (options.resume) {
+      console.log(
+        chalk.gray("No interrupted session to resume; starting a new one.")
+      );
+    }
+    return fresh;
+  }
+
+  const reviewed = Object.values(previous.files).filter(
+    (record) => record.status !== "failed"
+  ).length;
+  const { resume } =
+    options.resume || options.yes
+      ? { resume: true }
+      : await prompts({
+          type: "confirm",
+          name: "resume",
+          message: chalk.hex("#80EF80")(
+            `${icons.question} Resume the session started ${new Date(
+              previous.startedAt
+            ).toLocaleString()} (${reviewed} file(s) reviewed)?`
+          ),
+          initial: true,
+        });
+  if (resume === undefined) return null;
+  if (resume) {
+    console.log(
+      chalk.gray(
+        `Resuming: files reviewed since and unchanged are skipped (${path.join(
+          dir,
+          sessionFile
+        )}).`
+      )
+    );
+  }
+  return resume ? previous : fresh;
+}
+
+// The refactor prompt for the chosen profiles (--profile, else asked, else the project's
+// defaults with --yes) and the project's style guides. Null when the question is cancelled.
+async function choosePrompt(dir, options) {
+  const { profiles, styleGuides, defaults } = await loadProfiles(
+    dir,
+    options.settings?.refactor
+  );
+  let selected;
+  if (options.profile) {
+    selected = selectProfiles(profiles, options.profile);
+  } else if (options.yes) {
+    selected = defaults;
+  } else {
+    const answer = await prompts({
+      type: "multiselect",
+      name: "selected",
+      message: chalk.hex("#80EF80")("Refactor goals"),
+      choices: Object.entries(profiles).map(([name, profile]) => ({
+        title: name,
+        description: profile.description,
+        value: name,
+        selected: defaults.includes(name),
+      })),
+      min: 1,
+      hint: "- Space to select. Return to submit",
+    });
+    if (!answer.selected) return null;
+    selected = answer.selected;
+  }
+
+  console.log(
+    chalk.gray(
+      `Goals: ${selected.join(", ")}${
+        styleGuides.length
+          ? `; style guides: ${styleGuides
+              .map((guide) => guide.path)
+              .join(", ")}`
+          : ""
+      }`
+    )
+  );
+  return buildPrompt(profiles, selected, styleGuides);
+}
+
+// `ta optimize --list-profiles`
+async function listProfiles(dir, options = {}) {
+  const { profiles, styleGuides, defaults } = await loadProfiles(
+    dir,
+    options.settings?.refactor
+  );
+  console.log(chalk.hex("#80EF80")(" Refactor profiles:\n"));
+  for (const [name, profile] of Object.entries(profiles)) {
+    console.log(
+      `  ${chalk.white.bold(name.padEnd(16))} ${profile.description}${
+        defaults.includes(name) ? chalk.hex("#FFD580")(" (default)") : ""
+      } ${chalk.gray(`(${profile.source})`)}`
+    );
+  }
+  if (styleGuides.length) {
+    console.log(
+      chalk.gray(
+        `\nStyle guides: ${styleGuides.map((guide) => guide.path).join(", ")}`
+      )
+    );
+  }
+  console.log(
+    chalk.gray(
+      "\nCombine profiles with 'ta optimize <dir> --profile readability,tagging'."
+    )
+  );
+  return true;
+}
+
+async function analyzeAndRefactor(dir, options = {}) {
+  if (options["list-profiles"]) return listProfiles(dir, options);
+
   console.log(
     chalk.hex("#80EF80")(
       `${icons.analyze} Analyzing Terraform files in directory: ${dir}`
     )
   );
   const spinner = ora("Loading files...").start();
-  const files = await readTfFiles(dir);
+  const files = await readTfFiles(dir, {
+    include: options.include ? options.include.split(",") : [],
+    ignore: options.settings?.ignore,
+  });
   spinner.succeed(`${icons.success} Files loaded successfully`);
 
   if (files.length === 0) {
@@ -135,501 +613,1829 @@ async function analyzeAndRefactor(dir) {
         `${icons.warn} No Terraform files found in the directory!`
       )
     );
-    return;
+    return false;
+  }
+
+  let provider;
+  try {
+    provider = providerFromOptions(options);
+  } catch (error) {
+    console.error(chalk.red(`${icons.warn} ${error.message}`));
+    return false;
   }
 
-  const prompt =
-    "Can you refactor this Terraform code for readability, performance, and best practices? Respond with only the fixed code.";
+  let prompt;
+  try {
+    prompt = await choosePrompt(dir, options);
+  } catch (error) {
+    console.error(chalk.red(`${icons.warn} ${error.message}`));
+    return false;
+  }
+  if (!prompt) return false;
+  const cache = createSuggestionCache(provider, {
+    disabled: options["no-cache"],
+  });
+  const session = await chooseSession(dir, prompt, provider, options);
+  if (!session) return false;
   let changes = [];
 
+  // Ask for every suggestion up front, a few requests at a time, then review them in file order
+  const pending = files.filter((file) => !reviewedFile(session, file));
+  const progress = ora(`Refactoring ${pending.length} file(s)...`).start();
+  const results = await refactorFiles(pending, prompt, provider, {
+    cache,
+    project: files,
+    concurrency: options.concurrency ? Number(options.concurrency) : 4,
+    chunkSize: options["chunk-size"] ? Number(options["chunk-size"]) : 12000,
+    onProgress: ({ done, total, running, item }) => {
+      progress.text = `Refactoring: ${done}/${total} request(s) done, ${running} running (${
+        item.file.relativePath
+      }${item.parts > 1 ? ` part ${item.part + 1}/${item.parts}` : ""})`;
+    },
+  });
+  const unavailable = results.find(
+    (result) => result.error instanceof ProviderUnavailableError
+  );
+  if (unavailable) {
+    progress.fail(`${icons.warn} ${unavailable.error.message}`);
+    return false;
+  }
+  progress.succeed(
+    `${icons.success} ${
+      results.filter((result) => !result.error).length
+    } suggestion(s) ready`
+  );
+  const suggestions = new Map(
+    results.map((result, index) => [pending[index], result])
+  );
+
   for (let file of files) {
+    const reviewed = reviewedFile(session, file);
+    if (reviewed) {
+      console.log(
+        chalk.gray(
+          `${icons.skip} ${file.path}: already reviewed (${reviewed.status})`
+        )
+      );
+      changes.push(changeFromRecord(file, reviewed));
+      continue;
+    }
+
     console.log(
       chalk.white.bold(`\n${icons.refactor} Refactoring file: ${file.path}`)
     );
-    const fileSpinner = ora(`Refactoring ${file.path}`).start();
-    const suggestion = await refactorFile(file, prompt);
-    fileSpinner.succeed(`${icons.success} Refactor completed for ${file.path}`);
-
-    const diff = formatDiff(file.content, suggestion.suggestion);
-    changes.push({ file, diff, suggestion });
-
-    const boxedDiff = boxen(diff, {
-      padding: 1,
-      margin: 1,
-      borderStyle: "double",
-      borderColor: "magenta",
-      title: `Proposed changes in ${path.basename(file.path)}`,
-      titleAlignment: "center",
-    });
-
-    console.log(boxedDiff);
-
-    const confirm = await prompts({
-      type: "select",
-      name: "apply",
-      message: chalk.hex("#80EF80")(
-        `${icons.question} Do you want to apply these changes?`
-      ),
-      choices: [
-        { title: chalk.green(`${icons.yes} Yes, apply`), value: true },
-        { title: chalk.red(`${icons.no} No, skip`), value: false },
-      ],
-      initial: 0,
-    });
+    const suggestion = suggestions.get(file);
+    // Failed or invalid suggestions are reported but never offered for apply
+    if (suggestion.error) {
+      console.log(chalk.red(`${icons.warn} ${suggestion.error.message}`));
+      const change = { file, suggestion, hunks: [], decisions: [] };
+      changes.push(change);
+      await recordFile(dir, session, file, sessionRecord(change));
+      continue;
+    }
+    console.log(
+      chalk.green(
+        `${icons.success} Refactor completed for ${file.path}${
+          suggestion.cached ? " (cached)" : ""
+        }`
+      )
+    );
 
-    if (confirm.apply) {
-      file.content = suggestion.suggestion;
-      await fs.writeFile(file.path, suggestion.suggestion, "utf8");
+    const change = await reviewSuggestion(file, suggestion, options);
+    if (change.cancelled) {
       console.log(
-        chalk.green(`${icons.success} Changes applied for ${file.path}`)
+        chalk.hex("#FFD700")(
+          `${icons.warn} Stopped. Progress is saved in ${path.join(
+            dir,
+            sessionFile
+          )}; run optimize again to resume.`
+        )
       );
-    } else {
-      console.log(chalk.gray(`${icons.skip} Skipped ${file.path}`));
+      return false;
     }
+    changes.push(change);
+    await recordFile(dir, session, file, sessionRecord(change));
   }
 
   const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
   const reportPath = path.join(
-    __dirname,
-    "report",
+    reportDir(options),
     `refactor-report-${timestamp}.md`
   );
   let report = `# Terraform Refactor Report (${timestamp})\n\n`;
 
+  const hunkStatus = {
+    accept: "accepted",
+    edit: "edited",
+    reject: "rejected",
+  };
+
+  // Group the report by module / environment
+  const groups = new Map();
   changes.forEach((change) => {
-    report += `## ${change.file.path}\n\n`;
-    report += change.diff + "\n\n";
+    const { type, name } = change.file.label;
+    const heading = type === "root" ? `Root (${name})` : `${type} ${name}`;
+    if (!groups.has(heading)) groups.set(heading, []);
+    groups.get(heading).push(change);
+  });
+
+  groups.forEach((groupChanges, heading) => {
+    report += `## ${heading}\n\n`;
+    groupChanges.forEach((change) => {
+      report += `### ${change.file.path}\n\n`;
+      if (change.resumed)
+        report += "_Reviewed in an earlier, interrupted run._\n\n";
+      if (change.suggestion.error) {
+        report += `${change.suggestion.error.message}\n\n`;
+      } else {
+        const { comparison } = change.suggestion;
+        if (comparison) {
+          report += `Classification: **${comparison.classification}**\n\n`;
+          comparison.changes.forEach((item) => {
+            report += `- ${item.impact}: \`${item.address}\` ${item.detail}\n`;
+          });
+          if (comparison.changes.length) report += "\n";
+        }
+        report += change.patch
+          ? "```diff\n" + change.patch + "```\n\n"
+          : "No changes suggested.\n\n";
+      }
+      change.hunks.forEach((hunk, index) => {
+        const { action = "reject" } = change.decisions[index] || {};
+        report += `- Hunk ${index + 1} \`${formatHunkHeader(hunk)}\`: ${
+          hunkStatus[action]
+        }\n`;
+      });
+      if (change.hunks.length) report += "\n";
+    });
   });
 
+  // One unified patch per file, relative to the analyzed directory (apply with `git apply` from there)
+  const patchDir = path.join(reportDir(options), `patches-${timestamp}`);
+
   const savingSpinner = ora(`${icons.save} Saving refactor report...`).start();
   try {
-    await fs.mkdir(path.join(__dirname, "report"), { recursive: true });
+    await fs.mkdir(reportDir(options), { recursive: true });
     await fs.writeFile(reportPath, report, "utf8");
+    for (const change of changes.filter((change) => change.patch)) {
+      const patchPath = path.join(
+        patchDir,
+        `${change.file.relativePath}.patch`
+      );
+      await fs.mkdir(path.dirname(patchPath), { recursive: true });
+      await fs.writeFile(patchPath, change.patch, "utf8");
+    }
     savingSpinner.succeed(
       `${icons.success} Refactor report saved to ${reportPath}`
     );
+    if (changes.some((change) => change.patch)) {
+      console.log(chalk.gray(`Patches saved to ${patchDir}`));
+    }
   } catch (error) {
     savingSpinner.fail(`${icons.warn} Error saving the refactor report`);
     console.error(chalk.red("Error saving the refactor report:", error));
+    return false;
   }
+  session.completed = true;
+  await saveSession(dir, session);
+  return true;
 }
 
-async function generateFolderStructure(dir) {
-  const { projectType } = await prompts({
-    type: "select",
-    name: "projectType",
-    message: chalk.hex("#80EF80")("How do you want to start your project?"),
-    choices: [
-      { title: "Build from scratch", value: "scratch" },
-      { title: "Use a template", value: "template" },
-    ],
-    initial: 0,
-  });
+// Indented tree of a template's files in path order, with `notes` after the files that have one
+function formatTemplateTree(files, notes = {}) {
+  const lines = [];
+  const seen = new Set();
+  for (const file of [...files].sort()) {
+    const parts = file.replace(/\/$/, "").split("/");
+    parts.forEach((part, depth) => {
+      const key = parts.slice(0, depth + 1).join("/");
+      if (seen.has(key)) return;
+      seen.add(key);
+      const folder = depth < parts.length - 1 || file.endsWith("/");
+      const note = depth === parts.length - 1 && notes[file];
+      lines.push(
+        "  ".repeat(depth) +
+          (folder ? chalk.hex("#80EF80")(`${part}/`) : chalk.white(part)) +
+          (note ? `  ${note}` : "")
+      );
+    });
+  }
+  return lines;
+}
 
-  const templateContents = {
-    // Root Terraform files
-    "main.tf": `terraform {
-      required_providers {
-        aws = {
-          source  = "hashicorp/aws"
-          version = "~> 5.0"
-        }
-      }
-    }
-    
-    provider "aws" {
-      region = var.region
-    }`,
-    "variables.tf": `variable "region" {
-      description = "AWS region"
-      type        = string
-      default     = "us-east-1"
-    }`,
-    "outputs.tf": `output "region" {
-      description = "The AWS region in use"
-      value       = var.region
-    }`,
-    "provider.tf": `provider "aws" {
-      region = var.region
-    }`,
-    "backend.tf": `terraform {
-      backend "s3" {
-        bucket = "my-terraform-state"
-        key    = "global/s3/terraform.tfstate"
-        region = "us-east-1"
-      }
-    }`,
-
-    // 🟢 VPC Module
-    "modules/vpc/main.tf": `resource "aws_vpc" "main" {
-      cidr_block = "10.0.0.0/16"
-      enable_dns_support = true
-      enable_dns_hostnames = true
-    
-      tags = {
-        Name = "main-vpc"
-      }
-    }`,
-
-    // 🟢 Compute Module
-    "modules/compute/main.tf": `resource "aws_instance" "web" {
-      ami           = "ami-0c55b159cbfafe1f0" # Update for your region
-      instance_type = "t2.micro"
-      subnet_id     = "subnet-12345678"       # Replace with actual subnet ID
-    
-      tags = {
-        Name = "web-instance"
+// Show a template's description, variables and file tree; `files` also prints every file
+// rendered with the default values
+async function previewTemplate(template, { files = false } = {}) {
+  const variables = template.variables.map((variable) => {
+    const rules = [
+      variable.type || "string",
+      typeof variable.validation === "string" && variable.validation,
+      variable.validation?.message || variable.validation?.pattern,
+      variable.choices && `one of ${variable.choices.join(", ")}`,
+    ].filter(Boolean);
+    const value =
+      variable.default === undefined
+        ? chalk.hex("#FFD580")("required")
+        : JSON.stringify(variable.default);
+    return `  ${chalk.white.bold(variable.name)} = ${value} ${chalk.gray(
+      `(${rules.join(", ")})${
+        variable.description ? `  ${variable.description}` : ""
+      }`
+    )}`;
+  });
+  // Outside the box: boxen trims leading spaces when it wraps long lines
+  console.log(
+    boxen(
+      [template.description, chalk.gray(`Source: ${template.source}`)].join(
+        "\n"
+      ),
+      {
+        padding: 1,
+        borderStyle: "round",
+        borderColor: "green",
+        title: `${isWindows ? "[*]" : template.icon} ${template.name}`,
+        titleAlignment: "center",
       }
-    }`,
-
-    // 🟢 Database Module
-    "modules/database/main.tf": `resource "aws_db_instance" "default" {
-      allocated_storage    = 20
-      engine               = "mysql"
-      engine_version       = "8.0"
-      instance_class       = "db.t3.micro"
-      name                 = "mydb"
-      username             = "admin"
-      password             = "changeme123"
-      parameter_group_name = "default.mysql8.0"
-      skip_final_snapshot  = true
-    
-      tags = {
-        Name = "mysql-database"
+    )
+  );
+  if (variables.length) console.log(["\nVariables:", ...variables].join("\n"));
+  console.log(
+    [
+      "\nFiles:",
+      ...formatTemplateTree(template.files).map((line) => `  ${line}`),
+    ].join("\n")
+  );
+
+  if (!files) return;
+  const values = defaultValues(template.variables);
+  for (const file of await renderTemplate(template, values, "terraform")) {
+    if (file.content === null) continue;
+    console.log(chalk.hex("#FFD580").bold(`\n── ${file.path}`));
+    console.log(file.content);
+  }
+}
+
+// The template's files rendered with `values` and the settings block for `tool`
+async function renderTemplate(template, values, tool) {
+  return (await readTemplateFiles(template)).map((file) => ({
+    path: file.path,
+    content:
+      file.content === null
+        ? null
+        : renderFile(file.path, file.content, values, {
+            terraform_settings: settingsBlock(tool),
+          }),
+  }));
+}
+
+function templateSources(options) {
+  return options.source ? [options.source] : [];
+}
+
+// `ta templates`: list the available templates, or preview one
+async function listTemplates(dir, options = {}) {
+  const templates = await discoverTemplates({
+    sources: templateSources(options),
+  });
+  if (options.preview) {
+    await previewTemplate(findTemplate(templates, options.preview), options);
+    return true;
+  }
+
+  console.log(chalk.hex("#80EF80")(" Templates:\n"));
+  for (const template of templates) {
+    console.log(
+      `  ${isWindows ? "[*]" : template.icon} ${chalk.white.bold(
+        template.name.padEnd(12)
+      )} ${template.description} ${chalk.gray(`(${template.source})`)}`
+    );
+  }
+  console.log(
+    chalk.gray(
+      `\nUser templates are read from ${userTemplatesDir()}. Preview one with 'ta templates --preview <name>'.`
+    )
+  );
+  return true;
+}
+
+// Prompt for one template variable, checking the answer as it is typed
+async function askVariable(variable, initial) {
+  const message = chalk.hex("#80EF80")(
+    variable.description
+      ? `${variable.description} (${variable.name})`
+      : variable.name
+  );
+  const question = variable.choices
+    ? {
+        type: "select",
+        choices: variable.choices.map((value) => ({
+          title: String(value),
+          value,
+        })),
+        initial: Math.max(variable.choices.indexOf(initial), 0),
       }
-    }`,
+    : variable.type === "boolean"
+    ? { type: "confirm", initial: Boolean(initial) }
+    : {
+        type: "text",
+        initial: Array.isArray(initial)
+          ? initial.join(", ")
+          : String(initial ?? ""),
+        validate: (input) => parseValue(variable, input).error || true,
+      };
+  const { value } = await prompts({ name: "value", message, ...question });
+  return value;
+}
 
-    // 🔵 Environment Dev/Test/Prod main.tf
-    "environments/dev/main.tf": `module "vpc" {
-      source = "../../modules/vpc"
-    }
-    
-    module "compute" {
-      source = "../../modules/compute"
-    }
-    
-    module "database" {
-      source = "../../modules/database"
-    }
-    
-    output "environment" {
-      value = "dev"
-    }
-    `,
-    "environments/test/main.tf": `module "vpc" {
-      source = "../../modules/vpc"
-    }
-    
-    module "compute" {
-      source = "../../modules/compute"
-    }
-    
-    module "database" {
-      source = "../../modules/database"
-    }
-    
-    output "environment" {
-      value = "test"
-    }
-    `,
-    "environments/prod/main.tf": `module "vpc" {
-      source = "../../modules/vpc"
-    }
-    
-    module "compute" {
-      source = "../../modules/compute"
-    }
-    
-    module "database" {
-      source = "../../modules/database"
-    }
-    
-    output "environment" {
-      value = "prod"
+// Variable values for a template from a JSON answers file: { "<variable>": <value> }
+async function readAnswers(file) {
+  try {
+    const answers = JSON.parse(await fs.readFile(file, "utf8"));
+    if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+      throw new Error("expected an object of variable values");
     }
-  `,
-  };
+    return answers;
+  } catch (error) {
+    throw new Error(`Cannot read answers file ${file}: ${error.message}`);
+  }
+}
 
-  const getTemplateStructure = (template) => {
-    switch (template) {
-      case "3tier":
-        return [
-          "modules/vpc/",
-          "modules/compute/",
-          "modules/database/",
-          "environments/dev/",
-          "environments/test/",
-          "environments/prod/",
-          "environments/dev/main.tf",
-          "environments/test/main.tf",
-          "environments/prod/main.tf",
-          "main.tf",
-          "variables.tf",
-          "outputs.tf",
-          "backend.tf",
-          "provider.tf",
-        ];
-      case "s3website":
-        return [
-          "modules/s3/",
-          "main.tf",
-          "variables.tf",
-          "outputs.tf",
-          "backend.tf",
-          "provider.tf",
-        ];
-      case "rds":
-        return [
-          "modules/rds/",
-          "main.tf",
-          "variables.tf",
-          "outputs.tf",
-          "backend.tf",
-          "provider.tf",
-        ];
-      case "vpc":
-        return [
-          "modules/vpc/",
-          "main.tf",
-          "variables.tf",
-          "outputs.tf",
-          "backend.tf",
-          "provider.tf",
-        ];
-      default:
-        return [
-          "modules/",
-          "scripts/",
-          "environments/dev/",
-          "environments/test/",
-          "environments/prod/",
-          "main.tf",
-          "variables.tf",
-          "outputs.tf",
-          "provider.tf",
-          "backend.tf",
-        ];
-    }
-  };
+const generationNotes = {
+  create: chalk.green("new"),
+  update: chalk.hex("#FFD580")("update"),
+  keep: chalk.gray("kept (edited, template unchanged)"),
+  merge: chalk.magenta("merge"),
+  conflict: chalk.red("conflict"),
+  obsolete: chalk.gray("no longer in the template, left in place"),
+};
 
-  let structure = [];
+// The tree of a planned generation with what happens to each file
+function printGenerationPlan(dir, entries) {
+  const notes = Object.fromEntries(
+    entries.map((entry) => [
+      entry.path,
+      entry.action === "conflict"
+        ? `${generationNotes.conflict} ${chalk.gray(
+            entry.conflicts
+              ? `(merge would leave ${entry.conflicts} conflict(s))`
+              : "(exists and differs)"
+          )}`
+        : generationNotes[entry.action],
+    ])
+  );
+  console.log(chalk.hex("#80EF80")(` Planned changes in ${dir}:\n`));
+  console.log(
+    formatTemplateTree(
+      entries.map((entry) => entry.path),
+      notes
+    )
+      .map((line) => `  ${line}`)
+      .join("\n")
+  );
+  console.log(chalk.gray("\nDry run: nothing was written."));
+}
 
-  if (projectType === "scratch") {
-    const { layout } = await prompts({
+// Ask what to do with an existing file that differs from the template
+async function resolveConflict(entry) {
+  for (;;) {
+    const { resolution } = await prompts({
       type: "select",
-      name: "layout",
-      message: chalk.hex("#FFD580")("Choose folder layout"),
+      name: "resolution",
+      message: chalk.hex("#FFD580")(
+        `${icons.warn} ${entry.path} already exists and differs from the template`
+      ),
       choices: [
-        { title: "📁 Flat source", value: "flat" },
-        { title: "🌍 Multi-environment (recommended)", value: "multi" },
+        { title: "Overwrite with the template", value: "overwrite" },
+        { title: "Skip (keep the existing file)", value: "skip" },
+        {
+          title: entry.conflicts
+            ? `Merge (${entry.conflicts} conflict(s) marked in the file)`
+            : "Merge",
+          value: "merge",
+        },
+        { title: "Show diff", value: "diff" },
       ],
       initial: 1,
     });
+    if (resolution !== "diff") return resolution;
+    console.log(
+      boxen(formatDiff(buildHunks(entry.existing, entry.content)), {
+        padding: 1,
+        borderStyle: "double",
+        borderColor: "magenta",
+        title: `${entry.path}: existing → template`,
+        titleAlignment: "center",
+      })
+    );
+  }
+}
 
-    structure =
-      layout === "flat"
-        ? [
-            "main.tf",
-            "variables.tf",
-            "outputs.tf",
-            "provider.tf",
-            "backend.tf",
-            "modules/",
-            "scripts/",
-          ]
-        : [
-            "modules/",
-            "scripts/",
-            "environments/dev/",
-            "environments/test/",
-            "environments/prod/",
-            "main.tf",
-            "variables.tf",
-            "outputs.tf",
-            "provider.tf",
-            "backend.tf",
-          ];
-  } else {
-    const { templateChoice } = await prompts({
-      type: "select",
-      name: "templateChoice",
-      message: chalk.hex("#80EF80")("Choose a template:"),
-      choices: [
-        {
-          title: `${icons["3tier"]} 3-tier AWS architecture`,
-          value: "3tier",
-        },
-        {
-          title: `${icons["s3website"]} Static website with S3`,
-          value: "s3website",
-        },
-        { title: `${icons["rds"]} RDS MySQL only`, value: "rds" },
-        { title: `${icons["vpc"]} Single VPC only`, value: "vpc" },
-        {
-          title: `${icons["default"]} Default template`,
-          value: "default",
-        },
-      ],
-      initial: 0,
-    });
+const generationOutcomes = {
+  create: "created",
+  update: "updated",
+  merge: "merged",
+  keep: "kept",
+  overwrite: "overwritten",
+  skip: "skipped",
+};
+
+// Write rendered template files into `dir` without clobbering anything. Every file is planned
+// first; files that differ from the template are settled with --on-conflict, or by asking, before
+// the first write. `generation.previous` is the manifest of an earlier run of the same template,
+// which lets edited files be merged. Records the new manifest afterwards.
+async function writeProject(dir, generation, options) {
+  const entries = await planGeneration(
+    dir,
+    generation.files,
+    generation.previous
+  );
+  if (options["dry-run"]) {
+    printGenerationPlan(dir, entries);
+    return true;
+  }
+
+  const conflicts = entries.filter((entry) => entry.action === "conflict");
+  const policy = options["on-conflict"] || (options.yes ? "fail" : "ask");
+  if (conflicts.length && policy === "fail") {
+    console.error(
+      chalk.red(
+        `❌ ${
+          conflicts.length
+        } existing file(s) differ from the template: ${conflicts
+          .map((entry) => entry.path)
+          .join(", ")}`
+      )
+    );
+    console.log(
+      chalk.gray(
+        "Nothing was written. Choose with --on-conflict overwrite|skip|merge, or see the plan with --dry-run."
+      )
+    );
+    return false;
+  }
 
-    structure = getTemplateStructure(templateChoice);
+  const resolutions = new Map();
+  for (const entry of conflicts) {
+    const resolution = policy === "ask" ? await resolveConflict(entry) : policy;
+    if (!resolution) return false;
+    resolutions.set(entry.path, resolution);
   }
 
-  for (const item of structure) {
-    const fullPath = path.join(dir, item);
-    if (item.endsWith("/")) {
+  const counts = {};
+  const marked = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.path);
+    const resolution = resolutions.get(entry.path);
+    if (entry.content === null && entry.action === "create") {
       await fs.mkdir(fullPath, { recursive: true });
-    } else {
-      const content = templateContents[item] || "";
+      continue;
+    }
+    const content = plannedContent(entry, resolution);
+    if (content !== null) {
       await fs.mkdir(path.dirname(fullPath), { recursive: true });
       await fs.writeFile(fullPath, content, "utf8");
     }
+    const outcome =
+      generationOutcomes[resolution] || generationOutcomes[entry.action];
+    if (outcome) counts[outcome] = (counts[outcome] || 0) + 1;
+    if (resolution === "merge" && entry.conflicts) marked.push(entry.path);
   }
+  await writeGenerationManifest(dir, generation);
 
-  console.log(chalk.green("✅ Project structure created at:"), dir);
+  console.log(
+    chalk.green(
+      generation.previous
+        ? "✅ Project updated at:"
+        : "✅ Project structure created at:"
+    ),
+    dir
+  );
+  const summary = Object.entries(counts)
+    .map(([outcome, count]) => `${count} ${outcome}`)
+    .join(", ");
+  if (summary) console.log(chalk.gray(`Files: ${summary}.`));
+  if (marked.length) {
+    console.log(
+      chalk.hex("#FFD700")(
+        `${
+          icons.warn
+        } Resolve the conflict markers (<<<<<<< existing / >>>>>>> template) in: ${marked.join(
+          ", "
+        )}`
+      )
+    );
+  }
+  const obsolete = entries.filter((entry) => entry.action === "obsolete");
+  if (obsolete.length) {
+    console.log(
+      chalk.gray(
+        `No longer in the template, left in place: ${obsolete
+          .map((entry) => entry.path)
+          .join(", ")}`
+      )
+    );
+  }
+  return true;
 }
 
-async function checkSecurity(dir) {
-  const spinner = ora("Running tfsec security checks...").start();
-  exec(`tfsec ${dir}`, (err, stdout, stderr) => {
-    spinner.stop();
-    if (err) {
-      console.error(chalk.red("❌ Security scan failed:"), stderr);
-    } else {
-      console.log(chalk.hex("#80EF80")(" Security report:\n"));
-      console.log(stdout);
-    }
-  });
+// `generate --upgrade`: render the project's template again at its current version, with the
+// values recorded at generation, and merge the template's changes into the user's files
+async function upgradeProject(dir, options) {
+  const previous = await readGenerationManifest(dir);
+  if (!previous) {
+    throw new Error(
+      `${path.join(
+        dir,
+        manifestFile
+      )} not found: only projects generated by ta can be upgraded.`
+    );
+  }
+
+  // The template comes from where it was found last time unless --source says otherwise
+  const sources = options.source
+    ? [options.source]
+    : ["built-in", "user"].includes(previous.source) || !previous.source
+    ? []
+    : [previous.source];
+  const template = findTemplate(
+    await discoverTemplates({ sources }),
+    previous.template
+  );
+  console.log(
+    chalk.hex("#80EF80")(
+      `Upgrading ${template.name} from version ${
+        previous.version || "unknown"
+      } to ${template.version || "unknown"}`
+    )
+  );
+
+  // Recorded values for the variables the template still has, then the answers file; new
+  // variables are asked for
+  const names = new Set(template.variables.map((variable) => variable.name));
+  const recorded = Object.fromEntries(
+    Object.entries(previous.values || {}).filter(([name]) => names.has(name))
+  );
+  const values = await resolveValues(
+    template.variables,
+    {
+      ...recorded,
+      ...(options.answers ? await readAnswers(options.answers) : {}),
+    },
+    { useDefaults: options.yes, ask: askVariable }
+  );
+  if (!values) return false;
+
+  const tool = options.binary || previous.tool || "terraform";
+  return writeProject(
+    dir,
+    {
+      template,
+      tool,
+      values,
+      files: await renderTemplate(template, values, tool),
+      previous,
+    },
+    options
+  );
 }
 
-async function deployTerraform(dir) {
-  // Check if Terraform is installed
-  const checkTerraform = await new Promise((resolve) => {
-    exec("which terraform", (err, stdout) => {
-      resolve(Boolean(stdout && stdout.trim().length > 0));
-    });
+async function generateFolderStructure(dir, options = {}) {
+  if (options.upgrade) return upgradeProject(dir, options);
+
+  const { projectType } = options.template
+    ? { projectType: "template" }
+    : options.layout
+    ? { projectType: "scratch" }
+    : await prompts({
+        type: "select",
+        name: "projectType",
+        message: chalk.hex("#80EF80")("How do you want to start your project?"),
+        choices: [
+          { title: "Build from scratch", value: "scratch" },
+          { title: "Use a template", value: "template" },
+        ],
+        initial: 0,
+      });
+
+  if (!projectType) return false;
+
+  const templates = await discoverTemplates({
+    sources: templateSources(options),
   });
+  let name;
 
-  if (!checkTerraform) {
-    const { install } = await prompts({
+  if (projectType === "scratch") {
+    const { layout } = options.layout
+      ? { layout: options.layout }
+      : await prompts({
+          type: "select",
+          name: "layout",
+          message: chalk.hex("#FFD580")("Choose folder layout"),
+          choices: [
+            { title: "📁 Flat source", value: "flat" },
+            { title: "🌍 Multi-environment (recommended)", value: "multi" },
+          ],
+          initial: 1,
+        });
+    if (!layout) return false;
+    name = layout === "flat" ? "flat" : "default";
+  } else {
+    const { templateChoice } = options.template
+      ? { templateChoice: options.template }
+      : await prompts({
+          type: "select",
+          name: "templateChoice",
+          message: chalk.hex("#80EF80")("Choose a template:"),
+          choices: templates.map((template) => ({
+            title: `${isWindows ? "[*]" : template.icon} ${template.name}`,
+            description: template.description,
+            value: template.name,
+          })),
+          initial: 0,
+        });
+    if (!templateChoice) return false;
+    name = templateChoice;
+  }
+
+  const template = findTemplate(templates, name);
+  if (!options.template && !options.layout) {
+    await previewTemplate(template);
+    const { proceed } = await prompts({
       type: "confirm",
-      name: "install",
-      message: chalk.hex("#FFD580")(
-        "Terraform is not installed. Do you want to install it?"
-      ),
+      name: "proceed",
+      message: chalk.hex("#80EF80")(`Generate ${template.name} in ${dir}?`),
       initial: true,
     });
+    if (!proceed) return false;
+  }
+
+  // Settings for the binary picked with --binary, else the one installed (Terraform when both are)
+  let tool = options.binary;
+  if (!tool) {
+    tool =
+      (await which("terraform")) || !(await which("tofu"))
+        ? "terraform"
+        : "tofu";
+  }
+  const values = await resolveValues(
+    template.variables,
+    options.answers ? await readAnswers(options.answers) : {},
+    { useDefaults: options.yes, ask: askVariable }
+  );
+  if (!values) return false;
+
+  // A manifest from an earlier run of the same template is the merge base for edited files
+  const previous = await readGenerationManifest(dir);
+  const written = await writeProject(
+    dir,
+    {
+      template,
+      tool,
+      values,
+      files: await renderTemplate(template, values, tool),
+      previous: previous?.template === template.name ? previous : null,
+    },
+    options
+  );
+
+  // Remember a non-default binary so deploy and destroy pick it for this project
+  if (
+    written &&
+    !options["dry-run"] &&
+    (tool !== "terraform" || options.binary)
+  ) {
+    await saveProjectTool(dir, tool);
+  }
+  return written;
+}
+
+const severityColors = {
+  critical: chalk.bgRed.white.bold,
+  high: chalk.red.bold,
+  medium: chalk.hex("#FFD580"),
+  low: chalk.gray,
+};
+
+function formatFinding(finding) {
+  return [
+    `${severityColors[finding.severity](
+      finding.severity.toUpperCase().padEnd(8)
+    )} ${chalk.white.bold(finding.ruleId)} ${finding.title}`,
+    `         ${chalk.hex("#80EF80")(`${finding.path}:${finding.line}`)} ${
+      finding.address
+    }: ${finding.message}`,
+    chalk.gray(
+      `         Fix: ${finding.remediation}${
+        finding.source === "ta" ? "" : ` (${finding.source})`
+      }`
+    ),
+  ].join("\n");
+}
+
+function printSecurityReport(result) {
+  console.log(chalk.hex("#80EF80")(" Security report:\n"));
+  if (result.findings.length === 0) {
+    console.log(chalk.green(`${icons.success} No security issues found.`));
+  } else {
+    result.findings.forEach((finding) =>
+      console.log(formatFinding(finding) + "\n")
+    );
+    const { bySeverity } = summarize(result);
+    const counts = Object.entries(bySeverity)
+      .reverse()
+      .filter(([, count]) => count > 0)
+      .map(([severity, count]) => `${count} ${severity}`)
+      .join(", ");
+    console.log(
+      chalk.white.bold(`${result.findings.length} issue(s) found: ${counts}.`)
+    );
+  }
 
-    if (install) {
-      console.log(chalk.hex("#80EF80")("Opening Terraform install guide..."));
-      // Optional: open browser directly (only works in GUI)
-      exec("xdg-open https://developer.hashicorp.com/terraform/downloads");
+  const accepted = [
+    result.suppressed.length &&
+      `${result.suppressed.length} suppressed by ta:ignore comments`,
+    result.baselined.length &&
+      `${result.baselined.length} accepted in ${result.baselinePath}`,
+  ].filter(Boolean);
+  if (accepted.length)
+    console.log(chalk.gray(`Not shown: ${accepted.join(", ")}.`));
+
+  result.errors.forEach((error) =>
+    console.log(
+      chalk.hex("#FFD700")(`${icons.warn} ${error.path}: ${error.message}`)
+    )
+  );
+  if (result.tfsec.enabled && !result.tfsec.available) {
+    console.log(
+      chalk.gray("tfsec is not installed; only built-in rules were run.")
+    );
+  } else if (result.tfsec.error) {
+    console.error(chalk.red("❌ tfsec failed:"), result.tfsec.error);
+  }
+}
+
+const reportWriters = { json: toJson, sarif: toSarif, junit: toJunit };
+
+async function checkSecurity(dir, options = {}) {
+  const format = options.format || "text";
+  const failOn = options["fail-on"] || "low";
+  const spinner = ora({
+    text: "Running security checks...",
+    isSilent: format !== "text" && !options.output,
+  }).start();
+
+  let result;
+  try {
+    result = await runSecurityScan(dir, {
+      rules: options.rules,
+      baseline: options.baseline,
+      scanners: options.settings?.security?.scanners,
+      ignore: options.settings?.ignore,
+    });
+  } catch (error) {
+    spinner.fail(`${icons.warn} Security scan failed`);
+    console.error(chalk.red(error.message));
+    return false;
+  }
+  spinner.stop();
+
+  if (options["update-baseline"]) {
+    const accepted = [...result.baselined, ...result.findings];
+    await writeBaseline(result.baselinePath, accepted);
+    console.log(
+      chalk.green(
+        `${icons.success} Baseline with ${accepted.length} finding(s) written to ${result.baselinePath}`
+      )
+    );
+    return true;
+  }
+
+  if (format === "text") {
+    printSecurityReport(result);
+  } else if (options.output) {
+    await fs.mkdir(path.dirname(path.resolve(options.output)), {
+      recursive: true,
+    });
+    await fs.writeFile(options.output, reportWriters[format](result) + "\n");
+    console.log(
+      chalk.green(
+        `${icons.success} ${format} report saved to ${options.output}`
+      )
+    );
+  } else {
+    console.log(reportWriters[format](result));
+  }
+
+  return !exceedsThreshold(result.findings, failOn) && !result.tfsec.error;
+}
+
+const fixStatus = {
+  fixed: "fixed",
+  remaining: "still reported",
+  skipped: "skipped",
+  failed: "no valid fix",
+};
+
+// Ask the AI provider to fix each security finding, review the fix with the same diff and
+// confirmation flow as refactoring, then scan again to confirm the finding is gone.
+async function fixSecurityIssues(dir, options = {}) {
+  const spinner = ora("Running security checks...").start();
+  const scanOptions = {
+    rules: options.rules,
+    baseline: options.baseline,
+    scanners: options.settings?.security?.scanners,
+    ignore: options.settings?.ignore,
+  };
+  let scanResult;
+  try {
+    scanResult = await runSecurityScan(dir, scanOptions);
+  } catch (error) {
+    spinner.fail(`${icons.warn} Security scan failed`);
+    console.error(chalk.red(error.message));
+    return false;
+  }
+
+  const findings = scanResult.findings.filter((finding) =>
+    exceedsThreshold([finding], options.severity || "low")
+  );
+  if (findings.length === 0) {
+    spinner.succeed(`${icons.success} No security issues to fix`);
+    return true;
+  }
+  spinner.succeed(
+    `${icons.success} ${findings.length} security issue(s) found`
+  );
+
+  let provider;
+  try {
+    provider = providerFromOptions(options);
+  } catch (error) {
+    console.error(chalk.red(`${icons.warn} ${error.message}`));
+    return false;
+  }
+
+  const known = new Set(
+    scanResult.findings.map((finding) => finding.fingerprint)
+  );
+  const outcomes = [];
+  for (const group of groupFindings(findings)) {
+    const record = (status, change) =>
+      group.findings.forEach((finding) =>
+        outcomes.push({ finding, status, change })
+      );
+
+    const filePath = path.join(dir, group.path);
+    const file = {
+      path: filePath,
+      relativePath: group.path,
+      content: await fs.readFile(filePath, "utf8"),
+      label: labelFor(group.path),
+    };
+    console.log(
+      chalk.white.bold(
+        `\n${icons.refactor} ${group.address || group.path}: ${group.findings
+          .map((finding) => finding.ruleId)
+          .join(", ")}`
+      )
+    );
+
+    const block = findingBlock(file.content, group.findings[0]);
+    const fixSpinner = ora(`Asking for a fix in ${group.path}`).start();
+    const suggestion = await refactorFile(
+      file,
+      buildFixPrompt(block, group.findings),
+      provider
+    );
+    if (suggestion.error instanceof ProviderUnavailableError) {
+      fixSpinner.fail(`${icons.warn} ${suggestion.error.message}`);
+      return false;
+    }
+    if (suggestion.error) {
+      fixSpinner.fail(`${icons.warn} ${suggestion.error.message}`);
+      record("failed", { file, suggestion, hunks: [], decisions: [] });
+      continue;
+    }
+    fixSpinner.succeed(`${icons.success} Fix suggested for ${group.path}`);
+
+    const change = await reviewSuggestion(file, suggestion, options);
+    if (!change.decisions.some((decision) => decision.action !== "reject")) {
+      record(change.hunks.length ? "skipped" : "failed", change);
+      continue;
+    }
+
+    // Confirm with a fresh scan: same rule on the same file and address means not fixed
+    const rescan = await runSecurityScan(dir, scanOptions);
+    for (const finding of group.findings) {
+      const still = rescan.findings.some(
+        (current) =>
+          current.ruleId === finding.ruleId &&
+          current.path === finding.path &&
+          current.address === finding.address
+      );
+      outcomes.push({ finding, status: still ? "remaining" : "fixed", change });
       console.log(
-        chalk.hex("#FFD580")(
-          "Please install Terraform and run the command again."
-        )
+        still
+          ? chalk.hex("#FFD700")(
+              `${icons.warn} ${finding.ruleId} is still reported for ${
+                finding.address || finding.path
+              }`
+            )
+          : chalk.green(`${icons.success} ${finding.ruleId} resolved`)
       );
-    } else {
-      console.log(chalk.red("Terraform is required to deploy. Aborting."));
     }
-    return;
+    rescan.findings
+      .filter(
+        (current) =>
+          current.path === group.path && !known.has(current.fingerprint)
+      )
+      .forEach((current) => {
+        known.add(current.fingerprint);
+        console.log(
+          chalk.hex("#FFD700")(
+            `${icons.warn} New finding after the fix: ${current.ruleId} ${current.address}: ${current.message}`
+          )
+        );
+      });
   }
 
-  const { proceed } = await prompts({
-    type: "confirm",
-    name: "proceed",
+  const counts = Object.keys(fixStatus)
+    .map((status) => [
+      status,
+      outcomes.filter((outcome) => outcome.status === status).length,
+    ])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${count} ${fixStatus[status]}`);
+  console.log(chalk.white.bold(`\nSecurity fixes: ${counts.join(", ")}.`));
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const reportPath = path.join(
+    reportDir(options),
+    `security-fix-report-${timestamp}.md`
+  );
+  let report = `# Security Fix Report (${timestamp})\n\n`;
+  outcomes.forEach(({ finding, status }) => {
+    report += `- **${finding.ruleId}** (${finding.severity}) \`${
+      finding.address || finding.path
+    }\` in ${finding.path}:${finding.line}: ${fixStatus[status]}\n`;
+  });
+  report += "\n";
+  const changes = [...new Set(outcomes.map((outcome) => outcome.change))];
+  changes
+    .filter((change) => change.patch)
+    .forEach((change) => {
+      report += `## ${change.file.relativePath}\n\n\`\`\`diff\n${change.patch}\`\`\`\n\n`;
+    });
+  try {
+    await fs.mkdir(path.dirname(reportPath), { recursive: true });
+    await fs.writeFile(reportPath, report, "utf8");
+    console.log(chalk.green(`${icons.save} Report saved: ${reportPath}`));
+  } catch (error) {
+    console.error(
+      chalk.red(`${icons.warn} Failed to save report: ${error.message}`)
+    );
+  }
+
+  return outcomes.every((outcome) => outcome.status === "fixed");
+}
+
+// Ask which binary a project uses when both are installed, and offer to remember the answer
+async function chooseTool(dir) {
+  const { name } = await prompts({
+    type: "select",
+    name: "name",
     message: chalk.hex("#80EF80")(
-      "Terraform is installed. Do you want to deploy resources now?"
+      "Both Terraform and OpenTofu are installed. Which one does this project use?"
     ),
-    initial: true,
+    choices: toolNames.map((value) => ({ title: tools[value].label, value })),
+    initial: 0,
   });
+  if (!name) return null;
 
-  if (!proceed) {
-    console.log(chalk.gray("Deployment cancelled by user."));
-    return;
+  const { remember } = await prompts({
+    type: "confirm",
+    name: "remember",
+    message: chalk.hex("#FFD580")(
+      `Remember ${tools[name].label} for this project?`
+    ),
+    initial: true,
+  });
+  if (remember) {
+    const file = await saveProjectTool(dir, name);
+    console.log(chalk.gray(`Saved in ${file}.`));
   }
+  return name;
+}
 
-  const commands = [
-    "terraform fmt",
-    "terraform init",
-    "terraform validate",
-    "terraform plan",
-    "terraform apply -auto-approve",
-  ];
+function openInstallGuide(tool) {
+  console.log(chalk.hex("#80EF80")(`Opening ${tool.label} install guide...`));
+  const url = tool.installUrl;
+  const [opener, ...args] = isWindows
+    ? ["cmd", "/c", "start", "", url]
+    : [platform === "darwin" ? "open" : "xdg-open", url];
+  // Only works with a desktop session; the URL is printed below either way
+  spawn(opener, args, { detached: true, stdio: "ignore" })
+    .on("error", () => {})
+    .unref();
+  console.log(
+    chalk.hex("#FFD580")(
+      `Please install ${tool.label} (${url}) and run the command again.`
+    )
+  );
+}
 
-  for (const cmd of commands) {
-    console.log(chalk.hex("#80EF80")(`\n▶ ${cmd}`));
-    await new Promise((resolve) => {
-      const proc = exec(cmd, { cwd: dir }, (err, stdout, stderr) => {
-        if (stdout) console.log(chalk.white(stdout));
-        if (stderr) console.error(chalk.red(stderr));
-        resolve();
-      });
+// The binary for a project: TA_TERRAFORM_BIN, then --binary (or deploy.binary in .tarc), then
+// `binary` in .ta/project.json, then whichever of terraform/tofu is installed (the one the
+// project hints at first).
+// Resolves to a runner with the binary's version and features, or null.
+async function loadTerraform(action, dir, options = {}) {
+  let binary;
+  let wanted = options.binary;
+  try {
+    if (process.env.TA_TERRAFORM_BIN) {
+      binary = await findTerraform();
+    } else {
+      const project = wanted ? null : await projectTool(dir);
+      if (project?.explicit) wanted = project.name;
+      if (wanted) {
+        binary = await findTerraform({ candidates: [wanted] });
+      } else {
+        const installed = [];
+        for (const name of toolNames) {
+          if (await which(name)) installed.push(name);
+        }
+        let name = installed.includes(project?.name)
+          ? project.name
+          : installed[0];
+        if (installed.length > 1 && !project && !options.yes) {
+          name = await chooseTool(dir);
+          if (!name) return null;
+        }
+        binary = name ? await findTerraform({ candidates: [name] }) : null;
+      }
+    }
+  } catch (error) {
+    console.log(chalk.red(`${icons.warn} ${error.message}`));
+    return null;
+  }
 
-      proc.stdout?.pipe(process.stdout);
-      proc.stderr?.pipe(process.stderr);
+  if (binary) {
+    const runner = createRunner(binary, {
+      timeout: options.timeout ? Number(options.timeout) : 0,
     });
+    const version = await toolVersion(runner);
+    const label = tools[runner.name]?.label || runner.name;
+    console.log(
+      chalk.gray(
+        `Using ${label}${version ? ` ${version.join(".")}` : ""} (${
+          runner.binary
+        })`
+      )
+    );
+    return { ...runner, version, features: features(runner.name, version) };
+  }
+
+  const missing = wanted ? [wanted] : toolNames;
+  const names = missing.map((name) => tools[name].label).join(" or ");
+  if (options.yes) {
+    console.log(chalk.red(`${names} is required to ${action}. Aborting.`));
+    return null;
   }
+  const { install } = await prompts({
+    type: "select",
+    name: "install",
+    message: chalk.hex("#FFD580")(
+      `${names} is not installed. Do you want to install it?`
+    ),
+    choices: [
+      ...missing.map((name) => ({
+        title: `Install ${tools[name].label}`,
+        value: name,
+      })),
+      { title: "No", value: null },
+    ],
+    initial: 0,
+  });
+
+  if (install) {
+    openInstallGuide(tools[install]);
+  } else {
+    console.log(chalk.red(`${names} is required to ${action}. Aborting.`));
+  }
+  return null;
 }
 
-async function destroyTerraform(dir) {
-  const checkTerraform = await new Promise((resolve) => {
-    exec("which terraform", (err, stdout) => {
-      resolve(Boolean(stdout && stdout.trim().length > 0));
-    });
+// Print what keeps this binary from running the configuration in `dir`; false on errors
+async function checkCompatibility(dir, terraform) {
+  const problems = await compatibilityProblems(
+    dir,
+    terraform.name,
+    terraform.version
+  );
+  for (const problem of problems) {
+    const color = problem.level === "error" ? chalk.red : chalk.hex("#FFD580");
+    console.log(color(`${icons.warn} ${problem.message}`));
+  }
+  return !problems.some((problem) => problem.level === "error");
+}
+
+function failureMessage(terraform, command, result) {
+  if (result.timedOut) return `${terraform.name} ${command} timed out.`;
+  if (result.cancelled) return `${terraform.name} ${command} was cancelled.`;
+  return `${terraform.name} ${command} failed (exit code ${result.code}).`;
+}
+
+const planActionStyles = {
+  create: [chalk.green, "+"],
+  update: [chalk.hex("#FFD580"), "~"],
+  replace: [chalk.magenta, "-/+"],
+  destroy: [chalk.red, "-"],
+};
+
+function formatPlanSummary(summary) {
+  const rows = summary.changes.map((change) => {
+    const [color, symbol] = planActionStyles[change.action];
+    return color(
+      `  ${symbol.padEnd(4)}${change.action.padEnd(9)}${change.address}`
+    );
+  });
+  const totals = planActions
+    .map((action) => {
+      const [color] = planActionStyles[action];
+      return color(`${summary.counts[action]} to ${action}`);
+    })
+    .join(", ");
+  return boxen([...rows, "", `Plan: ${totals}`].join("\n"), {
+    padding: 1,
+    borderStyle: "round",
+    borderColor: "magenta",
+    title: "Plan summary",
+    titleAlignment: "center",
   });
+}
 
-  if (!checkTerraform) {
-    const { install } = await prompts({
-      type: "confirm",
-      name: "install",
-      message: chalk.hex("#FFD580")(
-        "Terraform is not installed. Do you want to install it?"
-      ),
-      initial: true,
-    });
+const planJsonCandidates = [
+  "plan.json",
+  "tfplan.json",
+  path.join(".terraform", "ta-deploy.json"),
+];
+
+// Analyze a plan JSON offline and write Markdown/HTML reports to report/.
+// `target` is the JSON file or a directory containing one of planJsonCandidates.
+// Returns the analysis, or null when no plan could be read.
+async function writePlanReport(target, options = {}) {
+  let planPath = target;
+  const stat = await fs.stat(target).catch(() => null);
+  if (stat?.isDirectory()) {
+    planPath = null;
+    for (const candidate of planJsonCandidates) {
+      if (await fs.stat(path.join(target, candidate)).catch(() => null)) {
+        planPath = path.join(target, candidate);
+        break;
+      }
+    }
+  }
+  if (!planPath || !stat) {
+    console.log(
+      chalk.red(
+        `${icons.warn} No plan JSON found at ${target}. Create one with: terraform show -json <planfile> > plan.json`
+      )
+    );
+    return null;
+  }
+
+  let analysis;
+  try {
+    const plan = JSON.parse(await fs.readFile(planPath, "utf8"));
+    const projectDir = stat.isDirectory() ? target : path.dirname(target);
+    const prices = await loadPrices(
+      options.prices || path.join(projectDir, ".ta", "prices.json")
+    );
+    analysis = analyzePlan(plan, prices);
+  } catch (error) {
+    console.log(
+      chalk.red(`${icons.warn} Could not analyze ${planPath}: ${error.message}`)
+    );
+    return null;
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const base = path.join(reportDir(options), `plan-report-${timestamp}`);
+  const format = options.format || "both";
+  const meta = { source: planPath };
+  await fs.mkdir(path.dirname(base), { recursive: true });
+  if (format !== "html") {
+    await fs.writeFile(`${base}.md`, renderPlanMarkdown(analysis, meta));
+    console.log(chalk.green(`${icons.save} Plan report saved: ${base}.md`));
+  }
+  if (format !== "md") {
+    await fs.writeFile(`${base}.html`, renderPlanHtml(analysis, meta));
+    console.log(chalk.green(`${icons.save} Plan report saved: ${base}.html`));
+  }
+  return analysis;
+}
+
+async function planReport(target, options = {}) {
+  const analysis = await writePlanReport(target, options);
+  if (!analysis) return false;
+
+  const { deletions, sensitive, totals, currency, unpriced } = analysis;
+  deletions.forEach((item) =>
+    console.log(chalk.red(`  ${item.action.padEnd(8)} ${item.address}`))
+  );
+  sensitive.forEach((item) =>
+    console.log(
+      chalk.hex("#FFD580")(
+        `  sensitive ${item.address}: ${item.attributes.join(", ")}`
+      )
+    )
+  );
+  console.log(
+    chalk.white.bold(
+      `Estimated monthly cost: ${totals.before.toFixed(
+        2
+      )} → ${totals.after.toFixed(2)} ${currency} (${
+        totals.delta >= 0 ? "+" : ""
+      }${totals.delta.toFixed(2)})${
+        unpriced.length ? `, ${unpriced.length} resource(s) not priced` : ""
+      }`
+    )
+  );
+  return true;
+}
+
+async function deployTerraform(dir, options = {}) {
+  const terraform = await loadTerraform("deploy", dir, options);
+  if (!terraform) return false;
+
+  const prices = options.prices || path.join(dir, ".ta", "prices.json");
+  return forEachEnvironment(dir, options, "deploy", (workingDir, environment) =>
+    deployEnvironment(
+      workingDir,
+      environment,
+      { ...options, prices },
+      terraform
+    )
+  );
+}
+
+// Environments to run in: those picked with --env or interactively, or [null] for a directory
+// without environments. Resolves to null when the selection is invalid or cancelled.
+async function chooseEnvironments(dir, options, action) {
+  const environments = await detectEnvironments(dir, {
+    production: options.settings?.environments?.production,
+  });
+  if (environments.length === 0) {
+    if (!options.env) return [null];
+    console.log(
+      chalk.red(
+        `${icons.warn} No environments found under ${dir}/environments.`
+      )
+    );
+    return null;
+  }
+
+  if (options.env) {
+    try {
+      return selectEnvironments(environments, options.env);
+    } catch (error) {
+      console.log(chalk.red(`${icons.warn} ${error.message}`));
+      return null;
+    }
+  }
+
+  const names = environments.map((environment) => environment.name);
+  if (options.yes) {
+    console.log(
+      chalk.red(
+        `${icons.warn} ${dir} has environments (${names.join(
+          ", "
+        )}). Choose with --env <name,...|all>.`
+      )
+    );
+    return null;
+  }
+
+  const { selected } = await prompts({
+    type: "multiselect",
+    name: "selected",
+    message: chalk.hex("#80EF80")(
+      `Which environments do you want to ${action}?`
+    ),
+    choices: environments.map((environment, index) => ({
+      title: environment.production
+        ? chalk.red(`${environment.name} (production)`)
+        : environment.name,
+      value: environment,
+      selected: index === 0,
+    })),
+    min: 1,
+    instructions: false,
+    hint: "Space to select, Enter to confirm. They run in the order shown.",
+  });
+  return selected?.length ? selected : null;
+}
+
+// Production needs its name typed in; `--confirm <name>` does the same without a prompt
+async function confirmProduction(environment, options, action) {
+  if (options.confirm === environment.name) return true;
+  if (options.yes) {
+    console.log(
+      chalk.red(
+        `${icons.warn} ${environment.name} is a production environment. Add --confirm ${environment.name} to ${action} it.`
+      )
+    );
+    return false;
+  }
+  const { typed } = await prompts({
+    type: "text",
+    name: "typed",
+    message: chalk.red(
+      `⚠️  Type '${environment.name}' to ${action} the production environment:`
+    ),
+  });
+  return typed === environment.name;
+}
 
-    if (install) {
-      exec("xdg-open https://developer.hashicorp.com/terraform/downloads");
+// Run `step` for each selected environment in order, asking before moving on to the next one.
+// Stops at the first environment that fails or is cancelled.
+async function forEachEnvironment(dir, options, action, step) {
+  const targets = await chooseEnvironments(dir, options, action);
+  if (!targets) return false;
+
+  for (const [index, environment] of targets.entries()) {
+    if (index > 0) {
+      const previous = targets[index - 1].name;
+      const { proceed } = options.yes
+        ? { proceed: true }
+        : await prompts({
+            type: "confirm",
+            name: "proceed",
+            message: chalk.hex("#80EF80")(
+              `${previous} finished. Continue with ${environment.name}?`
+            ),
+            initial: false,
+          });
+      if (!proceed) {
+        console.log(
+          chalk.gray(`Stopped after ${previous}; ${environment.name} skipped.`)
+        );
+        return false;
+      }
+    }
+
+    if (environment) {
       console.log(
-        chalk.hex("#FFD580")(
-          "Please install Terraform and run the command again."
+        chalk.white.bold(
+          `\n🌍 Environment ${environment.name} (${
+            path.relative(dir, environment.workingDir) || "."
+          })`
         )
       );
-    } else {
-      console.log(chalk.red("Terraform is required to destroy. Aborting."));
     }
-    return;
+    let ok;
+    try {
+      ok = await step(environment ? environment.workingDir : dir, environment);
+    } catch (error) {
+      console.log(chalk.red(`${icons.warn} ${error.message}`));
+      ok = false;
+    }
+    if (!ok) {
+      if (index < targets.length - 1) {
+        console.log(
+          chalk.red(
+            `${icons.warn} Stopped at ${environment.name}; ${targets
+              .slice(index + 1)
+              .map((next) => next.name)
+              .join(", ")} not run.`
+          )
+        );
+      }
+      return false;
+    }
   }
+  return true;
+}
 
-  const { proceed } = await prompts({
-    type: "confirm",
-    name: "proceed",
-    message: chalk.red(
-      "⚠️  Are you sure you want to destroy all Terraform-managed infrastructure in this directory?"
+async function deployEnvironment(dir, environment, options, terraform) {
+  const suffix = environment ? `-${environment.name}` : "";
+  const planFile = path.join(".terraform", `ta-deploy${suffix}.tfplan`);
+  const planJson = path.join(dir, ".terraform", `ta-deploy${suffix}.json`);
+  const extra = environmentArgs(environment);
+  const steps = [
+    ["fmt"],
+    ["init", "-input=false", ...extra.init],
+    ...(environment?.workspace
+      ? [
+          terraform.features.workspaceOrCreate
+            ? ["workspace", "select", "-or-create", environment.workspace]
+            : ["workspace", "select", environment.workspace],
+        ]
+      : []),
+    ["validate"],
+    [
+      "plan",
+      "-input=false",
+      "-detailed-exitcode",
+      `-out=${planFile}`,
+      ...extra.vars,
+    ],
+  ];
+
+  if (!(await checkCompatibility(dir, terraform))) return false;
+
+  let planStatus;
+  for (const args of steps) {
+    console.log(
+      chalk.hex("#80EF80")(`\n▶ ${terraform.name} ${args.join(" ")}`)
+    );
+    let result = await terraform.run(args, { cwd: dir });
+    // Terraform before 1.4 has no `workspace select -or-create`
+    if (
+      args[0] === "workspace" &&
+      result.code !== 0 &&
+      !terraform.features.workspaceOrCreate
+    ) {
+      const create = ["workspace", "new", environment.workspace];
+      console.log(
+        chalk.hex("#80EF80")(`\n▶ ${terraform.name} ${create.join(" ")}`)
+      );
+      result = await terraform.run(create, { cwd: dir });
+    }
+    // plan -detailed-exitcode: 0 = no changes, 2 = changes present
+    if (args[0] === "plan" && (result.code === 0 || result.code === 2)) {
+      planStatus = result.code;
+      continue;
+    }
+    if (result.code !== 0) {
+      console.log(
+        chalk.red(
+          `${icons.warn} ${failureMessage(
+            terraform,
+            args[0],
+            result
+          )} Deployment stopped.`
+        )
+      );
+      return false;
+    }
+  }
+
+  if (planStatus === 0) {
+    console.log(
+      chalk.green(`${icons.success} No changes. Infrastructure is up-to-date.`)
+    );
+    return true;
+  }
+
+  const show = await terraform.run(["show", "-json", planFile], {
+    cwd: dir,
+    json: true,
+  });
+  let summary;
+  try {
+    if (show.code !== 0) throw new Error(`exit code ${show.code}`);
+    summary = summarizePlan(show.json);
+  } catch (error) {
+    console.log(
+      chalk.red(`${icons.warn} Could not read the saved plan: ${error.message}`)
+    );
+    return false;
+  }
+  console.log(formatPlanSummary(summary));
+  await fs.writeFile(planJson, show.stdout);
+  await writePlanReport(planJson, {
+    prices: options.prices,
+    settings: options.settings,
+  });
+
+  if (options["plan-only"]) {
+    console.log(
+      chalk.gray(`Plan saved to ${path.join(dir, planFile)} (not applied).`)
+    );
+    return true;
+  }
+
+  if (hasDeletions(summary) && !options["allow-destroy"]) {
+    console.log(
+      chalk.red(
+        `${icons.warn} The plan destroys or replaces existing resources. Apply blocked; review the plan and re-run with --allow-destroy to apply it.`
+      )
+    );
+    return false;
+  }
+
+  const { proceed } = environment?.production
+    ? { proceed: await confirmProduction(environment, options, "deploy") }
+    : options.yes
+    ? { proceed: true }
+    : await prompts({
+        type: "confirm",
+        name: "proceed",
+        message: chalk.hex("#80EF80")(
+          hasDeletions(summary)
+            ? "⚠️  This plan deletes resources. Apply exactly this plan?"
+            : "Apply exactly this plan?"
+        ),
+        initial: false,
+      });
+
+  if (!proceed) {
+    console.log(chalk.gray("Deployment cancelled by user."));
+    return false;
+  }
+
+  console.log(chalk.hex("#80EF80")(`\n▶ ${terraform.name} apply ${planFile}`));
+  const applied = await terraform.run(["apply", "-input=false", planFile], {
+    cwd: dir,
+  });
+  if (applied.code !== 0) {
+    console.log(
+      chalk.red(`${icons.warn} ${failureMessage(terraform, "apply", applied)}`)
+    );
+    return false;
+  }
+  console.log(
+    chalk.green(
+      `${icons.success} Deployment completed${
+        environment ? ` for ${environment.name}` : ""
+      }.`
+    )
+  );
+  return true;
+}
+
+async function destroyTerraform(dir, options = {}) {
+  const terraform = await loadTerraform("destroy", dir, options);
+  if (!terraform) return false;
+
+  return forEachEnvironment(
+    dir,
+    options,
+    "destroy",
+    (workingDir, environment) =>
+      destroyEnvironment(workingDir, environment, options, {
+        terraform,
+        projectDir: dir,
+      })
+  );
+}
+
+function formatDestroyPreview(resources, protectedResources) {
+  const rows = resources.map((resource) => {
+    const protectedIn = protectedResources.get(resourceKey(resource.address));
+    return protectedIn
+      ? chalk.hex("#FFD580")(
+          `  🔒 ${resource.address} (prevent_destroy in ${protectedIn})`
+        )
+      : chalk.red(`  -  ${resource.address}`);
+  });
+  return boxen(
+    [...rows, "", `${resources.length} resource(s) will be destroyed`].join(
+      "\n"
     ),
-    initial: false,
+    {
+      padding: 1,
+      borderStyle: "round",
+      borderColor: "red",
+      title: "Destroy preview",
+      titleAlignment: "center",
+    }
+  );
+}
+
+// Pick resources to destroy; those protected by prevent_destroy cannot be picked
+async function chooseTargets(addresses, protectedResources) {
+  const { selected } = await prompts({
+    type: "multiselect",
+    name: "selected",
+    message: chalk.hex("#80EF80")("Which resources do you want to destroy?"),
+    choices: addresses.map((address) => {
+      const protectedIn = protectedResources.get(resourceKey(address));
+      return {
+        title: protectedIn ? `🔒 ${address} (prevent_destroy)` : address,
+        value: address,
+        disabled: Boolean(protectedIn),
+      };
+    }),
+    min: 1,
+    instructions: false,
+    hint: "Space to select, Enter to confirm",
   });
+  return selected?.length ? selected : null;
+}
+
+async function destroyEnvironment(
+  dir,
+  environment,
+  options,
+  { terraform, projectDir }
+) {
+  const extra = environmentArgs(environment);
+  const suffix = environment ? `-${environment.name}` : "";
+  const planFile = path.join(".terraform", `ta-destroy${suffix}.tfplan`);
+  const setup = [
+    ["init", "-input=false", ...extra.init],
+    ...(environment?.workspace
+      ? [["workspace", "select", environment.workspace]]
+      : []),
+  ];
+  if (!(await checkCompatibility(dir, terraform))) return false;
+  for (const args of setup) {
+    console.log(
+      chalk.hex("#80EF80")(`\n▶ ${terraform.name} ${args.join(" ")}`)
+    );
+    const result = await terraform.run(args, { cwd: dir });
+    if (result.code !== 0) {
+      console.log(
+        chalk.red(`${icons.warn} ${failureMessage(terraform, args[0], result)}`)
+      );
+      return false;
+    }
+  }
+
+  const protectedResources = await findProtectedResources(projectDir);
+  // Save a destroy plan for `targets` (everything when empty) and list what it destroys
+  const planDestroy = async (targets) => {
+    const args = [
+      "plan",
+      "-destroy",
+      "-input=false",
+      `-out=${planFile}`,
+      ...extra.vars,
+      ...targets.map((target) => `-target=${target}`),
+    ];
+    console.log(
+      chalk.hex("#80EF80")(`\n▶ ${terraform.name} ${args.join(" ")}`)
+    );
+    const result = await terraform.run(args, { cwd: dir });
+    if (result.code !== 0) {
+      console.log(
+        chalk.red(
+          `${icons.warn} ${failureMessage(terraform, "plan -destroy", result)}`
+        )
+      );
+      return null;
+    }
+    const show = await terraform.run(["show", "-json", planFile], {
+      cwd: dir,
+      json: true,
+    });
+    try {
+      if (show.code !== 0) throw new Error(`exit code ${show.code}`);
+      return summarizePlan(show.json).changes.filter(
+        (change) => change.action === "destroy"
+      );
+    } catch (error) {
+      console.log(
+        chalk.red(
+          `${icons.warn} Could not read the destroy plan: ${error.message}`
+        )
+      );
+      return null;
+    }
+  };
+
+  let targets = options.target || [];
+  let resources = await planDestroy(targets);
+
+  if (!resources && protectedResources.size > 0) {
+    console.log(
+      chalk.hex("#FFD580")(
+        `${icons.warn} Protected by prevent_destroy: ${[
+          ...protectedResources.keys(),
+        ].join(
+          ", "
+        )}. Terraform refuses to destroy them; choose other resources with --target or remove the protection first.`
+      )
+    );
+    // Interactively, offer the resources in state that are not protected
+    if (options.yes || targets.length > 0) return false;
+    const list = await terraform.run(["state", "list"], {
+      cwd: dir,
+      capture: true,
+    });
+    if (list.code !== 0) return false;
+    targets = await chooseTargets(
+      list.stdout.split("\n").filter(Boolean),
+      protectedResources
+    );
+    if (!targets) return false;
+    resources = await planDestroy(targets);
+  }
+  if (!resources) return false;
+
+  if (resources.length === 0) {
+    console.log(chalk.green(`${icons.success} Nothing to destroy.`));
+    return true;
+  }
+  console.log(formatDestroyPreview(resources, protectedResources));
+
+  if (!options.yes && !options["dry-run"] && targets.length === 0) {
+    const { scope } = await prompts({
+      type: "select",
+      name: "scope",
+      message: chalk.hex("#80EF80")("What do you want to destroy?"),
+      choices: [
+        {
+          title: chalk.red(`All ${resources.length} resource(s)`),
+          value: "all",
+        },
+        { title: chalk.white("☰ Choose resources"), value: "choose" },
+        { title: chalk.gray(`${icons.no} Cancel`), value: "cancel" },
+      ],
+      initial: 1,
+    });
+    if (scope === "choose") {
+      targets = await chooseTargets(
+        resources.map((resource) => resource.address),
+        protectedResources
+      );
+      if (!targets) return false;
+      resources = await planDestroy(targets);
+      if (!resources) return false;
+      console.log(formatDestroyPreview(resources, protectedResources));
+    } else if (scope !== "all") {
+      console.log(chalk.gray("Destroy operation cancelled by user."));
+      return false;
+    }
+  }
+
+  if (options["dry-run"]) {
+    console.log(
+      chalk.gray(
+        `Dry run: nothing was destroyed. The destroy plan is saved in ${path.join(
+          dir,
+          planFile
+        )}.`
+      )
+    );
+    return true;
+  }
+
+  const { proceed } = environment?.production
+    ? { proceed: await confirmProduction(environment, options, "destroy") }
+    : options.yes
+    ? { proceed: true }
+    : await prompts({
+        type: "confirm",
+        name: "proceed",
+        message: chalk.red(
+          `⚠️  Destroy these ${resources.length} resource(s)${
+            environment ? ` in ${environment.name}` : ""
+          }?`
+        ),
+        initial: false,
+      });
 
   if (!proceed) {
     console.log(chalk.gray("Destroy operation cancelled by user."));
-    return;
+    return false;
   }
 
-  const command = "terraform destroy -auto-approve";
-  console.log(chalk.red(`\n▶ ${command}`));
+  const state = await terraform.run(["state", "pull"], {
+    cwd: dir,
+    capture: true,
+  });
+  if (state.code !== 0) {
+    console.log(
+      chalk.red(
+        `${icons.warn} Could not back up the state (terraform state pull failed). Nothing was destroyed.`
+      )
+    );
+    return false;
+  }
+  const backup = backupPath(dir, environment);
+  await fs.mkdir(path.dirname(backup), { recursive: true });
+  await fs.writeFile(backup, state.stdout, { mode: 0o600 });
+  console.log(chalk.gray(`${icons.save} State backed up to ${backup}`));
 
-  await new Promise((resolve) => {
-    const proc = exec(command, { cwd: dir }, (err, stdout, stderr) => {
-      if (stdout) console.log(chalk.white(stdout));
-      if (stderr) console.error(chalk.red(stderr));
-      resolve();
-    });
+  console.log(chalk.red(`\n▶ ${terraform.name} apply ${planFile}`));
+  const applied = await terraform.run(["apply", "-input=false", planFile], {
+    cwd: dir,
+  });
 
-    proc.stdout?.pipe(process.stdout);
-    proc.stderr?.pipe(process.stderr);
+  const auditLog = await appendAuditLog(projectDir, {
+    action: "destroy",
+    environment: environment?.name ?? null,
+    dir: path.resolve(dir),
+    targets,
+    resources: resources.map((resource) => resource.address),
+    backup,
+    result: applied.code === 0 ? "success" : "failed",
+    exitCode: applied.code,
   });
+  console.log(chalk.gray(`Audit log: ${auditLog}`));
+
+  if (applied.code !== 0) {
+    console.log(
+      chalk.red(`${icons.warn} ${failureMessage(terraform, "apply", applied)}`)
+    );
+    return false;
+  }
+  console.log(
+    chalk.green(`${icons.success} Destroyed ${resources.length} resource(s).`)
+  );
+  return true;
 }
 
 async function mainMenu() {
@@ -641,13 +2447,14 @@ async function mainMenu() {
     choices: [
       {
         title: chalk.white("✨ Generate Terraform Folder Structure"),
-        value: "generateStructure",
+        value: "generate",
       },
       {
         title: chalk.white("✨ Optimize Terraform Source Code"),
         value: "optimize",
       },
       { title: chalk.white("✨ Check for Security Issues"), value: "security" },
+      { title: chalk.white("✨ Fix Security Issues with AI"), value: "fix" },
       { title: chalk.white("✨ Deploy Terraform Resources"), value: "deploy" },
       { title: chalk.red("✨ Destroy Terraform Resources"), value: "destroy" },
     ],
@@ -667,21 +2474,49 @@ async function mainMenu() {
     return;
   }
 
+  // The .tarc settings stand in for the flags the menu has no way to give.
+  // Menu actions are named after the commands, so they take the same settings.
+  let options;
+  try {
+    const { settings } = await loadConfig(dir);
+    options = { ...settingsOptions(action, settings), settings };
+  } catch (error) {
+    console.log(chalk.red(`${icons.warn} ${error.message}`));
+    return;
+  }
+
   switch (action) {
-    case "generateStructure":
-      return generateFolderStructure(dir);
+    case "generate":
+      return generateFolderStructure(dir, options);
     case "optimize":
-      return analyzeAndRefactor(dir);
+      return analyzeAndRefactor(dir, options);
     case "security":
-      return checkSecurity(dir);
+      return checkSecurity(dir, options);
+    case "fix":
+      return fixSecurityIssues(dir, options);
     case "deploy":
-      return deployTerraform(dir);
+      return deployTerraform(dir, options);
     case "destroy":
-      return destroyTerraform(dir);
+      return destroyTerraform(dir, options);
   }
 }
 
-// Entrypoint
+// Entrypoint: subcommands when arguments are given, interactive menu otherwise
 (async () => {
-  await mainMenu();
+  const args = process.argv.slice(2);
+  if (args.length === 0) {
+    await mainMenu();
+    return;
+  }
+
+  process.exitCode = await runCli(args, {
+    optimize: analyzeAndRefactor,
+    security: checkSecurity,
+    fix: fixSecurityIssues,
+    deploy: deployTerraform,
+    "plan-report": planReport,
+    destroy: destroyTerraform,
+    generate: generateFolderStructure,
+    templates: listTemplates,
+  });
 })();
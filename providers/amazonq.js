@@ -0,0 +1,62 @@
+import { exec } from 'child_process';
+import { platform } from 'os';
+import { ProviderUnavailableError, ProviderRequestError } from './errors.js';
+
+const NAME = 'amazonq';
+
+// Check if `q` CLI is installed
+function checkQInstalled() {
+    const checkCommand = platform() === 'win32' ? 'where q' : 'which q';
+    return new Promise((resolve, reject) => {
+        exec(checkCommand, (err, stdout) => {
+            if (err || !stdout.trim()) {
+                reject(
+                    new ProviderUnavailableError(
+                        NAME,
+                        `Amazon Q CLI ('q') is not installed or not in PATH. Install it from https://docs.aws.amazon.com/q/developer/latest/userguide/install-cli.html`
+                    )
+                );
+            } else {
+                resolve(true);
+            }
+        });
+    });
+}
+
+// Amazon Q Developer through its `q chat` CLI
+export function createAmazonQProvider({ timeout = 30000, command = 'q chat --trust-all-tools' } = {}) {
+    let installed = null;
+
+    return {
+        name: NAME,
+        identity: `${NAME} ${command}`,
+        timeout,
+        async complete({ prompt, input }) {
+            installed = installed || checkQInstalled();
+            try {
+                await installed;
+            } catch (error) {
+                installed = null;
+                throw error;
+            }
+
+            return new Promise((resolve, reject) => {
+                const fullPrompt = `${prompt}\n\n${input}`;
+
+                const child = exec(command, { timeout }, (err, stdout, stderr) => {
+                    if (err && err.killed) {
+                        reject(new ProviderRequestError(NAME, `'q chat' timed out after ${timeout}ms`));
+                    } else if (err) {
+                        reject(new ProviderRequestError(NAME, stderr || err.message));
+                    } else {
+                        resolve(stdout.trim());
+                    }
+                });
+
+                // Write to stdin
+                child.stdin.write(fullPrompt);
+                child.stdin.end();
+            });
+        },
+    };
+}
@@ -0,0 +1,31 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ProviderRequestError } from './errors.js';
+
+const NAME = 'echo';
+
+// Deterministic provider for tests and dry runs. Returns the fixture file with the same
+// name as the file being refactored when one exists, the input unchanged otherwise.
+// `failures` makes the first that many requests fail with a retryable error, like a flaky backend.
+// No `identity`: replies depend on the file name, so they are never cached.
+export function createEchoProvider({ fixtures, failures = 0 } = {}) {
+    let failed = 0;
+    return {
+        name: NAME,
+        timeout: 0,
+        async complete({ input, path: filePath }) {
+            if (failed < failures) {
+                failed++;
+                throw new ProviderRequestError(NAME, `simulated failure ${failed} of ${failures}`);
+            }
+            if (fixtures && filePath) {
+                try {
+                    return await fs.readFile(path.join(fixtures, path.basename(filePath)), 'utf8');
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+            }
+            return input;
+        },
+    };
+}
@@ -0,0 +1,19 @@
+// Raised when a backend cannot be reached at all (missing binary, refused connection).
+// These are not retried: waiting will not make the backend appear.
+export class ProviderUnavailableError extends Error {
+    constructor(provider, message) {
+        super(`Provider '${provider}' is unavailable: ${message}`);
+        this.name = 'ProviderUnavailableError';
+        this.provider = provider;
+    }
+}
+
+// Raised for transient failures (timeouts, rate limits, 5xx) that are worth retrying.
+export class ProviderRequestError extends Error {
+    constructor(provider, message, { retryable = true } = {}) {
+        super(`Provider '${provider}' request failed: ${message}`);
+        this.name = 'ProviderRequestError';
+        this.provider = provider;
+        this.retryable = retryable;
+    }
+}
@@ -0,0 +1,65 @@
+import { createAmazonQProvider } from './amazonq.js';
+import { createOpenAIProvider } from './openai.js';
+import { createEchoProvider } from './echo.js';
+import { ProviderUnavailableError, ProviderRequestError } from './errors.js';
+
+const factories = {
+    amazonq: createAmazonQProvider,
+    openai: createOpenAIProvider,
+    echo: createEchoProvider,
+};
+
+export const providerNames = Object.keys(factories);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry transient failures with exponential backoff. Unavailable backends fail immediately.
+function withRetry(provider, { retries = 2, backoff = 1000 } = {}) {
+    return {
+        ...provider,
+        async complete(request) {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await provider.complete(request);
+                } catch (error) {
+                    const retryable = error instanceof ProviderRequestError && error.retryable;
+                    if (!retryable || attempt >= retries) throw error;
+                    await sleep(backoff * 2 ** attempt);
+                }
+            }
+        },
+    };
+}
+
+// Options not given explicitly fall back to TA_* environment variables
+function fromEnv(options) {
+    const env = process.env;
+    const timeout = options.timeout ?? (env.TA_TIMEOUT ? Number(env.TA_TIMEOUT) : undefined);
+    const retries = options.retries ?? (env.TA_RETRIES ? Number(env.TA_RETRIES) : undefined);
+    return {
+        ...options,
+        provider: options.provider || env.TA_PROVIDER || 'amazonq',
+        endpoint: options.endpoint || env.TA_ENDPOINT,
+        model: options.model || env.TA_MODEL,
+        apiKey: options.apiKey || env.TA_API_KEY || env.OPENAI_API_KEY,
+        fixtures: options.fixtures || env.TA_FIXTURES,
+        timeout,
+        retries,
+    };
+}
+
+// Build the provider selected by options/flags, falling back to the environment.
+// Providers are { name, identity, timeout, complete({ prompt, input, path }) }; `identity` names
+// the backend and model for the suggestion cache and is left out when replies must not be cached.
+export function createProvider(options = {}) {
+    const { provider: name, retries, backoff, ...settings } = fromEnv(options);
+    const factory = factories[name];
+    if (!factory) {
+        throw new ProviderUnavailableError(name, `unknown provider. Expected one of ${providerNames.join(', ')}`);
+    }
+
+    const defined = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+    return withRetry(factory(defined), { retries, backoff });
+}
+
+export { ProviderUnavailableError, ProviderRequestError };
@@ -0,0 +1,62 @@
+import { ProviderUnavailableError, ProviderRequestError } from './errors.js';
+
+const NAME = 'openai';
+
+// Any OpenAI-compatible chat completions endpoint (OpenAI, llama.cpp server, Ollama, vLLM...)
+export function createOpenAIProvider({
+    endpoint = 'http://localhost:11434/v1',
+    model = 'llama3',
+    apiKey,
+    timeout = 120000,
+} = {}) {
+    const url = `${endpoint.replace(/\/+$/, '')}/chat/completions`;
+
+    return {
+        name: NAME,
+        identity: `${NAME} ${url} ${model}`,
+        timeout,
+        async complete({ prompt, input }) {
+            let response;
+            try {
+                response = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+                    },
+                    body: JSON.stringify({
+                        model,
+                        messages: [{ role: 'user', content: `${prompt}\n\n${input}` }],
+                        temperature: 0,
+                    }),
+                    signal: AbortSignal.timeout(timeout),
+                });
+            } catch (error) {
+                if (error.name === 'TimeoutError') {
+                    throw new ProviderRequestError(NAME, `no response from ${url} after ${timeout}ms`);
+                }
+                const code = error.cause?.code;
+                if (['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH'].includes(code)) {
+                    throw new ProviderUnavailableError(NAME, `cannot reach ${url} (${code})`);
+                }
+                throw new ProviderRequestError(NAME, error.cause?.message || error.message);
+            }
+
+            if (!response.ok) {
+                const body = await response.text().catch(() => '');
+                const retryable = response.status === 429 || response.status >= 500;
+                if (response.status === 401 || response.status === 403) {
+                    throw new ProviderUnavailableError(NAME, `authentication rejected by ${url} (HTTP ${response.status})`);
+                }
+                throw new ProviderRequestError(NAME, `HTTP ${response.status} ${body}`.trim(), { retryable });
+            }
+
+            const data = await response.json();
+            const content = data.choices?.[0]?.message?.content;
+            if (typeof content !== 'string') {
+                throw new ProviderRequestError(NAME, 'response did not contain a message', { retryable: false });
+            }
+            return content.trim();
+        },
+    };
+}
@@ -1,69 +1,134 @@
-import { exec } from 'child_process';
-import { platform } from 'os';
+import { createProvider, ProviderUnavailableError } from './providers/index.js';
+import { extractCode, processSuggestion } from './utils/response.js';
+import { buildContexts, joinChunks, splitContent, withContext } from './utils/context.js';
+import { runScheduled } from './utils/scheduler.js';
 
-// Check if `q` CLI is installed
-function checkQInstalled() {
-    const checkCommand = platform() === 'win32' ? 'where q' : 'which q';
-    return new Promise((resolve, reject) => {
-        exec(checkCommand, (err, stdout) => {
-            if (err || !stdout.trim()) {
-                reject(
-                    new Error(
-                        `Amazon Q CLI ('q') is not installed or not in PATH. Install it from https://docs.aws.amazon.com/q/developer/latest/userguide/install-cli.html`
-                    )
-                );
-            } else {
-                resolve(true);
-            }
-        });
-    });
-}
-
-// Function to interact with Amazon Q's chat feature
-async function askAmazonQ(prompt, inputCode) {
-    await checkQInstalled();
-
-    return new Promise((resolve, reject) => {
-        const fullPrompt = `${prompt}\n\n${inputCode}`;
-
-        const child = exec('q chat --trust-all-tools', { timeout: 30000 }, (err, stdout, stderr) => {
-            if (err) {
-                console.error(`Error executing q chat: ${stderr || err.message}`);
-                reject(new Error(`Failed to run 'q chat': ${stderr || err.message}`));
-            } else {
-                resolve(stdout.trim());
-            }
-        });
-
-        // Write to stdin
-        child.stdin.write(fullPrompt);
-        child.stdin.end();
-    });
-}
-
-// Refactor file based on the given prompt and return the refactored suggestion
-async function refactorFile(file, prompt) {
+// Refactor file based on the given prompt and return the refactored suggestion.
+// `provider` is a provider instance or the options used to create one (see providers/index.js).
+// On failure, or when the reply is not valid Terraform, `suggestion` is null and `error` says why.
+// `comparison` is the semantic classification of the change (see utils/semantic.js).
+// With a `cache` (see utils/cache.js) a reply cached for the same content and prompt is used
+// instead of asking the provider (`cached` is true), and valid new replies are cached.
+async function refactorFile(file, prompt, provider = {}, { cache = null } = {}) {
+    let reply;
     try {
         if (!file || !file.content) {
             throw new Error('File content is undefined or invalid');
         }
 
+        // A cached reply the current checks reject is dropped and asked for again
+        const cachedReply = cache && (await cache.get(file.content, prompt));
+        if (cachedReply) {
+            try {
+                const { code: suggestion, comparison } = processSuggestion(file.content, cachedReply, file.path);
+                return { ...file, suggestion, comparison, cached: true };
+            } catch {
+                // fall through to the provider
+            }
+        }
+
+        const backend = typeof provider.complete === 'function' ? provider : createProvider(provider);
+
         console.log(`\nRefactoring file: ${file.path}`);
-        const suggestion = await askAmazonQ(prompt, file.content);
+        reply = await backend.complete({ prompt, input: file.content, path: file.path });
 
-        console.log(`Refactored suggestion for ${file.path}: ${suggestion}`);
+        const { code: suggestion, comparison } = processSuggestion(file.content, reply, file.path);
+        if (cache) await cache.set(file.content, prompt, reply);
 
         return {
             ...file,
             suggestion,
+            comparison,
         };
     } catch (error) {
         console.error(`Error refactoring file ${file.path}: ${error.message}`);
         return {
             ...file,
-            suggestion: `Error during refactoring: ${error.message}`,
+            suggestion: null,
+            reply,
+            error,
         };
     }
 }
 
-export { refactorFile };
+// Refactor many files with at most `concurrency` provider requests at a time. Each file's prompt
+// carries the declarations it uses from the other files of `project` (all files read, by default
+// `files`; see utils/context.js). Files over `chunkSize` characters are sent in chunks of whole
+// blocks whose replies are joined back in order and checked as one file. With a `cache`, each
+// valid reply is cached as soon as it arrives. Resolves to one result per file, in order, shaped
+// like refactorFile's. `onProgress` is called as each request finishes (see utils/scheduler.js);
+// its `item` is { file, part, parts }. After a ProviderUnavailableError no new requests start and
+// the files left get that error.
+async function refactorFiles(files, prompt, provider = {}, { concurrency = 4, chunkSize = 12000, cache = null, project = files, onProgress } = {}) {
+    const backend = typeof provider.complete === 'function' ? provider : createProvider(provider);
+    const contexts = buildContexts(project);
+
+    const requests = files.flatMap((file) => {
+        const filePrompt = withContext(prompt, contexts.get(file.relativePath));
+        const chunks = splitContent(file.content || '', chunkSize);
+        return chunks.map((input, part) => ({ file, part, parts: chunks.length, prompt: filePrompt, input }));
+    });
+
+    // A reply is worth caching when it passes the checks for the part it answers
+    const valid = (request, reply) => {
+        try {
+            processSuggestion(request.input, reply, request.file.path);
+            return true;
+        } catch {
+            return false;
+        }
+    };
+
+    let unavailable = null;
+    const replies = await runScheduled(
+        requests,
+        async (request) => {
+            try {
+                // A cached reply the current checks reject is dropped and asked for again
+                const cached = cache && (await cache.get(request.input, request.prompt));
+                if (cached && valid(request, cached)) return { reply: cached, cached: true };
+
+                const reply = await backend.complete({ prompt: request.prompt, input: request.input, path: request.file.path });
+                // Cached as soon as it arrives, so an interrupted run keeps what it already fetched
+                if (cache && valid(request, reply)) await cache.set(request.input, request.prompt, reply);
+                return { reply };
+            } catch (error) {
+                return { error };
+            }
+        },
+        {
+            concurrency,
+            onProgress,
+            stop: (result) => {
+                if (result.error instanceof ProviderUnavailableError) unavailable = unavailable || result.error;
+                return Boolean(unavailable);
+            },
+        }
+    );
+
+    return Promise.all(
+        files.map(async (file) => {
+            const parts = requests.map((request, index) => ({ request, result: replies[index] })).filter(({ request }) => request.file === file);
+            let reply;
+            try {
+                if (!file.content) throw new Error('File content is undefined or invalid');
+                const failed = parts.find(({ result }) => !result || result.error);
+                if (failed) throw failed.result?.error || unavailable;
+
+                reply =
+                    parts.length === 1
+                        ? parts[0].result.reply
+                        : joinChunks(
+                              parts.map(({ result }) => extractCode(result.reply)),
+                              parts.map(({ request }) => request.input)
+                          );
+                const { code: suggestion, comparison } = processSuggestion(file.content, reply, file.path);
+                return { ...file, suggestion, comparison, cached: parts.every(({ result }) => result.cached) };
+            } catch (error) {
+                return { ...file, suggestion: null, reply, error };
+            }
+        })
+    );
+}
+
+export { refactorFile, refactorFiles };
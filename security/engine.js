@@ -0,0 +1,128 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { loadProject } from '../utils/graph.js';
+import { builtinRules } from './rules.js';
+import * as helpers from './helpers.js';
+import { normalizeFinding, severities, sortFindings } from './findings.js';
+
+// Offline security scanner: runs built-in and user rules over every block of a project.
+// A rule module (.js/.mjs in a --rules directory or the security.rules setting) exports a rule or an array of rules:
+//   { id, severity: 'low'|'medium'|'high'|'critical', title, remediation,
+//     kinds?: ['resource', 'data', 'module', 'variable', 'output', 'provider'], types?: ['aws_s3_bucket'],
+//     check({ node, block, module, project, helpers }) => [{ line, message }] }
+
+export { severities };
+
+function validateRule(rule, source) {
+    const problems = [];
+    if (!rule || typeof rule !== 'object') problems.push('is not an object');
+    else {
+        if (!rule.id) problems.push("has no 'id'");
+        if (!severities.includes(rule.severity)) problems.push(`has invalid severity '${rule.severity}' (expected ${severities.join(', ')})`);
+        if (typeof rule.check !== 'function') problems.push("has no 'check' function");
+    }
+    if (problems.length) throw new Error(`Rule ${rule?.id || '(unnamed)'} in ${source} ${problems.join(', ')}`);
+    return rule;
+}
+
+// Built-in rules plus every rule module found in `dirs` (missing directories are skipped)
+export async function loadRules(dirs = []) {
+    const rules = [...builtinRules];
+    for (const dir of dirs) {
+        let entries;
+        try {
+            entries = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+
+        for (const entry of entries.filter((name) => /\.m?js$/.test(name)).sort()) {
+            const file = path.resolve(dir, entry);
+            const loaded = await import(pathToFileURL(file).href);
+            const exported = loaded.default ?? loaded.rules;
+            for (const rule of [].concat(exported ?? [])) rules.push(validateRule(rule, file));
+        }
+    }
+
+    const ids = new Set();
+    for (const rule of rules) {
+        if (ids.has(rule.id)) throw new Error(`Duplicate security rule id '${rule.id}'`);
+        ids.add(rule.id);
+    }
+    return rules;
+}
+
+function appliesTo(rule, node) {
+    if (!node.block) return false;
+    if (rule.types) return (node.kind === 'resource' || node.kind === 'data') && rule.types.includes(node.type);
+    return (rule.kinds || ['resource']).includes(node.kind);
+}
+
+// Project-wide settings some rules depend on
+function projectFacts(project) {
+    const nodes = [...project.modules.values()].flatMap((graph) => [...graph.nodes.values()]);
+    return {
+        ebsEncryptionByDefault: nodes.some(
+            (node) => node.type === 'aws_ebs_encryption_by_default' && helpers.valueOf(node.block.body, 'enabled') !== false
+        ),
+    };
+}
+
+// Whether resources in `moduleDir` get the aws provider's default_tags: from its own aws provider
+// blocks, or, when it has none, from the provider of every module that calls it
+function hasDefaultTags(project, moduleDir, seen = new Set()) {
+    const graph = project.modules.get(moduleDir);
+    const providers = [...graph.nodes.values()].filter((node) => node.kind === 'provider' && node.name === 'aws');
+    if (providers.length) return providers.some((node) => helpers.blocksOf(node.block.body, 'default_tags').length > 0);
+
+    const inside = new Set([...seen, moduleDir]);
+    const callers = project.moduleCalls.filter((call) => call.found && call.target === moduleDir && !inside.has(call.caller));
+    return callers.length > 0 && callers.every((call) => hasDefaultTags(project, call.caller, inside));
+}
+
+// Scan `dir` and return { findings, errors }. Each finding is
+// normalized as described in security/findings.js, with source 'ta'.
+// Rule modules are code, so they are only loaded from `rulesDirs`, never found in the scanned
+// directory: scanning an untrusted checkout must not run what it ships.
+export async function scan(dir, { rulesDirs = [], include, ignore } = {}) {
+    const rules = await loadRules(rulesDirs);
+    const project = await loadProject(dir, { include, ignore, quiet: true });
+    Object.assign(project, projectFacts(project));
+
+    const findings = [];
+    const errors = [];
+    for (const [moduleDir, graph] of project.modules) {
+        graph.errors.forEach(({ path: file, error }) => errors.push({ path: path.relative(dir, file), message: error.message }));
+
+        const module = { dir: moduleDir, graph, defaultTags: hasDefaultTags(project, moduleDir) };
+
+        for (const node of graph.nodes.values()) {
+            for (const rule of rules.filter((candidate) => appliesTo(candidate, node))) {
+                let results;
+                try {
+                    results = rule.check({ node, block: node.block, module, project, helpers }) || [];
+                } catch (error) {
+                    errors.push({ path: path.relative(dir, node.path), message: `rule ${rule.id} failed on ${node.address}: ${error.message}` });
+                    continue;
+                }
+                for (const result of results) {
+                    findings.push(normalizeFinding({
+                        ruleId: rule.id,
+                        severity: rule.severity,
+                        title: rule.title || rule.id,
+                        message: result.message || rule.title || rule.id,
+                        remediation: rule.remediation || '',
+                        path: path.relative(dir, node.path),
+                        line: result.line ?? node.line,
+                        address: node.address,
+                        source: 'ta',
+                    }));
+                }
+            }
+        }
+    }
+
+    return { findings: sortFindings(findings), errors };
+}
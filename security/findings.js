@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// One schema for every scanner:
+//   { ruleId, severity, title, message, remediation, path, line, address, source, fingerprint }
+// `path` is relative to the scanned directory with forward slashes; `source` names the scanner.
+
+export const severities = ['low', 'medium', 'high', 'critical'];
+
+// Stable identity of a finding. Line numbers are left out so baselines survive edits elsewhere in a file.
+export function fingerprint(finding) {
+    return crypto
+        .createHash('sha256')
+        .update([finding.source, finding.ruleId, finding.path, finding.address, finding.message].join('\0'))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+export function normalizeFinding(finding) {
+    const severity = String(finding.severity || 'medium').toLowerCase();
+    const normalized = {
+        ruleId: String(finding.ruleId),
+        severity: severities.includes(severity) ? severity : 'medium',
+        title: finding.title || String(finding.ruleId),
+        message: finding.message || finding.title || String(finding.ruleId),
+        remediation: finding.remediation || '',
+        path: (finding.path || '').split(path.sep).join('/'),
+        line: Number(finding.line) || 1,
+        address: finding.address || '',
+        source: finding.source || 'ta',
+    };
+    return { ...normalized, fingerprint: fingerprint(normalized) };
+}
+
+// Convert `tfsec --format json` output. tfsec reports absolute paths and upper-case severities.
+export function fromTfsec(report, dir) {
+    return (report?.results || []).map((result) =>
+        normalizeFinding({
+            ruleId: result.long_id || result.rule_id,
+            severity: result.severity,
+            title: result.rule_description || result.description,
+            message: result.description,
+            remediation: result.resolution,
+            path: path.relative(path.resolve(dir), path.resolve(dir, result.location?.filename || '')),
+            line: result.location?.start_line,
+            address: result.resource,
+            source: 'tfsec',
+        })
+    );
+}
+
+// `# ta:ignore <rule>[,<rule>...]` (or `//`) on the finding's line or the line above suppresses it
+const ignoreComment = /(?:#|\/\/)\s*ta:ignore\s+([\w.*-]+(?:\s*,\s*[\w.*-]+)*)/;
+
+function ignoredRules(line) {
+    const match = ignoreComment.exec(line || '');
+    return match ? match[1].split(/\s*,\s*/) : [];
+}
+
+// Split findings into { findings, suppressed } using the inline comments of the scanned files
+export async function applySuppressions(findings, dir) {
+    const sources = new Map();
+    const linesOf = async (file) => {
+        if (!sources.has(file)) {
+            sources.set(file, await fs.readFile(path.join(dir, file), 'utf8').then((text) => text.split(/\r?\n/), () => []));
+        }
+        return sources.get(file);
+    };
+
+    const kept = [];
+    const suppressed = [];
+    for (const finding of findings) {
+        const lines = await linesOf(finding.path);
+        const rules = [...ignoredRules(lines[finding.line - 1]), ...ignoredRules(lines[finding.line - 2])];
+        if (rules.includes(finding.ruleId) || rules.includes('*')) suppressed.push(finding);
+        else kept.push(finding);
+    }
+    return { findings: kept, suppressed };
+}
+
+export const defaultBaselinePath = path.join('.ta', 'security-baseline.json');
+
+// Fingerprints accepted in a baseline file, or null when the file does not exist
+export async function readBaseline(file) {
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    try {
+        const baseline = JSON.parse(content);
+        return new Set((baseline.findings || []).map((entry) => entry.fingerprint));
+    } catch (error) {
+        throw new Error(`Invalid baseline file ${file}: ${error.message}`);
+    }
+}
+
+export async function writeBaseline(file, findings) {
+    const entries = findings.map(({ fingerprint: id, ruleId, severity, path: filePath, address, message }) => ({
+        fingerprint: id,
+        ruleId,
+        severity,
+        path: filePath,
+        address,
+        message,
+    }));
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ version: 1, findings: entries }, null, 2) + '\n');
+}
+
+// Split findings into { findings, baselined } using a set of accepted fingerprints
+export function applyBaseline(findings, accepted) {
+    if (!accepted) return { findings, baselined: [] };
+    return {
+        findings: findings.filter((finding) => !accepted.has(finding.fingerprint)),
+        baselined: findings.filter((finding) => accepted.has(finding.fingerprint)),
+    };
+}
+
+// True when any finding is at or above `threshold` ('none' never fails)
+export function exceedsThreshold(findings, threshold) {
+    if (threshold === 'none') return false;
+    const minimum = severities.indexOf(threshold);
+    return findings.some((finding) => severities.indexOf(finding.severity) >= minimum);
+}
+
+export function sortFindings(findings) {
+    return [...findings].sort(
+        (a, b) =>
+            severities.indexOf(b.severity) - severities.indexOf(a.severity) ||
+            a.path.localeCompare(b.path) ||
+            a.line - b.line ||
+            a.ruleId.localeCompare(b.ruleId)
+    );
+}
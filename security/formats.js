@@ -0,0 +1,114 @@
+import { severities } from './findings.js';
+
+// Machine-readable renderings of a security result:
+//   { findings, suppressed, baselined, errors } where findings follow security/findings.js
+
+export const reportFormats = ['text', 'json', 'sarif', 'junit'];
+
+const toolNames = { ta: 'terraform-automation-bot', tfsec: 'tfsec' };
+
+export function summarize(result) {
+    const bySeverity = Object.fromEntries(severities.map((severity) => [severity, 0]));
+    result.findings.forEach((finding) => bySeverity[finding.severity]++);
+    return {
+        total: result.findings.length,
+        bySeverity,
+        suppressed: result.suppressed.length,
+        baselined: result.baselined.length,
+    };
+}
+
+export function toJson(result) {
+    return JSON.stringify({ version: 1, summary: summarize(result), ...result }, null, 2);
+}
+
+// SARIF 2.1.0, one run per scanner. Suppressed and baselined findings are included with a
+// suppression entry so code-scanning UIs show them as dismissed.
+const sarifLevels = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+const securitySeverity = { critical: '9.5', high: '8.0', medium: '5.5', low: '3.0' };
+
+function sarifResult(finding, suppression) {
+    return {
+        ruleId: finding.ruleId,
+        level: sarifLevels[finding.severity],
+        message: { text: finding.address ? `${finding.address}: ${finding.message}` : finding.message },
+        locations: [
+            {
+                physicalLocation: {
+                    artifactLocation: { uri: finding.path, uriBaseId: 'SRCROOT' },
+                    region: { startLine: finding.line },
+                },
+            },
+        ],
+        partialFingerprints: { 'ta/v1': finding.fingerprint },
+        ...(suppression ? { suppressions: [suppression] } : {}),
+    };
+}
+
+export function toSarif(result) {
+    const entries = [
+        ...result.findings.map((finding) => [finding, null]),
+        ...result.suppressed.map((finding) => [finding, { kind: 'inSource', justification: 'ta:ignore comment' }]),
+        ...result.baselined.map((finding) => [finding, { kind: 'external', justification: 'accepted in baseline' }]),
+    ];
+
+    const sources = [...new Set(entries.map(([finding]) => finding.source))];
+    if (sources.length === 0) sources.push('ta');
+
+    const runs = sources.map((source) => {
+        const own = entries.filter(([finding]) => finding.source === source);
+        const rules = new Map();
+        for (const [finding] of own) {
+            if (rules.has(finding.ruleId)) continue;
+            rules.set(finding.ruleId, {
+                id: finding.ruleId,
+                shortDescription: { text: finding.title },
+                help: { text: finding.remediation || finding.title },
+                defaultConfiguration: { level: sarifLevels[finding.severity] },
+                properties: { tags: ['security', 'terraform'], 'security-severity': securitySeverity[finding.severity] },
+            });
+        }
+        return {
+            tool: { driver: { name: toolNames[source] || source, rules: [...rules.values()] } },
+            originalUriBaseIds: { SRCROOT: { uri: './' } },
+            results: own.map(([finding, suppression]) => sarifResult(finding, suppression)),
+        };
+    });
+
+    return JSON.stringify(
+        { $schema: 'https://json.schemastore.org/sarif-2.1.0.json', version: '2.1.0', runs },
+        null,
+        2
+    );
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, (char) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+// JUnit XML: one failing test case per finding, skipped ones for accepted findings,
+// and a single passing case when nothing was found so CI still records the check.
+export function toJunit(result) {
+    const cases = [
+        ...result.findings.map((finding) => {
+            const name = escapeXml(`${finding.ruleId} ${finding.address || finding.path}`);
+            const details = escapeXml(`${finding.path}:${finding.line}\n${finding.message}\nFix: ${finding.remediation}`);
+            return `    <testcase name="${name}" classname="${escapeXml(finding.path)}">\n      <failure message="${escapeXml(finding.title)}" type="${finding.severity}">${details}</failure>\n    </testcase>`;
+        }),
+        ...[...result.suppressed, ...result.baselined].map(
+            (finding) =>
+                `    <testcase name="${escapeXml(`${finding.ruleId} ${finding.address || finding.path}`)}" classname="${escapeXml(finding.path)}">\n      <skipped message="accepted"/>\n    </testcase>`
+        ),
+    ];
+    if (cases.length === 0) cases.push('    <testcase name="security scan" classname="security"/>');
+
+    const skipped = result.suppressed.length + result.baselined.length;
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="security" tests="${cases.length}" failures="${result.findings.length}">`,
+        `  <testsuite name="security" tests="${cases.length}" failures="${result.findings.length}" skipped="${skipped}" errors="${result.errors.length}">`,
+        ...cases,
+        '  </testsuite>',
+        '</testsuites>',
+    ].join('\n');
+}
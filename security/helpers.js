@@ -0,0 +1,25 @@
+import { literalValue } from '../utils/hcl.js';
+
+// Small accessors shared by built-in and user rules
+
+export function attribute(body, name) {
+    return body.attributes.find((item) => item.name === name);
+}
+
+// Constant value of an attribute, undefined when missing or computed
+export function valueOf(body, name) {
+    return literalValue(attribute(body, name)?.value);
+}
+
+export function blocksOf(body, type) {
+    return body.blocks.filter((block) => block.type === type);
+}
+
+export function hasAttribute(body, name) {
+    return Boolean(attribute(body, name));
+}
+
+// Line of an attribute when present, otherwise the line of the enclosing block
+export function lineOf(block, name) {
+    return attribute(block.body, name)?.line ?? block.line;
+}
@@ -0,0 +1,60 @@
+import path from 'path';
+import { scan } from './engine.js';
+import { runCommand, which } from '../terraform/runner.js';
+import { readTfFiles } from '../utils/files.js';
+import {
+    applyBaseline,
+    applySuppressions,
+    defaultBaselinePath,
+    fromTfsec,
+    readBaseline,
+    sortFindings,
+} from './findings.js';
+
+// Run tfsec when it is installed and normalize its report.
+// Exit code 1 with a JSON report means "findings", not a failure.
+export async function runTfsec(dir) {
+    const binary = await which('tfsec');
+    if (!binary) return { available: false, findings: [], error: null };
+
+    try {
+        const { code, stdout } = await runCommand(binary, [dir, '--format', 'json', '--no-color'], { capture: true });
+        if (code !== 0 && !(code === 1 && stdout)) return { available: true, findings: [], error: `tfsec exited with code ${code}` };
+        return { available: true, findings: fromTfsec(JSON.parse(stdout), dir), error: null };
+    } catch (error) {
+        return { available: true, findings: [], error: `unreadable tfsec output: ${error.message}` };
+    }
+}
+
+// tfsec reads every file itself; drop its findings in files the ignore patterns exclude
+async function outsideIgnored(dir, findings, ignore) {
+    if (!ignore?.length || findings.length === 0) return findings;
+    const kept = new Set((await readTfFiles(dir, { include: ['tfvars', 'json'], ignore, quiet: true })).map((file) => file.relativePath));
+    return findings.filter((finding) => kept.has(finding.path.split(path.sep).join('/')));
+}
+
+// Run the scanners over `dir` and apply inline suppressions and the baseline.
+// `options.scanners` picks scanners (default both 'builtin' and 'tfsec'); `options.ignore` holds
+// extra .gitignore-style patterns for files to leave out.
+// Returns { findings, suppressed, baselined, errors, tfsec: { enabled, available, error }, baselinePath }.
+export async function runSecurityScan(dir, options = {}) {
+    const scanners = options.scanners || ['builtin', 'tfsec'];
+    const { findings: own, errors } = scanners.includes('builtin')
+        ? await scan(dir, { rulesDirs: options.rules ? [options.rules] : [], ignore: options.ignore })
+        : { findings: [], errors: [] };
+    const tfsec = scanners.includes('tfsec') ? await runTfsec(dir) : { available: false, findings: [], error: null };
+    tfsec.findings = await outsideIgnored(dir, tfsec.findings, options.ignore);
+
+    const baselinePath = options.baseline || path.join(dir, defaultBaselinePath);
+    const { findings: active, suppressed } = await applySuppressions(sortFindings([...own, ...tfsec.findings]), dir);
+    const { findings, baselined } = applyBaseline(active, await readBaseline(baselinePath));
+
+    return {
+        findings,
+        suppressed,
+        baselined,
+        errors,
+        tfsec: { enabled: scanners.includes('tfsec'), available: tfsec.available, error: tfsec.error },
+        baselinePath,
+    };
+}
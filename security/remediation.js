@@ -0,0 +1,71 @@
+import { parse } from '../utils/hcl.js';
+
+// Turn scanner findings into targeted fix requests for the refactoring provider.
+
+function blockAddress(block) {
+    const [first, second] = block.labels;
+    switch (block.type) {
+        case 'resource':
+            return `${first}.${second}`;
+        case 'data':
+            return `data.${first}.${second}`;
+        case 'module':
+            return `module.${first}`;
+        case 'variable':
+            return `var.${first}`;
+        case 'output':
+            return `output.${first}`;
+        default:
+            return [block.type, ...block.labels].join('.');
+    }
+}
+
+// The top-level block a finding points at, as { address, line, text }, or null.
+// Matched by address first, then by the line the finding was reported on.
+export function findingBlock(content, finding) {
+    let body;
+    try {
+        body = parse(content);
+    } catch {
+        return null;
+    }
+    const block =
+        body.blocks.find((candidate) => finding.address && blockAddress(candidate) === finding.address) ||
+        body.blocks.find((candidate) => candidate.line <= finding.line && finding.line <= candidate.endLine);
+    if (!block) return null;
+    return { address: blockAddress(block), line: block.line, text: content.slice(block.start, block.end) };
+}
+
+// Group findings of one file by the block they point at so each block is fixed in one request.
+// Returns [{ path, address, findings }] in the order of the first (most severe) finding.
+export function groupFindings(findings) {
+    const groups = new Map();
+    for (const finding of findings) {
+        const key = `${finding.path}\0${finding.address || finding.line}`;
+        if (!groups.has(key)) groups.set(key, { path: finding.path, address: finding.address, findings: [] });
+        groups.get(key).findings.push(finding);
+    }
+    return [...groups.values()];
+}
+
+export function buildFixPrompt(block, findings) {
+    const issues = findings
+        .map(
+            (finding) =>
+                `- ${finding.ruleId} (${finding.severity}): ${finding.title}. ${finding.message} (line ${finding.line}).\n  Recommended fix: ${finding.remediation || 'see the rule description'}`
+        )
+        .join('\n');
+    const target = block
+        ? `The issues are in \`${block.address}\` (line ${block.line}):\n\n\`\`\`hcl\n${block.text}\n\`\`\`\n\n`
+        : '';
+
+    return [
+        'A security scanner reported the following issues in this Terraform file:',
+        issues,
+        '',
+        `${target}Fix only these issues. Keep every other block, attribute, name and comment exactly as it is; ` +
+            'do not rename or remove resources, variables, outputs or modules. When a fix needs a new variable ' +
+            '(for example for a secret), declare it in this file and mark it sensitive. ' +
+            'Respond with only the complete fixed file.',
+    ].join('\n');
+}
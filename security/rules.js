@@ -0,0 +1,191 @@
+import { valueOf, blocksOf, hasAttribute, lineOf } from './helpers.js';
+
+// Built-in AWS rules. A rule is { id, severity, title, remediation, kinds?, types?, check(context) }
+// where check returns [{ line, message }]; see security/engine.js for the context passed in.
+
+const secretNames = /^(password|master_password|secret|secret_key|secret_access_key|access_key|api_key|token|auth_token|private_key)$/;
+
+const hardcodedSecret = {
+    id: 'TA-AWS-001',
+    severity: 'critical',
+    title: 'Hard-coded secret',
+    remediation: 'Pass the value through a sensitive variable, or read it from AWS Secrets Manager / SSM Parameter Store (e.g. manage_master_user_password = true for RDS).',
+    kinds: ['resource', 'data', 'provider', 'module'],
+    check({ block }) {
+        const findings = [];
+        const visit = (body) => {
+            for (const item of body.attributes) {
+                const value = valueOf(body, item.name);
+                if (secretNames.test(item.name) && typeof value === 'string' && value !== '') {
+                    findings.push({ line: item.line, message: `'${item.name}' is set to a literal value` });
+                }
+            }
+            body.blocks.forEach((nested) => visit(nested.body));
+        };
+        visit(block.body);
+        return findings;
+    },
+};
+
+const secretVariableDefault = {
+    id: 'TA-AWS-002',
+    severity: 'high',
+    title: 'Secret variable with a default value',
+    remediation: 'Remove the default and mark the variable sensitive = true so the value is supplied at apply time.',
+    kinds: ['variable'],
+    check({ node, block }) {
+        const value = valueOf(block.body, 'default');
+        if (!/(password|secret|token|api_key|private_key)/i.test(node.name) || typeof value !== 'string' || value === '') return [];
+        return [{ line: lineOf(block, 'default'), message: `variable '${node.name}' has a literal default` }];
+    },
+};
+
+const publicAcls = ['public-read', 'public-read-write', 'authenticated-read'];
+
+const publicBucket = {
+    id: 'TA-AWS-003',
+    severity: 'high',
+    title: 'Publicly accessible S3 bucket',
+    remediation: 'Use a private ACL and an aws_s3_bucket_public_access_block with all four settings true; serve public content through CloudFront instead.',
+    types: ['aws_s3_bucket', 'aws_s3_bucket_acl', 'aws_s3_bucket_public_access_block'],
+    check({ node, block }) {
+        if (node.type === 'aws_s3_bucket_public_access_block') {
+            return ['block_public_acls', 'block_public_policy', 'ignore_public_acls', 'restrict_public_buckets']
+                .filter((name) => valueOf(block.body, name) !== true)
+                .map((name) => ({
+                    line: lineOf(block, name),
+                    message: hasAttribute(block.body, name) ? `'${name}' is not true` : `'${name}' is not set`,
+                }));
+        }
+        const acl = valueOf(block.body, 'acl');
+        if (publicAcls.includes(acl)) return [{ line: lineOf(block, 'acl'), message: `ACL '${acl}' grants public access` }];
+        return [];
+    },
+};
+
+const openIngress = {
+    id: 'TA-AWS-004',
+    severity: 'high',
+    title: 'Security group open to the internet',
+    remediation: 'Restrict ingress to known CIDR ranges or security groups; reach SSH/RDP through SSM Session Manager or a bastion.',
+    types: ['aws_security_group', 'aws_security_group_rule', 'aws_vpc_security_group_ingress_rule'],
+    check({ node, block }) {
+        const isOpen = (body) => {
+            const cidrs = [...(valueOf(body, 'cidr_blocks') || []), ...(valueOf(body, 'ipv6_cidr_blocks') || [])];
+            ['cidr_ipv4', 'cidr_ipv6'].forEach((name) => cidrs.push(valueOf(body, name)));
+            return cidrs.some((cidr) => cidr === '0.0.0.0/0' || cidr === '::/0');
+        };
+        const ports = (body) => {
+            const from = valueOf(body, 'from_port');
+            const to = valueOf(body, 'to_port');
+            if (from === undefined) return '';
+            return from === to ? ` on port ${from}` : ` on ports ${from}-${to}`;
+        };
+
+        if (node.type === 'aws_security_group') {
+            return blocksOf(block.body, 'ingress')
+                .filter((ingress) => isOpen(ingress.body))
+                .map((ingress) => ({ line: ingress.line, message: `ingress allows 0.0.0.0/0${ports(ingress.body)}` }));
+        }
+        if (node.type === 'aws_security_group_rule' && valueOf(block.body, 'type') !== 'ingress') return [];
+        return isOpen(block.body) ? [{ line: block.line, message: `ingress allows 0.0.0.0/0${ports(block.body)}` }] : [];
+    },
+};
+
+const unencryptedDatabase = {
+    id: 'TA-AWS-005',
+    severity: 'high',
+    title: 'Unencrypted RDS storage',
+    remediation: 'Set storage_encrypted = true (optionally with kms_key_id). Existing instances must be restored from an encrypted snapshot.',
+    types: ['aws_db_instance', 'aws_rds_cluster'],
+    check({ block }) {
+        if (valueOf(block.body, 'storage_encrypted') === true || valueOf(block.body, 'replicate_source_db')) return [];
+        return [{ line: lineOf(block, 'storage_encrypted'), message: 'storage_encrypted is not true' }];
+    },
+};
+
+const publicDatabase = {
+    id: 'TA-AWS-006',
+    severity: 'high',
+    title: 'Publicly accessible database',
+    remediation: 'Set publicly_accessible = false and place the database in private subnets.',
+    types: ['aws_db_instance', 'aws_rds_cluster_instance'],
+    check({ block }) {
+        return valueOf(block.body, 'publicly_accessible') === true
+            ? [{ line: lineOf(block, 'publicly_accessible'), message: 'publicly_accessible is true' }]
+            : [];
+    },
+};
+
+const unencryptedVolume = {
+    id: 'TA-AWS-007',
+    severity: 'medium',
+    title: 'Unencrypted EBS volume',
+    remediation: 'Set encrypted = true on the volume or block device, or enable EBS encryption by default (aws_ebs_encryption_by_default).',
+    types: ['aws_ebs_volume', 'aws_instance', 'aws_launch_template'],
+    check({ node, block, project }) {
+        if (project.ebsEncryptionByDefault) return [];
+        if (node.type === 'aws_ebs_volume') {
+            return valueOf(block.body, 'encrypted') === true ? [] : [{ line: lineOf(block, 'encrypted'), message: 'encrypted is not true' }];
+        }
+
+        const devices = node.type === 'aws_instance'
+            ? [...blocksOf(block.body, 'root_block_device'), ...blocksOf(block.body, 'ebs_block_device')]
+            : blocksOf(block.body, 'block_device_mappings').flatMap((mapping) => blocksOf(mapping.body, 'ebs'));
+        if (node.type === 'aws_instance' && blocksOf(block.body, 'root_block_device').length === 0) {
+            return [{ line: block.line, message: 'root volume is not encrypted (no root_block_device with encrypted = true)' }];
+        }
+        return devices
+            .filter((device) => valueOf(device.body, 'encrypted') !== true)
+            .map((device) => ({ line: lineOf(device, 'encrypted'), message: `${device.type} is not encrypted` }));
+    },
+};
+
+// Resources that cannot carry tags: attachments, associations, rules, records, aliases, policies
+// and permissions attached to other resources, bucket sub-resources and API Gateway methods
+const untaggable = new RegExp(
+    [
+        '_attachment$',
+        '_association$',
+        '_version$',
+        '^aws_s3_bucket_.+$',
+        '^aws_iam_(role|user|group)_policy$',
+        '^aws_iam_(access_key|user_login_profile)$',
+        '^aws_(sqs_queue|sns_topic|ecr_repository|ecr_lifecycle)_policy$',
+        '^aws_(autoscaling|appautoscaling)_policy$',
+        '^aws_route$',
+        '^aws_route53_record$',
+        '^aws_(security_group|network_acl)_rule$',
+        '^aws_kms_alias$',
+        '^aws_lambda_(permission|alias)$',
+        '^aws_cloudwatch_event_target$',
+        '^aws_sns_topic_subscription$',
+        '^aws_api_gateway_(resource|method|method_response|integration|integration_response|deployment)$',
+        '^aws_ebs_encryption_by_default$',
+        '^aws_cloudfront_origin_access_(identity|control)$',
+    ].join('|')
+);
+
+const missingTags = {
+    id: 'TA-AWS-008',
+    severity: 'low',
+    title: 'Resource without tags',
+    remediation: 'Add a tags map (e.g. Name, Environment, Owner) or set default_tags on the aws provider of the root module.',
+    kinds: ['resource'],
+    check({ node, block, module }) {
+        if (!node.type.startsWith('aws_') || untaggable.test(node.type)) return [];
+        if (hasAttribute(block.body, 'tags') || module.defaultTags) return [];
+        return [{ line: block.line, message: 'no tags defined' }];
+    },
+};
+
+export const builtinRules = [
+    hardcodedSecret,
+    secretVariableDefault,
+    publicBucket,
+    openIngress,
+    unencryptedDatabase,
+    publicDatabase,
+    unencryptedVolume,
+    missingTags,
+];
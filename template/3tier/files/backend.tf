@@ -0,0 +1,8 @@
+terraform {
+  backend "s3" {
+    bucket  = "{{state_bucket}}"
+    key     = "{{project}}/terraform.tfstate"
+    region  = "{{region}}"
+    encrypt = true
+  }
+}
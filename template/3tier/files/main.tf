@@ -0,0 +1,42 @@
+{{terraform_settings}}
+locals {
+  name = "${var.project}-${var.environment}"
+  tags = { Environment = var.environment }
+}
+
+module "vpc" {
+  source = "./modules/vpc"
+
+  name               = local.name
+  cidr_block         = var.vpc_cidr
+  enable_nat_gateway = var.enable_nat_gateway
+  tags               = local.tags
+}
+
+module "compute" {
+  source = "./modules/compute"
+
+  name               = local.name
+  vpc_id             = module.vpc.vpc_id
+  subnet_ids         = module.vpc.public_subnet_ids
+  instance_type      = var.instance_type
+  ami_id             = var.ami_id
+  allowed_http_cidrs = var.allowed_http_cidrs
+  tags               = local.tags
+}
+
+module "database" {
+  source = "./modules/database"
+
+  name                       = local.name
+  vpc_id                     = module.vpc.vpc_id
+  subnet_ids                 = module.vpc.private_subnet_ids
+  allowed_security_group_ids = [module.compute.security_group_id]
+  db_name                    = var.db_name
+  username                   = var.db_username
+  master_password            = var.db_password
+  master_password_secret_id  = var.db_password_secret_id
+  deletion_protection        = var.environment == "prod"
+  skip_final_snapshot        = var.environment != "prod"
+  tags                       = local.tags
+}
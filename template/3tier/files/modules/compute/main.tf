@@ -0,0 +1,48 @@
+data "aws_ssm_parameter" "al2023" {
+  name = "/aws/service/ami-amazon-linux-latest/al2023-ami-kernel-default-x86_64"
+}
+
+resource "aws_security_group" "web" {
+  name_prefix = "${var.name}-web-"
+  description = "HTTP to the web server"
+  vpc_id      = var.vpc_id
+
+  ingress {
+    description = "HTTP"
+    from_port   = 80
+    to_port     = 80
+    protocol    = "tcp"
+    cidr_blocks = var.allowed_http_cidrs
+  }
+
+  egress {
+    description = "All outbound traffic"
+    from_port   = 0
+    to_port     = 0
+    protocol    = "-1"
+    cidr_blocks = ["0.0.0.0/0"]
+  }
+
+  tags = merge(var.tags, { Name = "${var.name}-web" })
+
+  lifecycle {
+    create_before_destroy = true
+  }
+}
+
+resource "aws_instance" "web" {
+  ami                    = coalesce(var.ami_id, nonsensitive(data.aws_ssm_parameter.al2023.value))
+  instance_type          = var.instance_type
+  subnet_id              = var.subnet_ids[0]
+  vpc_security_group_ids = [aws_security_group.web.id]
+
+  metadata_options {
+    http_tokens = "required"
+  }
+
+  root_block_device {
+    encrypted = true
+  }
+
+  tags = merge(var.tags, { Name = "${var.name}-web" })
+}
@@ -0,0 +1,14 @@
+output "instance_id" {
+  description = "ID of the web server"
+  value       = aws_instance.web.id
+}
+
+output "public_dns" {
+  description = "Public DNS name of the web server"
+  value       = aws_instance.web.public_dns
+}
+
+output "security_group_id" {
+  description = "Security group of the web server, allowed into the database"
+  value       = aws_security_group.web.id
+}
@@ -0,0 +1,37 @@
+variable "name" {
+  description = "Name prefix of the web server and its security group"
+  type        = string
+}
+
+variable "vpc_id" {
+  description = "VPC of the web server"
+  type        = string
+}
+
+variable "subnet_ids" {
+  description = "Public subnets; the web server runs in the first one"
+  type        = list(string)
+}
+
+variable "instance_type" {
+  description = "EC2 instance type"
+  type        = string
+  default     = "t3.micro"
+}
+
+variable "ami_id" {
+  description = "AMI of the web server; the latest Amazon Linux 2023 AMI of the region when null"
+  type        = string
+  default     = null
+}
+
+variable "allowed_http_cidrs" {
+  description = "CIDR blocks allowed to reach the web server on port 80"
+  type        = list(string)
+}
+
+variable "tags" {
+  description = "Tags added to every resource"
+  type        = map(string)
+  default     = {}
+}
@@ -0,0 +1,78 @@
+# The master password never appears in the code. It comes from, in order: an existing Secrets
+# Manager secret, the master_password variable (e.g. TF_VAR_db_password), or a secret that RDS
+# creates and rotates in Secrets Manager itself.
+data "aws_secretsmanager_secret_version" "master" {
+  count     = var.master_password_secret_id == null ? 0 : 1
+  secret_id = var.master_password_secret_id
+}
+
+locals {
+  secret_string   = one(data.aws_secretsmanager_secret_version.master[*].secret_string)
+  master_password = local.secret_string == null ? var.master_password : try(jsondecode(local.secret_string).password, local.secret_string)
+}
+
+resource "aws_db_subnet_group" "this" {
+  name_prefix = "${var.name}-"
+  subnet_ids  = var.subnet_ids
+
+  tags = merge(var.tags, { Name = "${var.name}-db" })
+}
+
+resource "aws_security_group" "db" {
+  name_prefix = "${var.name}-db-"
+  description = "MySQL from the application"
+  vpc_id      = var.vpc_id
+
+  dynamic "ingress" {
+    for_each = length(var.allowed_security_group_ids) > 0 ? [1] : []
+    content {
+      description     = "MySQL from application security groups"
+      from_port       = 3306
+      to_port         = 3306
+      protocol        = "tcp"
+      security_groups = var.allowed_security_group_ids
+    }
+  }
+
+  dynamic "ingress" {
+    for_each = length(var.allowed_cidr_blocks) > 0 ? [1] : []
+    content {
+      description = "MySQL from allowed networks"
+      from_port   = 3306
+      to_port     = 3306
+      protocol    = "tcp"
+      cidr_blocks = var.allowed_cidr_blocks
+    }
+  }
+
+  tags = merge(var.tags, { Name = "${var.name}-db" })
+
+  lifecycle {
+    create_before_destroy = true
+  }
+}
+
+resource "aws_db_instance" "this" {
+  identifier_prefix = "${var.name}-"
+  engine            = "mysql"
+  engine_version    = var.engine_version
+  instance_class    = var.instance_class
+  allocated_storage = var.allocated_storage
+  storage_encrypted = true
+
+  db_name                     = var.db_name
+  username                    = var.username
+  password                    = local.master_password
+  manage_master_user_password = local.master_password == null ? true : null
+
+  db_subnet_group_name    = aws_db_subnet_group.this.name
+  vpc_security_group_ids  = [aws_security_group.db.id]
+  publicly_accessible     = false
+  backup_retention_period = 7
+
+  deletion_protection       = var.deletion_protection
+  skip_final_snapshot       = var.skip_final_snapshot
+  final_snapshot_identifier = var.skip_final_snapshot ? null : "${var.name}-final"
+
+  tags = merge(var.tags, { Name = "${var.name}-db" })
+}
@@ -0,0 +1,85 @@
+variable "name" {
+  description = "Name prefix of the database and its resources"
+  type        = string
+}
+
+variable "vpc_id" {
+  description = "VPC of the database"
+  type        = string
+}
+
+variable "subnet_ids" {
+  description = "Private subnets in at least two availability zones"
+  type        = list(string)
+}
+
+variable "allowed_security_group_ids" {
+  description = "Security groups allowed to connect to the database"
+  type        = list(string)
+  default     = []
+}
+
+variable "allowed_cidr_blocks" {
+  description = "CIDR blocks allowed to connect to the database"
+  type        = list(string)
+  default     = []
+}
+
+variable "db_name" {
+  description = "Name of the database created on the instance"
+  type        = string
+}
+
+variable "username" {
+  description = "Master user name"
+  type        = string
+}
+
+variable "master_password" {
+  description = "Master password. Leave null to read it from master_password_secret_id or let RDS manage it in Secrets Manager."
+  type        = string
+  default     = null
+  sensitive   = true
+}
+
+variable "master_password_secret_id" {
+  description = "Secrets Manager secret (name or ARN) holding the master password, as plain text or JSON with a \"password\" key"
+  type        = string
+  default     = null
+}
+
+variable "instance_class" {
+  description = "RDS instance class"
+  type        = string
+  default     = "db.t3.micro"
+}
+
+variable "engine_version" {
+  description = "MySQL engine version"
+  type        = string
+  default     = "8.0"
+}
+
+variable "allocated_storage" {
+  description = "Storage in GiB"
+  type        = number
+  default     = 20
+}
+
+variable "deletion_protection" {
+  description = "Refuse to delete the database"
+  type        = bool
+  default     = false
+}
+
+variable "skip_final_snapshot" {
+  description = "Delete the database without taking a final snapshot"
+  type        = bool
+  default     = true
+}
+
+variable "tags" {
+  description = "Tags added to every resource"
+  type        = map(string)
+  default     = {}
+}
@@ -0,0 +1,19 @@
+output "vpc_id" {
+  description = "ID of the VPC"
+  value       = module.vpc.vpc_id
+}
+
+output "web_url" {
+  description = "URL of the web server"
+  value       = "http://${module.compute.public_dns}"
+}
+
+output "db_address" {
+  description = "Host name of the database"
+  value       = module.database.address
+}
+
+output "db_master_user_secret_arn" {
+  description = "Secrets Manager secret with the master password when RDS manages it"
+  value       = module.database.master_user_secret_arn
+}
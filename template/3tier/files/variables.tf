@@ -0,0 +1,72 @@
+variable "region" {
+  description = "AWS region"
+  type        = string
+  default     = "{{region}}"
+}
+
+variable "project" {
+  description = "Project name, used in resource names and tags"
+  type        = string
+  default     = "{{project}}"
+}
+
+variable "environment" {
+  description = "Environment name, set by environments/<name>/<name>.tfvars"
+  type        = string
+  default     = "dev"
+}
+
+variable "vpc_cidr" {
+  description = "CIDR block of the VPC"
+  type        = string
+  default     = "{{vpc_cidr}}"
+}
+
+variable "enable_nat_gateway" {
+  description = "Create a NAT gateway so that private subnets can reach the internet"
+  type        = bool
+  default     = false
+}
+
+variable "instance_type" {
+  description = "EC2 instance type of the web server"
+  type        = string
+  default     = "{{instance_type}}"
+}
+
+variable "ami_id" {
+  description = "AMI of the web server; empty or null for the latest Amazon Linux 2023"
+  type        = string
+  default     = "{{ami_id}}"
+}
+
+variable "allowed_http_cidrs" {
+  description = "CIDR blocks allowed to reach the web server on port 80"
+  type        = list(string)
+  default     = ["0.0.0.0/0"]
+}
+
+variable "db_name" {
+  description = "Name of the MySQL database"
+  type        = string
+  default     = "{{db_name}}"
+}
+
+variable "db_username" {
+  description = "Master user of the MySQL database"
+  type        = string
+  default     = "{{db_username}}"
+}
+
+variable "db_password" {
+  description = "Master password of the database (e.g. TF_VAR_db_password). Leave null to use db_password_secret_id or a password managed by RDS in Secrets Manager."
+  type        = string
+  default     = null
+  sensitive   = true
+}
+
+variable "db_password_secret_id" {
+  description = "Existing Secrets Manager secret holding the master password"
+  type        = string
+  default     = null
+}
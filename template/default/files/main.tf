@@ -0,0 +1 @@
+{{terraform_settings}}
\ No newline at end of file
@@ -0,0 +1,11 @@
+variable "region" {
+  description = "AWS region"
+  type        = string
+  default     = "{{region}}"
+}
+
+variable "project" {
+  description = "Project name, used in resource names and tags"
+  type        = string
+  default     = "{{project}}"
+}
@@ -0,0 +1,4 @@
+output "region" {
+  description = "The AWS region in use"
+  value       = var.region
+}
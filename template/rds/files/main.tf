@@ -0,0 +1,21 @@
+{{terraform_settings}}
+module "vpc" {
+  source = "./modules/vpc"
+
+  name       = var.project
+  cidr_block = var.vpc_cidr
+}
+
+module "database" {
+  source = "./modules/rds"
+
+  name                      = var.project
+  vpc_id                    = module.vpc.vpc_id
+  subnet_ids                = module.vpc.private_subnet_ids
+  allowed_cidr_blocks       = [module.vpc.vpc_cidr_block]
+  instance_class            = var.db_instance_class
+  db_name                   = var.db_name
+  username                  = var.db_username
+  master_password           = var.db_password
+  master_password_secret_id = var.db_password_secret_id
+}
@@ -0,0 +1,24 @@
+output "address" {
+  description = "Host name of the database"
+  value       = aws_db_instance.this.address
+}
+
+output "port" {
+  description = "Port of the database"
+  value       = aws_db_instance.this.port
+}
+
+output "db_name" {
+  description = "Name of the database"
+  value       = aws_db_instance.this.db_name
+}
+
+output "security_group_id" {
+  description = "Security group of the database"
+  value       = aws_security_group.db.id
+}
+
+output "master_user_secret_arn" {
+  description = "Secrets Manager secret holding the master password when RDS manages it, else null"
+  value       = try(aws_db_instance.this.master_user_secret[0].secret_arn, null)
+}
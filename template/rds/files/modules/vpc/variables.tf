@@ -0,0 +1,37 @@
+variable "name" {
+  description = "Name prefix of the VPC and its resources"
+  type        = string
+}
+
+variable "cidr_block" {
+  description = "CIDR block of the VPC"
+  type        = string
+
+  validation {
+    condition     = can(cidrhost(var.cidr_block, 0))
+    error_message = "cidr_block must be an IPv4 CIDR block such as 10.0.0.0/16."
+  }
+}
+
+variable "az_count" {
+  description = "Number of availability zones to spread the subnets over"
+  type        = number
+  default     = 2
+
+  validation {
+    condition     = var.az_count >= 1 && var.az_count <= 8
+    error_message = "az_count must be between 1 and 8."
+  }
+}
+
+variable "enable_nat_gateway" {
+  description = "Create a NAT gateway so that instances in private subnets can reach the internet"
+  type        = bool
+  default     = false
+}
+
+variable "tags" {
+  description = "Tags added to every resource"
+  type        = map(string)
+  default     = {}
+}
@@ -0,0 +1,19 @@
+output "db_address" {
+  description = "Host name of the database"
+  value       = module.database.address
+}
+
+output "db_port" {
+  description = "Port of the database"
+  value       = module.database.port
+}
+
+output "db_master_user_secret_arn" {
+  description = "Secrets Manager secret with the master password when RDS manages it"
+  value       = module.database.master_user_secret_arn
+}
+
+output "vpc_id" {
+  description = "ID of the VPC"
+  value       = module.vpc.vpc_id
+}
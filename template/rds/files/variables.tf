@@ -0,0 +1,48 @@
+variable "region" {
+  description = "AWS region"
+  type        = string
+  default     = "{{region}}"
+}
+
+variable "project" {
+  description = "Project name, used in resource names and tags"
+  type        = string
+  default     = "{{project}}"
+}
+
+variable "vpc_cidr" {
+  description = "CIDR block of the VPC"
+  type        = string
+  default     = "{{vpc_cidr}}"
+}
+
+variable "db_instance_class" {
+  description = "RDS instance class"
+  type        = string
+  default     = "{{db_instance_class}}"
+}
+
+variable "db_name" {
+  description = "Name of the MySQL database"
+  type        = string
+  default     = "{{db_name}}"
+}
+
+variable "db_username" {
+  description = "Master user of the MySQL database"
+  type        = string
+  default     = "{{db_username}}"
+}
+
+variable "db_password" {
+  description = "Master password of the database (e.g. TF_VAR_db_password). Leave null to use db_password_secret_id or a password managed by RDS in Secrets Manager."
+  type        = string
+  default     = null
+  sensitive   = true
+}
+
+variable "db_password_secret_id" {
+  description = "Existing Secrets Manager secret holding the master password"
+  type        = string
+  default     = null
+}
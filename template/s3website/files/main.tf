@@ -0,0 +1,33 @@
+{{terraform_settings}}
+module "website" {
+  source = "./modules/s3"
+
+  bucket_name       = var.bucket_name
+  enable_cloudfront = var.enable_cloudfront
+}
+
+locals {
+  site_dir = "${path.module}/site"
+  content_types = {
+    css  = "text/css"
+    html = "text/html"
+    ico  = "image/x-icon"
+    jpg  = "image/jpeg"
+    js   = "application/javascript"
+    json = "application/json"
+    png  = "image/png"
+    svg  = "image/svg+xml"
+    txt  = "text/plain"
+  }
+}
+
+# Every file under site/ is uploaded with its content type
+resource "aws_s3_object" "site" {
+  for_each = fileset(local.site_dir, "**")
+
+  bucket       = module.website.bucket_name
+  key          = each.value
+  source       = "${local.site_dir}/${each.value}"
+  etag         = filemd5("${local.site_dir}/${each.value}")
+  content_type = lookup(local.content_types, reverse(split(".", each.value))[0], "application/octet-stream")
+}
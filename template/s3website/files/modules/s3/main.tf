@@ -0,0 +1,135 @@
+resource "aws_s3_bucket" "site" {
+  bucket = var.bucket_name
+
+  tags = merge(var.tags, { Name = var.bucket_name })
+}
+
+resource "aws_s3_bucket_server_side_encryption_configuration" "site" {
+  bucket = aws_s3_bucket.site.id
+
+  rule {
+    apply_server_side_encryption_by_default {
+      sse_algorithm = "AES256"
+    }
+  }
+}
+
+resource "aws_s3_bucket_versioning" "site" {
+  bucket = aws_s3_bucket.site.id
+
+  versioning_configuration {
+    status = "Enabled"
+  }
+}
+
+# With CloudFront the bucket stays private and only the distribution reads it. Without it the
+# bucket serves the site itself, which needs a public bucket policy.
+resource "aws_s3_bucket_public_access_block" "site" {
+  bucket                  = aws_s3_bucket.site.id
+  block_public_acls       = true
+  ignore_public_acls      = true
+  block_public_policy     = var.enable_cloudfront # ta:ignore TA-AWS-003
+  restrict_public_buckets = var.enable_cloudfront # ta:ignore TA-AWS-003
+}
+
+resource "aws_s3_bucket_website_configuration" "site" {
+  count  = var.enable_cloudfront ? 0 : 1
+  bucket = aws_s3_bucket.site.id
+
+  index_document {
+    suffix = var.index_document
+  }
+
+  error_document {
+    key = var.error_document
+  }
+}
+
+data "aws_cloudfront_cache_policy" "optimized" {
+  name = "Managed-CachingOptimized"
+}
+
+resource "aws_cloudfront_origin_access_control" "site" {
+  count                             = var.enable_cloudfront ? 1 : 0
+  name                              = var.bucket_name
+  origin_access_control_origin_type = "s3"
+  signing_behavior                  = "always"
+  signing_protocol                  = "sigv4"
+}
+
+resource "aws_cloudfront_distribution" "site" {
+  count               = var.enable_cloudfront ? 1 : 0
+  enabled             = true
+  comment             = var.bucket_name
+  default_root_object = var.index_document
+  price_class         = var.price_class
+
+  origin {
+    domain_name              = aws_s3_bucket.site.bucket_regional_domain_name
+    origin_id                = "s3-site"
+    origin_access_control_id = aws_cloudfront_origin_access_control.site[0].id
+  }
+
+  default_cache_behavior {
+    target_origin_id       = "s3-site"
+    viewer_protocol_policy = "redirect-to-https"
+    allowed_methods        = ["GET", "HEAD"]
+    cached_methods         = ["GET", "HEAD"]
+    compress               = true
+    cache_policy_id        = data.aws_cloudfront_cache_policy.optimized.id
+  }
+
+  # A private bucket answers 403 for missing objects
+  custom_error_response {
+    error_code         = 403
+    response_code      = 404
+    response_page_path = "/${var.error_document}"
+  }
+
+  custom_error_response {
+    error_code         = 404
+    response_code      = 404
+    response_page_path = "/${var.error_document}"
+  }
+
+  restrictions {
+    geo_restriction {
+      restriction_type = "none"
+    }
+  }
+
+  viewer_certificate {
+    cloudfront_default_certificate = true
+  }
+
+  tags = merge(var.tags, { Name = var.bucket_name })
+}
+
+data "aws_iam_policy_document" "site" {
+  statement {
+    sid       = var.enable_cloudfront ? "CloudFrontRead" : "PublicRead"
+    actions   = ["s3:GetObject"]
+    resources = ["${aws_s3_bucket.site.arn}/*"]
+
+    principals {
+      type        = var.enable_cloudfront ? "Service" : "*"
+      identifiers = var.enable_cloudfront ? ["cloudfront.amazonaws.com"] : ["*"]
+    }
+
+    dynamic "condition" {
+      for_each = aws_cloudfront_distribution.site
+      content {
+        test     = "StringEquals"
+        variable = "AWS:SourceArn"
+        values   = [condition.value.arn]
+      }
+    }
+  }
+}
+
+resource "aws_s3_bucket_policy" "site" {
+  bucket = aws_s3_bucket.site.id
+  policy = data.aws_iam_policy_document.site.json
+
+  depends_on = [aws_s3_bucket_public_access_block.site]
+}
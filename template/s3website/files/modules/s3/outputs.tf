@@ -0,0 +1,23 @@
+output "bucket_name" {
+  description = "Name of the bucket holding the site"
+  value       = aws_s3_bucket.site.id
+}
+
+output "bucket_arn" {
+  description = "ARN of the bucket holding the site"
+  value       = aws_s3_bucket.site.arn
+}
+
+output "cloudfront_distribution_id" {
+  description = "ID of the CloudFront distribution, or null without CloudFront"
+  value       = try(aws_cloudfront_distribution.site[0].id, null)
+}
+
+output "url" {
+  description = "URL of the site"
+  value = (
+    var.enable_cloudfront
+    ? "https://${aws_cloudfront_distribution.site[0].domain_name}"
+    : "http://${aws_s3_bucket_website_configuration.site[0].website_endpoint}"
+  )
+}
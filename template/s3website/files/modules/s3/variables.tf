@@ -0,0 +1,34 @@
+variable "bucket_name" {
+  description = "Name of the bucket holding the site"
+  type        = string
+}
+
+variable "enable_cloudfront" {
+  description = "Serve the site over HTTPS through CloudFront and keep the bucket private"
+  type        = bool
+  default     = true
+}
+
+variable "index_document" {
+  description = "Page served for the site root"
+  type        = string
+  default     = "index.html"
+}
+
+variable "error_document" {
+  description = "Page served when a page is not found"
+  type        = string
+  default     = "error.html"
+}
+
+variable "price_class" {
+  description = "CloudFront price class"
+  type        = string
+  default     = "PriceClass_100"
+}
+
+variable "tags" {
+  description = "Tags added to every resource"
+  type        = map(string)
+  default     = {}
+}
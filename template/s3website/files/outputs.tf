@@ -0,0 +1,14 @@
+output "url" {
+  description = "URL of the site"
+  value       = module.website.url
+}
+
+output "bucket_name" {
+  description = "S3 bucket holding the site"
+  value       = module.website.bucket_name
+}
+
+output "cloudfront_distribution_id" {
+  description = "CloudFront distribution to invalidate after uploads, or null"
+  value       = module.website.cloudfront_distribution_id
+}
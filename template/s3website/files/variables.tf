@@ -0,0 +1,23 @@
+variable "region" {
+  description = "AWS region"
+  type        = string
+  default     = "{{region}}"
+}
+
+variable "project" {
+  description = "Project name, used in resource names and tags"
+  type        = string
+  default     = "{{project}}"
+}
+
+variable "bucket_name" {
+  description = "S3 bucket holding the site"
+  type        = string
+  default     = "{{bucket_name}}"
+}
+
+variable "enable_cloudfront" {
+  description = "Serve the site through CloudFront and keep the bucket private"
+  type        = bool
+  default     = {{enable_cloudfront}}
+}
@@ -0,0 +1,9 @@
+{{terraform_settings}}
+module "vpc" {
+  source = "./modules/vpc"
+
+  name               = var.project
+  cidr_block         = var.vpc_cidr
+  az_count           = var.az_count
+  enable_nat_gateway = var.enable_nat_gateway
+}
@@ -0,0 +1,29 @@
+variable "region" {
+  description = "AWS region"
+  type        = string
+  default     = "{{region}}"
+}
+
+variable "project" {
+  description = "Project name, used in resource names and tags"
+  type        = string
+  default     = "{{project}}"
+}
+
+variable "vpc_cidr" {
+  description = "CIDR block of the VPC"
+  type        = string
+  default     = "{{vpc_cidr}}"
+}
+
+variable "az_count" {
+  description = "Number of availability zones to spread the subnets over"
+  type        = number
+  default     = {{az_count}}
+}
+
+variable "enable_nat_gateway" {
+  description = "Create a NAT gateway so that private subnets can reach the internet"
+  type        = bool
+  default     = {{enable_nat_gateway}}
+}
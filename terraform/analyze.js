@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import { changeAction, summarizePlan } from './plan.js';
+
+// Offline analysis of a plan JSON (`terraform show -json <planfile>`): deletions, sensitive
+// attribute changes and a monthly cost estimate from a price table (see terraform/prices.json).
+
+const bundledPrices = new URL('./prices.json', import.meta.url);
+
+// Bundled price table, with entries from `overrideFile` replacing or adding resource types
+export async function loadPrices(overrideFile) {
+    const prices = JSON.parse(await fs.readFile(bundledPrices, 'utf8'));
+    if (!overrideFile) return prices;
+
+    let override;
+    try {
+        override = JSON.parse(await fs.readFile(overrideFile, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return prices;
+        throw new Error(`Invalid price table ${overrideFile}: ${error.message}`);
+    }
+    return {
+        ...prices,
+        ...override,
+        resources: { ...prices.resources, ...(override.resources || {}) },
+    };
+}
+
+// A price is a number or { by: attribute, prices: { value: number }, default?: value }.
+// Undefined when the attribute value is unknown or not in the table.
+function lookup(price, values) {
+    if (typeof price === 'number') return price;
+    if (!price || typeof price !== 'object') return undefined;
+    const key = values[price.by] ?? price.default;
+    return price.prices?.[key];
+}
+
+// Monthly cost of one resource from its attribute values: { amount, missing } where `missing`
+// says why no amount could be computed (amount is null then).
+export function estimateMonthly(type, values, prices) {
+    const spec = prices.resources[type];
+    if (!spec) return { amount: null, missing: 'no price for this resource type' };
+    if (!values) return { amount: 0, missing: null };
+
+    let amount = spec.monthly ?? 0;
+    if (spec.hourly !== undefined) {
+        const hourly = lookup(spec.hourly, values);
+        if (hourly === undefined) {
+            const attribute = spec.hourly.by;
+            return { amount: null, missing: `no price for ${attribute} '${values[attribute] ?? '(unknown)'}'` };
+        }
+        amount += hourly * (prices.hoursPerMonth || 730);
+    }
+    if (spec.perGb) {
+        const perGb = lookup(spec.perGb.price, values);
+        const size = Number(values[spec.perGb.size]);
+        if (perGb === undefined || !Number.isFinite(size)) {
+            return { amount: null, missing: `unknown ${spec.perGb.size} or storage price` };
+        }
+        amount += perGb * size;
+    }
+    if (spec.count) amount *= Number(values[spec.count]) || 1;
+    if (spec.doubleWhen && values[spec.doubleWhen] === true) amount *= 2;
+    return { amount, missing: null };
+}
+
+// Attribute paths marked sensitive in a before_sensitive/after_sensitive structure
+function sensitivePaths(marks, prefix = []) {
+    if (marks === true) return [prefix];
+    if (!marks || typeof marks !== 'object') return [];
+    return Object.entries(marks).flatMap(([key, value]) => sensitivePaths(value, [...prefix, key]));
+}
+
+function valueAt(value, keys) {
+    return keys.reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+function formatPath(keys) {
+    return keys.map((key, index) => (/^\d+$/.test(key) ? `[${key}]` : index ? `.${key}` : key)).join('');
+}
+
+// Sensitive attributes whose value changes in an update or replace. Values are never reported.
+function sensitiveChanges(change) {
+    const paths = new Map();
+    for (const keys of [...sensitivePaths(change.before_sensitive), ...sensitivePaths(change.after_sensitive)]) {
+        paths.set(formatPath(keys), keys);
+    }
+    return [...paths]
+        .filter(
+            ([, keys]) =>
+                valueAt(change.after_unknown, keys) === true ||
+                JSON.stringify(valueAt(change.before, keys)) !== JSON.stringify(valueAt(change.after, keys))
+        )
+        .map(([name]) => name);
+}
+
+// Returns {
+//   summary (see plan.js), deletions: [{ address, action, reason }],
+//   sensitive: [{ address, action, attributes }],
+//   costs: [{ address, type, action, before, after, note }], unpriced: [{ address, type, reason }],
+//   totals: { before, after, delta }, currency
+// }
+export function analyzePlan(plan, prices) {
+    const summary = summarizePlan(plan);
+    const managed = (plan.resource_changes || []).filter((change) => change.mode !== 'data');
+
+    const deletions = summary.changes
+        .filter((change) => change.action === 'destroy' || change.action === 'replace')
+        .map(({ address, action, reason }) => ({ address, action, reason }));
+
+    const sensitive = managed
+        .map((change) => ({ address: change.address, action: changeAction(change.change?.actions), change: change.change || {} }))
+        .filter(({ action }) => action === 'update' || action === 'replace')
+        .map(({ address, action, change }) => ({ address, action, attributes: sensitiveChanges(change) }))
+        .filter((item) => item.attributes.length > 0);
+
+    const costs = [];
+    const unpriced = [];
+    const totals = { before: 0, after: 0, delta: 0 };
+    for (const change of managed) {
+        const action = changeAction(change.change?.actions);
+        const before = estimateMonthly(change.type, change.change?.before, prices);
+        const after = estimateMonthly(change.type, action === 'destroy' ? null : change.change?.after, prices);
+        const missing = (action !== 'create' && before.missing) || after.missing;
+        if (missing) {
+            unpriced.push({ address: change.address, type: change.type, reason: missing });
+            continue;
+        }
+        totals.before += before.amount;
+        totals.after += after.amount;
+        costs.push({
+            address: change.address,
+            type: change.type,
+            action,
+            before: before.amount,
+            after: after.amount,
+            note: prices.resources[change.type]?.note || null,
+        });
+    }
+    totals.delta = totals.after - totals.before;
+
+    return { summary, deletions, sensitive, costs, unpriced, totals, currency: prices.currency || 'USD' };
+}
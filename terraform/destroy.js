@@ -0,0 +1,58 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { readTfFiles } from '../utils/files.js';
+import { parse, literalValue } from '../utils/hcl.js';
+
+// Helpers for the destroy workflow: protections declared in code, state backups and the audit log.
+
+// `type.name` of every resource declared with lifecycle { prevent_destroy = true } under `dir`,
+// mapped to the file that declares it
+export async function findProtectedResources(dir) {
+    const protectedResources = new Map();
+    for (const file of await readTfFiles(dir, { quiet: true })) {
+        let body;
+        try {
+            body = parse(file.content);
+        } catch {
+            continue;
+        }
+        for (const block of body.blocks.filter((item) => item.type === 'resource')) {
+            const lifecycle = block.body.blocks.find((item) => item.type === 'lifecycle');
+            const flag = lifecycle?.body.attributes.find((item) => item.name === 'prevent_destroy');
+            if (flag && literalValue(flag.value) !== false) {
+                protectedResources.set(block.labels.join('.'), file.relativePath);
+            }
+        }
+    }
+    return protectedResources;
+}
+
+// Resource `type.name` of a full address: module.app.aws_instance.web["a"] -> aws_instance.web
+export function resourceKey(address) {
+    return address.replace(/\[[^\]]*\]/g, '').split('.').slice(-2).join('.');
+}
+
+export function backupPath(workingDir, environment) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = environment ? `${environment.name}-${timestamp}` : timestamp;
+    // .terraform/ is normally git-ignored, which is what we want for a file that may contain secrets
+    return path.join(workingDir, '.terraform', 'ta-backups', `${name}.tfstate`);
+}
+
+export const auditLogPath = path.join('.ta', 'audit.log');
+
+// Append one JSON line to the project's audit log, stamped with the time and the local user
+export async function appendAuditLog(projectDir, entry) {
+    const file = path.join(projectDir, auditLogPath);
+    let user;
+    try {
+        user = os.userInfo().username;
+    } catch {
+        user = process.env.USER || process.env.USERNAME || 'unknown';
+    }
+    const record = { time: new Date().toISOString(), user, host: os.hostname(), ...entry };
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, JSON.stringify(record) + '\n');
+    return file;
+}
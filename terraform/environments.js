@@ -0,0 +1,92 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Environments of a project laid out as environments/<name>/ (or envs/<name>/). Two layouts work:
+// - each environment is its own root module (has .tf files): Terraform runs in that folder;
+// - the environment folder only holds settings: Terraform runs in the project root with the
+//   folder's tfvars and backend config, in a workspace named after the environment so states
+//   never mix.
+
+const environmentFolders = ['environments', 'envs'];
+
+// Promotion order; unknown names run after the known pre-production stages, before prod
+const promotionOrder = ['dev', 'development', 'test', 'testing', 'qa', 'stage', 'staging', 'uat', 'preprod'];
+const productionNames = ['prod', 'production', 'prd', 'live'];
+
+// `names` replaces the default production names (environments.production in .tarc)
+export function isProduction(name, names = productionNames) {
+    return names.some((item) => item.toLowerCase() === name.toLowerCase());
+}
+
+function rank(environment) {
+    if (environment.production) return promotionOrder.length + 1;
+    const index = promotionOrder.indexOf(environment.name.toLowerCase());
+    return index === -1 ? promotionOrder.length : index;
+}
+
+export function sortEnvironments(environments) {
+    return [...environments].sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+}
+
+// terraform.tfvars and *.auto.tfvars are loaded by Terraform itself from the working directory
+function autoLoaded(file) {
+    return /^terraform\.tfvars(\.json)?$/.test(file) || /\.auto\.tfvars(\.json)?$/.test(file);
+}
+
+// [{ name, dir, workingDir, varFiles, backendConfig, workspace, production }] in promotion order.
+// Paths are absolute. Empty when the project has no environment folders. `options.production`
+// lists the names of production environments when they differ from the usual ones.
+export async function detectEnvironments(projectDir, options = {}) {
+    const root = path.resolve(projectDir);
+    const environments = [];
+
+    for (const folder of environmentFolders) {
+        const base = path.join(root, folder);
+        const entries = await fs.readdir(base, { withFileTypes: true }).catch(() => []);
+        for (const entry of entries.filter((item) => item.isDirectory() && !item.name.startsWith('.'))) {
+            const dir = path.join(base, entry.name);
+            const files = (await fs.readdir(dir)).sort();
+            const ownRoot = files.some((file) => file.endsWith('.tf') || file.endsWith('.tf.json'));
+            const backend = files.find((file) => file === 'backend.hcl' || file.endsWith('.tfbackend'));
+
+            environments.push({
+                name: entry.name,
+                dir,
+                workingDir: ownRoot ? dir : root,
+                varFiles: files
+                    .filter((file) => /\.tfvars(\.json)?$/.test(file) && !(ownRoot && autoLoaded(file)))
+                    .map((file) => path.join(dir, file)),
+                backendConfig: backend ? path.join(dir, backend) : null,
+                workspace: ownRoot ? null : entry.name,
+                production: isProduction(entry.name, options.production),
+            });
+        }
+    }
+    return sortEnvironments(environments);
+}
+
+// Pick environments by a comma-separated list of names, or 'all'. Throws on unknown names.
+export function selectEnvironments(environments, selection) {
+    if (selection === 'all') return environments;
+    const names = selection.split(',').map((name) => name.trim()).filter(Boolean);
+    const unknown = names.filter((name) => !environments.some((environment) => environment.name === name));
+    if (unknown.length) {
+        const known = environments.map((environment) => environment.name).join(', ') || 'none';
+        throw new Error(`Unknown environment '${unknown[0]}'. Available: ${known}.`);
+    }
+    return environments.filter((environment) => names.includes(environment.name));
+}
+
+// Extra arguments for init and for plan/apply/destroy in one environment
+export function environmentArgs(environment) {
+    if (!environment) return { init: [], vars: [] };
+    const shared = environment.workingDir !== environment.dir;
+    return {
+        init: [
+            ...(environment.backendConfig ? [`-backend-config=${environment.backendConfig}`] : []),
+            // One root shared by environments with different backend settings: re-initialize each time
+            ...(shared ? ['-reconfigure'] : []),
+        ],
+        vars: environment.varFiles.map((file) => `-var-file=${file}`),
+    };
+}
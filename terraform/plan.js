@@ -0,0 +1,36 @@
+// Reading `terraform show -json <planfile>` output.
+
+export const planActions = ['create', 'update', 'replace', 'destroy'];
+
+// Terraform lists the actions of one resource change as ["create"], ["update"], ["delete"],
+// ["delete", "create"] / ["create", "delete"] (replace), ["read"] or ["no-op"]
+export function changeAction(actions = []) {
+    if (actions.includes('create') && actions.includes('delete')) return 'replace';
+    if (actions.includes('delete')) return 'destroy';
+    if (actions.includes('create')) return 'create';
+    if (actions.includes('update')) return 'update';
+    if (actions.includes('read')) return 'read';
+    return 'no-op';
+}
+
+// Summary of a parsed plan: { changes: [{ address, type, action, reason }], counts: { create, update, replace, destroy } }.
+// Reads and no-ops are left out.
+export function summarizePlan(plan) {
+    const changes = (plan.resource_changes || [])
+        .map((change) => ({
+            address: change.address,
+            type: change.type,
+            action: changeAction(change.change?.actions),
+            reason: change.action_reason || null,
+        }))
+        .filter((change) => planActions.includes(change.action));
+
+    const counts = Object.fromEntries(planActions.map((action) => [action, 0]));
+    changes.forEach((change) => counts[change.action]++);
+    return { changes, counts };
+}
+
+// True when applying the plan would delete existing objects (destroys and replacements)
+export function hasDeletions(summary) {
+    return summary.counts.destroy > 0 || summary.counts.replace > 0;
+}
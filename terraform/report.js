@@ -0,0 +1,113 @@
+// Markdown and HTML renderings of a plan analysis (see terraform/analyze.js)
+
+function money(amount, currency) {
+    return `${amount < 0 ? '-' : ''}${Math.abs(amount).toFixed(2)} ${currency}`;
+}
+
+function signed(amount, currency) {
+    return `${amount > 0 ? '+' : ''}${money(amount, currency)}`;
+}
+
+// The report as sections of { heading, text?, columns?, rows? } shared by both renderers
+function sections(analysis) {
+    const { summary, deletions, sensitive, costs, unpriced, totals, currency } = analysis;
+    const { counts } = summary;
+    return [
+        {
+            heading: 'Summary',
+            text: `Plan: ${counts.create} to create, ${counts.update} to update, ${counts.replace} to replace, ${counts.destroy} to destroy.`,
+        },
+        {
+            heading: 'Replaced or destroyed resources',
+            text: deletions.length ? null : 'None.',
+            columns: ['Action', 'Address', 'Reason'],
+            rows: deletions.map((item) => [item.action, item.address, item.reason || '']),
+        },
+        {
+            heading: 'Sensitive attribute changes',
+            text: sensitive.length ? 'Values are not shown.' : 'None.',
+            columns: ['Action', 'Address', 'Attributes'],
+            rows: sensitive.map((item) => [item.action, item.address, item.attributes.join(', ')]),
+        },
+        {
+            heading: 'Estimated monthly cost',
+            text: `${money(totals.before, currency)} now, ${money(totals.after, currency)} after apply (${signed(totals.delta, currency)}). Estimates from the price table; usage-based charges are not included.`,
+            columns: ['Action', 'Address', 'Before', 'After', 'Notes'],
+            rows: costs
+                .filter((item) => item.before || item.after || item.action !== 'no-op')
+                .map((item) => [item.action, item.address, money(item.before, currency), money(item.after, currency), item.note || '']),
+        },
+        {
+            heading: 'Not priced',
+            text: unpriced.length ? null : 'None.',
+            columns: ['Address', 'Reason'],
+            rows: unpriced.map((item) => [item.address, item.reason]),
+        },
+    ];
+}
+
+export function renderPlanMarkdown(analysis, { title, source } = {}) {
+    const cell = (text) => String(text).replace(/\|/g, '\\|');
+    let markdown = `# ${title || 'Terraform Plan Report'}\n\n`;
+    if (source) markdown += `Plan: \`${source}\`\n\n`;
+    for (const section of sections(analysis)) {
+        markdown += `## ${section.heading}\n\n`;
+        if (section.text) markdown += `${section.text}\n\n`;
+        if (section.rows?.length) {
+            markdown += `| ${section.columns.join(' | ')} |\n| ${section.columns.map(() => '---').join(' | ')} |\n`;
+            section.rows.forEach((row) => (markdown += `| ${row.map(cell).join(' | ')} |\n`));
+            markdown += '\n';
+        }
+    }
+    return markdown;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[<>&"]/g, (char) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char]);
+}
+
+const actionClasses = { create: 'create', update: 'update', replace: 'replace', destroy: 'destroy' };
+
+export function renderPlanHtml(analysis, { title, source } = {}) {
+    const heading = escapeHtml(title || 'Terraform Plan Report');
+    const body = sections(analysis)
+        .map((section) => {
+            let html = `<h2>${escapeHtml(section.heading)}</h2>\n`;
+            if (section.text) html += `<p>${escapeHtml(section.text)}</p>\n`;
+            if (section.rows?.length) {
+                const head = section.columns.map((column) => `<th>${escapeHtml(column)}</th>`).join('');
+                const rows = section.rows
+                    .map((row) => {
+                        const className = actionClasses[row[0]] ? ` class="${actionClasses[row[0]]}"` : '';
+                        return `<tr${className}>${row.map((value) => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`;
+                    })
+                    .join('\n');
+                html += `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${rows}\n</tbody>\n</table>\n`;
+            }
+            return html;
+        })
+        .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${heading}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; }
+th { background: #f3f3f3; }
+tr.create td:first-child { color: #1a7f37; }
+tr.update td:first-child { color: #9a6700; }
+tr.replace td:first-child { color: #8250df; }
+tr.destroy td:first-child { color: #cf222e; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>${heading}</h1>
+${source ? `<p>Plan: <code>${escapeHtml(source)}</code></p>\n` : ''}${body}
+</body>
+</html>
+`;
+}
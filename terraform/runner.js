@@ -0,0 +1,167 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Runs the terraform (or tofu) CLI: one place that finds the binary, streams its output once,
+// reports exit codes, parses `-json` output and handles timeouts and Ctrl-C.
+
+export const binaryNames = ['terraform', 'tofu'];
+
+export class TerraformNotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TerraformNotFoundError';
+    }
+}
+
+// Portable `which`: searches PATH (and PATHEXT on Windows) without going through a shell.
+// Names containing a path separator are checked as they are. Resolves to the full path or null.
+export async function which(name, { env = process.env, platform = process.platform } = {}) {
+    const windows = platform === 'win32';
+    const extensions = windows ? ['', ...(env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean)] : [''];
+    const isExecutable = async (file) => {
+        try {
+            const stat = await fs.stat(file);
+            if (!stat.isFile()) return false;
+            if (!windows) await fs.access(file, fs.constants.X_OK);
+            return true;
+        } catch {
+            return false;
+        }
+    };
+
+    if (name.includes('/') || (windows && name.includes('\\'))) {
+        for (const extension of extensions) {
+            if (await isExecutable(name + extension)) return path.resolve(name + extension);
+        }
+        return null;
+    }
+
+    const dirs = (env.PATH ?? env.Path ?? '').split(windows ? ';' : ':').filter(Boolean);
+    for (const dir of dirs) {
+        for (const extension of extensions) {
+            const candidate = path.join(dir, name + extension);
+            if (await isExecutable(candidate)) return candidate;
+        }
+    }
+    return null;
+}
+
+// Find the binary to run: `binary` (or TA_TERRAFORM_BIN, e.g. a fake binary in tests) when set,
+// otherwise the first of `candidates` on PATH. Resolves to { path, name } or null.
+export async function findTerraform({ binary = process.env.TA_TERRAFORM_BIN, candidates = binaryNames, env } = {}) {
+    if (binary) {
+        const found = await which(binary, { env });
+        if (!found) throw new TerraformNotFoundError(`Terraform binary '${binary}' was not found.`);
+        return { path: found, name: path.basename(found).replace(/\.(exe|cmd|bat|com)$/i, '') };
+    }
+    for (const name of candidates) {
+        const found = await which(name, { env });
+        if (found) return { path: found, name };
+    }
+    return null;
+}
+
+// `-json` output is either one document (show, output, version) or one message per line (plan, apply)
+export function parseJsonOutput(text) {
+    const trimmed = text.trim();
+    if (!trimmed) return null;
+    try {
+        return JSON.parse(trimmed);
+    } catch {
+        return trimmed
+            .split(/\r?\n/)
+            .filter((line) => line.trim().startsWith('{'))
+            .map((line) => {
+                try {
+                    return JSON.parse(line);
+                } catch {
+                    return { '@level': 'info', '@message': line };
+                }
+            });
+    }
+}
+
+// Run `binary args` and resolve to { code, signal, stdout, json, timedOut, cancelled }. Never rejects
+// because of the exit code; rejects only when the process cannot be started.
+// - output goes straight to the terminal; `capture` (or `json`) collects stdout instead
+// - `timeout` (ms) and `signal` (AbortSignal) interrupt the process like Ctrl-C and kill it
+//   after `killGrace` ms if it has not stopped
+// - Ctrl-C in the terminal reaches terraform directly, which stops gracefully; this process
+//   waits for it instead of exiting, and a second Ctrl-C kills it
+export function runCommand(binary, args, options = {}) {
+    const { cwd, env, capture = false, json = false, timeout = 0, signal, killGrace = 10000 } = options;
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(binary, args, {
+            cwd,
+            env: env ? { ...process.env, ...env } : process.env,
+            stdio: ['inherit', capture || json ? 'pipe' : 'inherit', 'inherit'],
+            // .cmd/.bat wrappers can only be started through the shell on Windows
+            shell: process.platform === 'win32' && /\.(cmd|bat)$/i.test(binary),
+        });
+
+        let stdout = '';
+        let timedOut = false;
+        let cancelled = false;
+        let killTimer;
+        child.stdout?.on('data', (chunk) => (stdout += chunk));
+
+        const interrupt = () => {
+            child.kill('SIGINT');
+            killTimer = setTimeout(() => child.kill('SIGKILL'), killGrace);
+        };
+        const onInterrupt = () => {
+            if (cancelled) {
+                child.kill('SIGKILL');
+                return;
+            }
+            cancelled = true;
+            process.stderr.write(`\nInterrupted: waiting for ${path.basename(binary)} to stop (Ctrl-C again to kill it)...\n`);
+        };
+        const onAbort = () => {
+            cancelled = true;
+            interrupt();
+        };
+        const timer =
+            timeout > 0 &&
+            setTimeout(() => {
+                timedOut = true;
+                interrupt();
+            }, timeout);
+
+        process.on('SIGINT', onInterrupt);
+        signal?.addEventListener('abort', onAbort, { once: true });
+        const cleanup = () => {
+            clearTimeout(timer);
+            clearTimeout(killTimer);
+            process.removeListener('SIGINT', onInterrupt);
+            signal?.removeEventListener('abort', onAbort);
+        };
+
+        child.on('error', (error) => {
+            cleanup();
+            reject(error.code === 'ENOENT' ? new TerraformNotFoundError(`Cannot run '${binary}': not found.`) : error);
+        });
+        child.on('close', (code, exitSignal) => {
+            cleanup();
+            resolve({
+                code: code ?? -1,
+                signal: exitSignal,
+                stdout,
+                json: json ? parseJsonOutput(stdout) : undefined,
+                timedOut,
+                cancelled: cancelled || exitSignal === 'SIGINT',
+            });
+        });
+    });
+}
+
+// A runner bound to one binary: run(args, options) with defaults for cwd, timeout and env
+export function createRunner(binary, defaults = {}) {
+    return {
+        binary: binary.path ?? binary,
+        name: binary.name ?? path.basename(binary),
+        run: (args, options = {}) => runCommand(binary.path ?? binary, args, { ...defaults, ...options }),
+    };
+}
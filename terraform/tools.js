@@ -0,0 +1,175 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readTfFiles } from '../utils/files.js';
+import { parse } from '../utils/hcl.js';
+
+// Terraform and OpenTofu: which one a project uses and what differs between them and their versions.
+
+export const tools = {
+    terraform: {
+        name: 'terraform',
+        label: 'Terraform',
+        installUrl: 'https://developer.hashicorp.com/terraform/install',
+        registry: 'registry.terraform.io',
+        requiredVersion: '>= 1.5.0',
+    },
+    tofu: {
+        name: 'tofu',
+        label: 'OpenTofu',
+        installUrl: 'https://opentofu.org/docs/intro/install/',
+        registry: 'registry.opentofu.org',
+        requiredVersion: '>= 1.7.0',
+    },
+};
+
+export const toolNames = Object.keys(tools);
+
+const projectFile = path.join('.ta', 'project.json');
+
+// The tool a project asks for: `binary` in .ta/project.json (an explicit choice), else a hint from
+// a version pin file (.opentofu-version / .terraform-version) or the registry in the dependency
+// lock file. Resolves to { name, explicit, source } or null.
+export async function projectTool(dir) {
+    const read = (file) => fs.readFile(path.join(dir, file), 'utf8').catch(() => null);
+
+    const settings = await read(projectFile);
+    if (settings) {
+        let binary;
+        try {
+            binary = JSON.parse(settings).binary;
+        } catch (error) {
+            throw new Error(`Invalid ${projectFile}: ${error.message}`);
+        }
+        if (binary && !tools[binary]) throw new Error(`Unknown binary '${binary}' in ${projectFile}. Expected ${toolNames.join(' or ')}.`);
+        if (binary) return { name: binary, explicit: true, source: projectFile };
+    }
+
+    if (await read('.opentofu-version')) return { name: 'tofu', explicit: false, source: '.opentofu-version' };
+    if (await read('.terraform-version')) return { name: 'terraform', explicit: false, source: '.terraform-version' };
+
+    const lock = await read('.terraform.lock.hcl');
+    for (const name of ['tofu', 'terraform']) {
+        if (lock?.includes(tools[name].registry)) return { name, explicit: false, source: '.terraform.lock.hcl' };
+    }
+    return null;
+}
+
+export async function saveProjectTool(dir, binary) {
+    const file = path.join(dir, projectFile);
+    const current = JSON.parse((await fs.readFile(file, 'utf8').catch(() => null)) || '{}');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ ...current, binary }, null, 2) + '\n');
+    return file;
+}
+
+export function parseVersion(text) {
+    const match = /(\d+)\.(\d+)\.(\d+)/.exec(text || '');
+    return match ? match.slice(1, 4).map(Number) : null;
+}
+
+export function atLeast(version, minimum) {
+    if (!version) return false;
+    const wanted = parseVersion(minimum);
+    for (let i = 0; i < 3; i++) {
+        if (version[i] !== wanted[i]) return version[i] > wanted[i];
+    }
+    return true;
+}
+
+// Version of the binary behind `runner` (see runner.js), or null when it cannot be read.
+// OpenTofu reports its version under the same `terraform_version` key.
+export async function toolVersion(runner) {
+    try {
+        const { code, json } = await runner.run(['version', '-json'], { json: true });
+        return code === 0 ? parseVersion(json?.terraform_version) : null;
+    } catch {
+        return null;
+    }
+}
+
+// What the binary supports: `workspace select -or-create` (Terraform 1.4+, every OpenTofu)
+// and state/plan encryption (OpenTofu 1.7+ only)
+export function features(name, version) {
+    const tofu = name === 'tofu';
+    return {
+        workspaceOrCreate: tofu || atLeast(version, '1.4.0'),
+        stateEncryption: tofu && atLeast(version, '1.7.0'),
+    };
+}
+
+// Problems running the configuration in `dir` with this binary: [{ level: 'error'|'warning', message }]
+export async function compatibilityProblems(dir, name, version) {
+    const problems = [];
+    const files = await readTfFiles(dir, { quiet: true });
+    const topLevel = files.filter((file) => !file.relativePath.includes('/'));
+
+    const encrypted = topLevel.some((file) => {
+        try {
+            return parse(file.content).blocks.some(
+                (block) => block.type === 'terraform' && block.body.blocks.some((inner) => inner.type === 'encryption')
+            );
+        } catch {
+            return false;
+        }
+    });
+    if ((encrypted || process.env.TF_ENCRYPTION) && !features(name, version).stateEncryption) {
+        problems.push({
+            level: 'error',
+            message:
+                name === 'tofu'
+                    ? 'State encryption needs OpenTofu 1.7 or newer. Upgrade tofu before running this configuration.'
+                    : 'This configuration encrypts its state (terraform { encryption }), which only OpenTofu supports. Use tofu, or remove the encryption block after decrypting the state.',
+        });
+    }
+
+    const lock = await fs.readFile(path.join(dir, '.terraform.lock.hcl'), 'utf8').catch(() => '');
+    const other = toolNames.find((candidate) => candidate !== name);
+    if (lock.includes(tools[other].registry) && !lock.includes(tools[name].registry)) {
+        problems.push({
+            level: 'warning',
+            message: `.terraform.lock.hcl pins providers from ${tools[other].registry} (${tools[other].label}). ${tools[name].label} uses ${tools[name].registry}; run \`${name} init -upgrade\` once to update the lock file.`,
+        });
+    }
+    return problems;
+}
+
+// `terraform {}` settings block for generated projects
+export function settingsBlock(name = 'terraform') {
+    const tool = tools[name];
+    const lines = [
+        'terraform {',
+        `  required_version = "${tool.requiredVersion}"`,
+        '',
+        '  required_providers {',
+        '    aws = {',
+        `      # Resolved from ${tool.registry}`,
+        '      source  = "hashicorp/aws"',
+        '      version = "~> 5.0"',
+        '    }',
+        '  }',
+    ];
+    if (name === 'tofu') {
+        lines.push(
+            '',
+            '  # OpenTofu can encrypt state and plan files. To turn it on, declare a sensitive',
+            '  # `state_passphrase` variable, set it (16+ characters) through TF_VAR_state_passphrase',
+            '  # and uncomment the block below.',
+            '  # encryption {',
+            '  #   key_provider "pbkdf2" "main" {',
+            '  #     passphrase = var.state_passphrase',
+            '  #   }',
+            '  #   method "aes_gcm" "main" {',
+            '  #     keys = key_provider.pbkdf2.main',
+            '  #   }',
+            '  #   state {',
+            '  #     method = method.aes_gcm.main',
+            '  #   }',
+            '  #   plan {',
+            '  #     method = method.aes_gcm.main',
+            '  #   }',
+            '  # }'
+        );
+    }
+    lines.push('}', '');
+    return lines.join('\n');
+}
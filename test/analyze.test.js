@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { analyzePlan, estimateMonthly, loadPrices } from '../terraform/analyze.js';
+import { renderPlanHtml, renderPlanMarkdown } from '../terraform/report.js';
+import { tempDir } from './helpers.js';
+
+const prices = {
+    currency: 'USD',
+    hoursPerMonth: 100,
+    resources: {
+        aws_instance: { hourly: { by: 'instance_type', prices: { 't3.micro': 0.01, 't3.large': 0.08 } }, note: 'no EBS' },
+        aws_db_instance: {
+            hourly: { by: 'instance_class', prices: { 'db.t3.micro': 0.02 } },
+            perGb: { size: 'allocated_storage', price: { by: 'storage_type', default: 'gp2', prices: { gp2: 0.1 } } },
+            doubleWhen: 'multi_az',
+        },
+        aws_elasticache_cluster: { hourly: 0.01, count: 'num_cache_nodes' },
+        aws_s3_bucket: { monthly: 0 },
+    },
+};
+
+function resourceChange(address, actions, before, after, extra = {}) {
+    const [type] = address.split('.');
+    return { address, type, mode: 'managed', change: { actions, before, after, ...extra } };
+}
+
+const secret = 'hunter2-super-secret';
+
+const plan = {
+    resource_changes: [
+        resourceChange('aws_instance.web', ['update'], { instance_type: 't3.micro' }, { instance_type: 't3.large' }),
+        resourceChange(
+            'aws_db_instance.main',
+            ['delete', 'create'],
+            { instance_class: 'db.t3.micro', allocated_storage: 20, password: 'old-password', multi_az: false },
+            { instance_class: 'db.t3.micro', allocated_storage: 20, password: secret, multi_az: true },
+            { before_sensitive: { password: true }, after_sensitive: { password: true } }
+        ),
+        resourceChange('aws_s3_bucket.old', ['delete'], { bucket: 'old' }, null),
+        resourceChange('aws_lambda_function.api', ['create'], null, { function_name: 'api' }),
+        { address: 'data.aws_ami.ubuntu', type: 'aws_ami', mode: 'data', change: { actions: ['read'] } },
+    ],
+};
+
+test('monthly estimates follow the price table', () => {
+    assert.deepEqual(estimateMonthly('aws_instance', { instance_type: 't3.large' }, prices), { amount: 8, missing: null });
+    assert.deepEqual(estimateMonthly('aws_db_instance', { instance_class: 'db.t3.micro', allocated_storage: 10, multi_az: true }, prices), { amount: 6, missing: null });
+    assert.deepEqual(estimateMonthly('aws_elasticache_cluster', { num_cache_nodes: 3 }, prices), { amount: 3, missing: null });
+    assert.deepEqual(estimateMonthly('aws_instance', { instance_type: 'x1.huge' }, prices), { amount: null, missing: "no price for instance_type 'x1.huge'" });
+    assert.deepEqual(estimateMonthly('aws_db_instance', { instance_class: 'db.t3.micro' }, prices), { amount: null, missing: 'unknown allocated_storage or storage price' });
+    assert.deepEqual(estimateMonthly('aws_vpc', {}, prices), { amount: null, missing: 'no price for this resource type' });
+    assert.deepEqual(estimateMonthly('aws_instance', null, prices), { amount: 0, missing: null });
+});
+
+test('the analysis lists deletions, sensitive changes and cost totals', () => {
+    const analysis = analyzePlan(plan, prices);
+    assert.deepEqual(analysis.deletions, [
+        { address: 'aws_db_instance.main', action: 'replace', reason: null },
+        { address: 'aws_s3_bucket.old', action: 'destroy', reason: null },
+    ]);
+    assert.deepEqual(analysis.sensitive, [{ address: 'aws_db_instance.main', action: 'replace', attributes: ['password'] }]);
+    assert.deepEqual(
+        analysis.costs.map((item) => [item.address, item.before, item.after]),
+        [
+            ['aws_instance.web', 1, 8],
+            ['aws_db_instance.main', 4, 8],
+            ['aws_s3_bucket.old', 0, 0],
+        ]
+    );
+    assert.deepEqual(analysis.unpriced, [{ address: 'aws_lambda_function.api', type: 'aws_lambda_function', reason: 'no price for this resource type' }]);
+    assert.deepEqual(analysis.totals, { before: 5, after: 16, delta: 11 });
+});
+
+test('unchanged sensitive values are not reported, unknown ones are', () => {
+    const same = resourceChange('aws_db_instance.main', ['update'], { password: 'a' }, { password: 'a' }, { before_sensitive: { password: true }, after_sensitive: { password: true } });
+    assert.deepEqual(analyzePlan({ resource_changes: [same] }, prices).sensitive, []);
+    const unknown = { ...same, change: { ...same.change, after: {}, after_unknown: { password: true } } };
+    assert.deepEqual(analyzePlan({ resource_changes: [unknown] }, prices).sensitive[0].attributes, ['password']);
+});
+
+test('reports never contain sensitive values', () => {
+    const analysis = analyzePlan(plan, prices);
+    for (const report of [renderPlanMarkdown(analysis), renderPlanHtml(analysis)]) {
+        assert.ok(report.includes('password'));
+        assert.ok(!report.includes(secret));
+        assert.ok(!report.includes('old-password'));
+    }
+    assert.match(renderPlanMarkdown(analysis), /Plan: 1 to create, 1 to update, 1 to replace, 1 to destroy\./);
+});
+
+test('a price file replaces and adds resource types', async () => {
+    const dir = await tempDir({ 'prices.json': '{ "resources": { "aws_nat_gateway": { "hourly": 1 }, "aws_custom": { "monthly": 5 } } }', 'broken.json': '{' });
+    const loaded = await loadPrices(path.join(dir, 'prices.json'));
+    assert.deepEqual(loaded.resources.aws_nat_gateway, { hourly: 1 });
+    assert.deepEqual(loaded.resources.aws_custom, { monthly: 5 });
+    assert.ok(loaded.resources.aws_instance);
+    assert.deepEqual(await loadPrices(path.join(dir, 'missing.json')), await loadPrices());
+    await assert.rejects(loadPrices(path.join(dir, 'broken.json')), /Invalid price table/);
+});
@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { settingsOptions } from '../cli.js';
+import { configOptions, loadConfig, readConfigFile } from '../config/index.js';
+import { resolvePaths, schemaProblems } from '../config/schema.js';
+import { tempDir } from './helpers.js';
+
+// A temporary home and project folder with `files` (paths under home/ or project/). HOME points at
+// the home folder until test `t` ends.
+async function folders(t, files) {
+    const root = await tempDir({ 'home/.keep': '', 'project/.keep': '', ...files });
+    const home = process.env.HOME;
+    t.after(() => {
+        if (home === undefined) delete process.env.HOME;
+        else process.env.HOME = home;
+    });
+    process.env.HOME = path.join(root, 'home');
+    return { home: path.join(root, 'home'), project: path.join(root, 'project') };
+}
+
+test('valid settings have no problems', () => {
+    const settings = {
+        provider: { name: 'echo', timeout: 30, cache: false },
+        refactor: { profiles: { 'team.tags': { file: 'tags.md' } }, include: ['tfvars'] },
+        security: { failOn: 'none', format: 'sarif' },
+        deploy: { binary: 'tofu', allowDestroy: true },
+        ignore: ['legacy/**'],
+    };
+    assert.deepEqual(schemaProblems(settings), []);
+});
+
+test('schema problems name the setting and what was expected', () => {
+    assert.deepEqual(schemaProblems([]), ['the configuration must be an object, got a list']);
+    assert.deepEqual(schemaProblems({ provdier: {} }), ['Unknown setting provdier. Expected one of provider, refactor, security, environments, deploy, reports, ignore']);
+
+    const [name, ...numbers] = schemaProblems({ provider: { name: 'gpt', timeout: '30s', retries: -1, concurrency: 0 } });
+    assert.match(name, /^provider\.name must be one of .*echo.*, got "gpt"$/);
+    assert.deepEqual(numbers, [
+        'provider.timeout must be an integer of at least 0, got string "30s"',
+        'provider.retries must be an integer of at least 0, got number -1',
+        'provider.concurrency must be an integer of at least 1, got number 0',
+    ]);
+
+    assert.deepEqual(schemaProblems({ refactor: { profiles: { 'bad name': { instructions: 'x' }, ok: { description: 'y' } }, include: ['tf', 3] } }), [
+        'refactor.profiles.bad name: the name must be a word (letters, digits, . _ -)',
+        'refactor.profiles.ok needs instructions or file',
+        'refactor.include[0] must be one of tfvars, json, tests, got "tf"',
+        'refactor.include[1] must be a string, got number 3',
+    ]);
+    assert.deepEqual(schemaProblems({ deploy: { allowDestroy: 'yes' }, ignore: 'x' }), [
+        'deploy.allowDestroy must be true or false, got string "yes"',
+        'ignore must be a list, got string "x"',
+    ]);
+});
+
+test('file settings resolve against the folder of the config file', () => {
+    const settings = {
+        refactor: { profiles: { a: { file: 'a.md', instructions: 'keep' } }, styleGuides: ['guide.md', '/abs/guide.md'] },
+        security: { rules: '../rules.json', format: 'json' },
+        ignore: ['modules/**'],
+    };
+    assert.deepEqual(resolvePaths(settings, '/p/infra'), {
+        refactor: { profiles: { a: { file: '/p/infra/a.md', instructions: 'keep' } }, styleGuides: ['/p/infra/guide.md', '/abs/guide.md'] },
+        security: { rules: '/p/rules.json', format: 'json' },
+        ignore: ['modules/**'],
+    });
+});
+
+test('project settings win over user settings; objects merge and lists replace', async (t) => {
+    const { home, project } = await folders(t, {
+        'home/.tarc.yaml': 'provider:\n  name: openai\n  model: gpt-4o\n  retries: 3\nsecurity:\n  rules: rules.json\nignore:\n  - vendor/**\n  - tmp/**\n',
+        'project/.tarc': '{ "provider": { "name": "echo" }, "ignore": ["legacy/**"] }',
+    });
+    const { settings, files } = await loadConfig(project);
+    assert.deepEqual(files, [path.join(home, '.tarc.yaml'), path.join(project, '.tarc')]);
+    assert.deepEqual(settings, {
+        provider: { name: 'echo', model: 'gpt-4o', retries: 3 },
+        security: { rules: path.join(home, 'rules.json') },
+        ignore: ['legacy/**'],
+    });
+});
+
+test('the project file is the nearest one above the directory', async (t) => {
+    const { project } = await folders(t, { 'project/.tarc.yml': 'deploy:\n  planOnly: true\n' });
+    const nested = path.join(project, 'envs', 'prod');
+    await fs.mkdir(nested, { recursive: true });
+    const { settings, files } = await loadConfig(nested);
+    assert.deepEqual(files, [path.join(project, '.tarc.yml')]);
+    assert.deepEqual(settings, { deploy: { planOnly: true } });
+});
+
+test('an explicit file replaces discovery and disabled ignores every file', async (t) => {
+    const { project } = await folders(t, {
+        'home/.tarc': 'provider:\n  name: openai\n',
+        'project/.tarc.json': '{ "provider": { "name": "echo" } }',
+        'other.yaml': 'reports:\n  format: html\n',
+    });
+    const other = path.join(project, '..', 'other.yaml');
+    assert.deepEqual(await loadConfig(project, { file: other }), { settings: { reports: { format: 'html' } }, files: [path.resolve(other)] });
+    assert.deepEqual(await loadConfig(project, { disabled: true }), { settings: {}, files: [] });
+});
+
+test('two config files in one folder are an error', async (t) => {
+    const { project } = await folders(t, { 'project/.tarc': '{}', 'project/.tarc.yaml': '' });
+    await assert.rejects(loadConfig(project), /has \.tarc and \.tarc\.yaml; keep one of them/);
+});
+
+test('invalid YAML and invalid settings are reported with the file', async (t) => {
+    const { project } = await folders(t, {
+        'project/nested.yaml': 'provider:\n  name: echo: openai\n',
+        'project/duplicate.yaml': 'provider:\n  name: echo\n  name: openai\n',
+        'project/schema.yaml': 'provider:\n  timeout: soon\n',
+        'project/broken.json': '{ "provider": ',
+    });
+    const file = (name) => path.join(project, name);
+    await assert.rejects(readConfigFile(file('nested.yaml')), (error) => error.message.startsWith(`Invalid ${file('nested.yaml')}: `) && /line 2/.test(error.message));
+    await assert.rejects(readConfigFile(file('duplicate.yaml')), /Map keys must be unique/);
+    await assert.rejects(readConfigFile(file('schema.yaml')), { message: `Invalid ${file('schema.yaml')}:\n  - provider.timeout must be an integer of at least 0, got string "soon"` });
+    await assert.rejects(readConfigFile(file('broken.json')), /JSON/);
+    await assert.rejects(readConfigFile(file('missing.yaml')), /^Error: Cannot read /);
+});
+
+test('settings map to the flags of the command', () => {
+    const settings = {
+        provider: { name: 'echo', timeout: 30, chunkSize: 4000, cache: false },
+        refactor: { include: ['tfvars', 'json'] },
+        security: { format: 'sarif', failOn: 'high' },
+        deploy: { timeout: 600, allowDestroy: false },
+        reports: { format: 'html' },
+    };
+    assert.deepEqual(configOptions(settings, 'optimize'), {
+        provider: 'echo',
+        timeout: '30',
+        'chunk-size': '4000',
+        'no-cache': true,
+        include: 'tfvars,json',
+        format: 'sarif',
+        'fail-on': 'high',
+    });
+    assert.equal(configOptions(settings, 'deploy').timeout, '600');
+    assert.equal(configOptions(settings, 'destroy').timeout, '600');
+    assert.equal(configOptions(settings, 'plan-report').format, 'html');
+    assert.deepEqual(configOptions({}, 'deploy'), {});
+});
+
+test('commands only take the settings they have a flag for', () => {
+    const settings = { provider: { name: 'echo', timeout: 30 }, security: { format: 'sarif' }, deploy: { binary: 'tofu', timeout: 600 } };
+    assert.deepEqual(settingsOptions('security', settings), { format: 'sarif' });
+    assert.deepEqual(settingsOptions('fix', settings), { provider: 'echo', timeout: '30' });
+    assert.deepEqual(settingsOptions('deploy', settings), { timeout: '600', binary: 'tofu' });
+    assert.deepEqual(settingsOptions('generate', settings), { binary: 'tofu' });
+});
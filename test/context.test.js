@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { joinChunks, splitContent } from '../utils/context.js';
+
+const content = `# Buckets
+resource "aws_s3_bucket" "one" {
+  bucket = "one"
+}
+
+resource "aws_s3_bucket" "two" {
+  bucket = "two"
+}
+
+
+variable "three" {
+  default = "three"
+}
+`;
+
+test('splitContent cuts between blocks and the chunks join back to the original', () => {
+    const chunks = splitContent(content, 60);
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks.join(''), content);
+    assert.equal(joinChunks(chunks, chunks), content);
+});
+
+test('joinChunks keeps the original spacing when replies change the whitespace around a chunk', () => {
+    const chunks = splitContent(content, 60);
+    const replies = chunks.map((chunk) => `\n\n${chunk.trim()}\n\n\n`);
+    assert.equal(joinChunks(replies, chunks), content);
+});
+
+test('joinChunks keeps the edits inside a chunk', () => {
+    const chunks = splitContent(content, 60);
+    const replies = chunks.map((chunk) => chunk.replace(/bucket = "(\w+)"/, 'bucket = "$1-logs"'));
+    assert.equal(joinChunks(replies, chunks), content.replace(/bucket = "(\w+)"/g, 'bucket = "$1-logs"'));
+});
+
+test('content under the budget stays in one chunk', () => {
+    assert.deepEqual(splitContent(content, 10000), [content]);
+});
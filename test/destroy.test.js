@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { appendAuditLog, auditLogPath, backupPath, findProtectedResources, resourceKey } from '../terraform/destroy.js';
+import { tempDir } from './helpers.js';
+
+test('resource keys drop modules and instance keys', () => {
+    assert.equal(resourceKey('aws_instance.web'), 'aws_instance.web');
+    assert.equal(resourceKey('aws_instance.web[0]'), 'aws_instance.web');
+    assert.equal(resourceKey('module.app.aws_instance.web["a.b"]'), 'aws_instance.web');
+    assert.equal(resourceKey('module.net["eu"].module.vpc.aws_vpc.main'), 'aws_vpc.main');
+});
+
+test('resources with prevent_destroy are found with their file', async () => {
+    const dir = await tempDir({
+        'main.tf': [
+            'resource "aws_s3_bucket" "state" {\n  lifecycle {\n    prevent_destroy = true\n  }\n}',
+            'resource "aws_s3_bucket" "logs" {\n  lifecycle {\n    prevent_destroy = false\n  }\n}',
+            'resource "aws_s3_bucket" "tmp" {\n  lifecycle {\n    create_before_destroy = true\n  }\n}',
+        ].join('\n\n'),
+        'modules/db/main.tf': 'resource "aws_db_instance" "main" {\n  lifecycle {\n    prevent_destroy = var.protect\n  }\n}\n',
+        'broken.tf': 'resource "aws_vpc" {',
+    });
+    const found = await findProtectedResources(dir);
+    assert.deepEqual([...found], [
+        ['aws_s3_bucket.state', 'main.tf'],
+        ['aws_db_instance.main', 'modules/db/main.tf'],
+    ]);
+});
+
+test('backups go under .terraform, named after the environment', () => {
+    const file = backupPath('/p', { name: 'prod' });
+    assert.equal(path.dirname(file), path.join('/p', '.terraform', 'ta-backups'));
+    assert.match(path.basename(file), /^prod-\d{4}-\d\d-\d\dT[\d-]+Z\.tfstate$/);
+    assert.doesNotMatch(path.basename(backupPath('/p')), /prod/);
+});
+
+test('the audit log gets one JSON line per entry', async () => {
+    const dir = await tempDir();
+    await appendAuditLog(dir, { action: 'destroy', targets: ['aws_s3_bucket.tmp'] });
+    const file = await appendAuditLog(dir, { action: 'destroy', outcome: 'cancelled' });
+    assert.equal(file, path.join(dir, auditLogPath));
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+    assert.equal(lines.length, 2);
+    assert.deepEqual(lines[0].targets, ['aws_s3_bucket.tmp']);
+    assert.equal(lines[1].outcome, 'cancelled');
+    assert.ok(lines.every((line) => line.time && line.user && line.host));
+});
@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { applyHunks, buildHunks, createPatch, diffLines, diffSequences, diffWords, mergeThree } from '../utils/diff.js';
+import { tempDir } from './helpers.js';
+
+// Deterministic pseudo-random numbers, so failures can be reproduced
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+function randomLines(next, count) {
+    return Array.from({ length: count }, () => `line ${Math.floor(next() * 6)}\n`);
+}
+
+// An edit of `lines`: some lines dropped, changed or added
+function edit(next, lines) {
+    const result = [];
+    for (const line of lines) {
+        const roll = next();
+        if (roll < 0.15) continue;
+        if (roll < 0.3) result.push(`changed ${Math.floor(next() * 100)}\n`);
+        else result.push(line);
+        if (next() < 0.1) result.push(`added ${Math.floor(next() * 100)}\n`);
+    }
+    return result;
+}
+
+const oldFile = `resource "aws_s3_bucket" "logs" {
+  bucket = "logs"
+  acl    = "private"
+}
+
+resource "aws_s3_bucket" "site" {
+  bucket = "site"
+}
+
+variable "region" {
+  default = "us-east-1"
+}
+
+output "bucket" {
+  value = aws_s3_bucket.logs.id
+}
+`;
+
+const newFile = oldFile
+    .replace('  acl    = "private"\n', '')
+    .replace('default = "us-east-1"', 'default = "eu-west-1"')
+    .replace('value = aws_s3_bucket.logs.id\n', 'value = aws_s3_bucket.logs.id\n  description = "Log bucket"\n');
+
+test('diff ops rebuild both sides', () => {
+    const next = random(7);
+    for (let round = 0; round < 200; round++) {
+        const a = randomLines(next, Math.floor(next() * 20));
+        const b = round % 2 ? edit(next, a) : randomLines(next, Math.floor(next() * 20));
+        const ops = diffSequences(a, b);
+        assert.deepEqual(ops.filter((op) => op.type !== 'insert').map((op) => op.value), a);
+        assert.deepEqual(ops.filter((op) => op.type !== 'delete').map((op) => op.value), b);
+    }
+});
+
+test('the edit script is the shortest one', () => {
+    const ops = diffSequences([...'ABCABBA'], [...'CBABAC']);
+    assert.equal(ops.filter((op) => op.type !== 'equal').length, 5);
+    assert.deepEqual(diffSequences([], []), []);
+    assert.deepEqual(diffSequences(['x'], ['x']), [{ type: 'equal', value: 'x' }]);
+});
+
+test('large inputs sharing no lines', () => {
+    const lines = (prefix) => Array.from({ length: 5000 }, (_, index) => `${prefix} ${index}\n`);
+    const before = process.memoryUsage().rss;
+    const ops = diffSequences(lines('old'), lines('new'));
+    assert.equal(ops.length, 10000);
+    assert.deepEqual(ops.slice(4999, 5001).map((op) => op.type), ['delete', 'insert']);
+    // The edit script of a full rewrite needs memory for the input, not for input × edits
+    assert.ok(process.memoryUsage().rss - before < 200 * 1024 * 1024);
+});
+
+test('a missing final newline is a change', () => {
+    const ops = diffLines('a\nb\n', 'a\nb');
+    assert.deepEqual(ops.map((op) => op.type), ['equal', 'delete', 'insert']);
+});
+
+test('word diff keeps every word of both lines', () => {
+    const ops = diffWords('bucket = "logs"', 'bucket = "site-logs"');
+    assert.equal(ops.filter((op) => op.type !== 'insert').map((op) => op.value).join(''), 'bucket = "logs"');
+    assert.equal(ops.filter((op) => op.type !== 'delete').map((op) => op.value).join(''), 'bucket = "site-logs"');
+});
+
+test('accepting every hunk gives the new file, rejecting every hunk the old one', () => {
+    const next = random(11);
+    const cases = [[oldFile, newFile], ['a\nb', 'a\nb\n'], ['', 'x\n'], ['x\n', '']];
+    for (let round = 0; round < 100; round++) {
+        const a = randomLines(next, Math.floor(next() * 30));
+        cases.push([a.join(''), edit(next, a).join('')]);
+    }
+    for (const [before, after] of cases) {
+        const hunks = buildHunks(before, after, { context: 1 });
+        assert.equal(applyHunks(before, hunks, hunks.map(() => ({ action: 'accept' }))), after);
+        assert.equal(applyHunks(before, hunks, hunks.map(() => ({ action: 'reject' }))), before);
+    }
+});
+
+test('hunks can be accepted, rejected and edited one by one', () => {
+    const hunks = buildHunks(oldFile, newFile, { context: 0 });
+    assert.equal(hunks.length, 3);
+
+    // An edit replaces the whole hunk, context included; with no context that is the added line
+    const decisions = [{ action: 'accept' }, { action: 'reject' }, { action: 'edit', text: '  description = "Audit logs"\n' }];
+    const expected = oldFile
+        .replace('  acl    = "private"\n', '')
+        .replace('value = aws_s3_bucket.logs.id\n', 'value = aws_s3_bucket.logs.id\n  description = "Audit logs"\n');
+    assert.equal(applyHunks(oldFile, hunks, decisions), expected);
+});
+
+test('git apply accepts the patches', async () => {
+    const dir = await tempDir();
+    const cases = [
+        ['main.tf', oldFile, newFile],
+        ['no-newline.tf', 'a\nb', 'a\nc'],
+        ['adds-newline.tf', 'a\nb', 'a\nb\n'],
+        ['modules/net/vars.tf', 'variable "a" {}\n', 'variable "a" {}\n\nvariable "b" {}\n'],
+    ];
+    for (const [name, before, after] of cases) {
+        await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+        await fs.writeFile(path.join(dir, name), before);
+        await fs.writeFile(path.join(dir, 'change.patch'), createPatch(name, before, after));
+        execFileSync('git', ['apply', 'change.patch'], { cwd: dir, stdio: 'pipe' });
+        assert.equal(await fs.readFile(path.join(dir, name), 'utf8'), after, name);
+    }
+    assert.equal(createPatch('same.tf', oldFile, oldFile), '');
+});
+
+test('edits to different regions merge cleanly', () => {
+    const ours = oldFile.replace('"logs"\n  acl', '"audit-logs"\n  acl');
+    const theirs = oldFile.replace('"us-east-1"', '"eu-west-1"');
+    const { content, conflicts } = mergeThree(oldFile, ours, theirs);
+    assert.equal(conflicts, 0);
+    assert.equal(content, oldFile.replace('"logs"\n  acl', '"audit-logs"\n  acl').replace('"us-east-1"', '"eu-west-1"'));
+});
+
+test('the same edit on both sides is not a conflict', () => {
+    const both = oldFile.replace('"site"\n', '"www"\n');
+    assert.deepEqual(mergeThree(oldFile, both, both), { content: both, conflicts: 0 });
+    assert.deepEqual(mergeThree(oldFile, oldFile, both), { content: both, conflicts: 0 });
+});
+
+test('different edits of the same lines are reported as conflicts', () => {
+    const ours = oldFile.replace('"us-east-1"', '"us-west-2"').replace('bucket = "site"', 'bucket = "www"');
+    const theirs = oldFile.replace('"us-east-1"', '"eu-west-1"').replace('bucket = "site"', 'bucket = "web"');
+    const { content, conflicts } = mergeThree(oldFile, ours, theirs, { ours: 'existing', theirs: 'template' });
+    assert.equal(conflicts, 2);
+    assert.match(content, /<<<<<<< existing\n {2}default = "us-west-2"\n=======\n {2}default = "eu-west-1"\n>>>>>>> template\n/);
+    assert.match(content, /<<<<<<< existing\n {2}bucket = "www"\n=======\n {2}bucket = "web"\n>>>>>>> template\n/);
+});
+
+test('conflict markers stay on their own lines without a final newline', () => {
+    const { content, conflicts } = mergeThree('a\nb', 'a\nours', 'a\ntheirs');
+    assert.equal(conflicts, 1);
+    assert.equal(content, 'a\n<<<<<<< ours\nours\n=======\ntheirs\n>>>>>>> theirs\n');
+});
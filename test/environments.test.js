@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { detectEnvironments, environmentArgs, isProduction, selectEnvironments, sortEnvironments } from '../terraform/environments.js';
+import { tempDir } from './helpers.js';
+
+test('production names', () => {
+    assert.equal(isProduction('PROD'), true);
+    assert.equal(isProduction('live'), true);
+    assert.equal(isProduction('staging'), false);
+    assert.equal(isProduction('main', ['main']), true);
+    assert.equal(isProduction('prod', ['main']), false);
+});
+
+test('environments sort in promotion order, production last', () => {
+    const environments = ['prod', 'sandbox', 'staging', 'dev', 'alpha'].map((name) => ({ name, production: isProduction(name) }));
+    assert.deepEqual(sortEnvironments(environments).map((environment) => environment.name), ['dev', 'staging', 'alpha', 'sandbox', 'prod']);
+});
+
+test('settings-only folders share the project root in their own workspace', async () => {
+    const dir = await tempDir({
+        'main.tf': 'resource "aws_s3_bucket" "logs" {}\n',
+        'environments/prod/terraform.tfvars': 'size = 3\n',
+        'environments/prod/backend.hcl': 'key = "prod"\n',
+        'environments/dev/dev.tfvars': 'size = 1\n',
+        'environments/.hidden/x.tfvars': '',
+    });
+    const [dev, prod] = await detectEnvironments(dir);
+
+    assert.deepEqual(dev, {
+        name: 'dev',
+        dir: path.join(dir, 'environments', 'dev'),
+        workingDir: dir,
+        varFiles: [path.join(dir, 'environments', 'dev', 'dev.tfvars')],
+        backendConfig: null,
+        workspace: 'dev',
+        production: false,
+    });
+    // terraform.tfvars is not loaded automatically outside the working directory
+    assert.deepEqual(prod.varFiles, [path.join(dir, 'environments', 'prod', 'terraform.tfvars')]);
+    assert.equal(prod.production, true);
+    assert.deepEqual(environmentArgs(prod), {
+        init: [`-backend-config=${path.join(dir, 'environments', 'prod', 'backend.hcl')}`, '-reconfigure'],
+        vars: [`-var-file=${path.join(dir, 'environments', 'prod', 'terraform.tfvars')}`],
+    });
+});
+
+test('folders with .tf files are their own root module', async () => {
+    const dir = await tempDir({
+        'envs/qa/main.tf': 'module "app" {\n  source = "../../modules/app"\n}\n',
+        'envs/qa/terraform.tfvars': 'size = 1\n',
+        'envs/qa/extra.tfvars': 'debug = true\n',
+        'envs/qa/qa.tfbackend': 'key = "qa"\n',
+    });
+    const [qa] = await detectEnvironments(dir, { production: ['qa'] });
+    assert.equal(qa.workingDir, qa.dir);
+    assert.equal(qa.workspace, null);
+    assert.equal(qa.production, true);
+    assert.deepEqual(environmentArgs(qa), {
+        init: [`-backend-config=${path.join(qa.dir, 'qa.tfbackend')}`],
+        vars: [`-var-file=${path.join(qa.dir, 'extra.tfvars')}`],
+    });
+    assert.deepEqual(environmentArgs(null), { init: [], vars: [] });
+    assert.deepEqual(await detectEnvironments(path.join(dir, 'envs', 'qa')), []);
+});
+
+test('environments are selected by name or all', () => {
+    const environments = [{ name: 'dev' }, { name: 'staging' }, { name: 'prod' }];
+    assert.deepEqual(selectEnvironments(environments, 'all'), environments);
+    assert.deepEqual(selectEnvironments(environments, 'prod, dev'), [{ name: 'dev' }, { name: 'prod' }]);
+    assert.throws(() => selectEnvironments(environments, 'dev,test'), { message: "Unknown environment 'test'. Available: dev, staging, prod." });
+    assert.throws(() => selectEnvironments([], 'dev'), /Available: none\./);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { manifestFile, planGeneration, plannedContent, readGenerationManifest, writeGenerationManifest } from '../generator/plan.js';
+import { tempDir } from './helpers.js';
+
+const base = 'variable "region" {\n  default = "us-east-1"\n}\n\nvariable "size" {\n  default = 1\n}\n';
+const template = base.replace('default = 1', 'default = 2');
+
+function actions(entries) {
+    return Object.fromEntries(entries.map((entry) => [entry.path, entry.action]));
+}
+
+test('each file gets the action its state calls for', async () => {
+    const dir = await tempDir({
+        'same.tf': template,
+        'untouched.tf': base,
+        'edited.tf': base.replace('us-east-1', 'eu-west-1'),
+        'edited-same-template.tf': base.replace('us-east-1', 'eu-west-1'),
+        'clash.tf': base.replace('default = 1', 'default = 3'),
+        'unknown.tf': 'locals {}\n',
+        'modules/.keep': '',
+    });
+    const files = ['new.tf', 'same.tf', 'untouched.tf', 'edited.tf', 'clash.tf', 'unknown.tf'].map((name) => ({ path: name, content: template }));
+    files.push({ path: 'edited-same-template.tf', content: base }, { path: 'modules', content: null }, { path: 'envs', content: null });
+    const manifest = { template: 'vpc', files: Object.fromEntries([...files.map((file) => [file.path, base]), ['removed.tf', base]]) };
+    delete manifest.files['unknown.tf'];
+
+    const entries = await planGeneration(dir, files, manifest);
+    assert.deepEqual(actions(entries), {
+        'new.tf': 'create',
+        'same.tf': 'unchanged',
+        'untouched.tf': 'update',
+        'edited.tf': 'merge',
+        'clash.tf': 'conflict',
+        'unknown.tf': 'conflict',
+        'edited-same-template.tf': 'keep',
+        modules: 'unchanged',
+        envs: 'create',
+        'removed.tf': 'obsolete',
+    });
+
+    const byPath = Object.fromEntries(entries.map((entry) => [entry.path, entry]));
+    // The user's region and the template's size both survive the merge
+    assert.equal(byPath['edited.tf'].merged, template.replace('us-east-1', 'eu-west-1'));
+    assert.equal(byPath['clash.tf'].conflicts, 1);
+    assert.match(byPath['clash.tf'].merged, /<<<<<<< existing\n {2}default = 3\n=======\n {2}default = 2\n>>>>>>> template\n/);
+});
+
+test('a file where a folder goes is an error', async () => {
+    const dir = await tempDir({ modules: 'not a folder' });
+    await assert.rejects(planGeneration(dir, [{ path: 'modules', content: null }]), /modules exists and is not a folder/);
+});
+
+test('planned content follows the action and the conflict resolution', () => {
+    const conflict = { action: 'conflict', content: 'template', merged: 'merged' };
+    assert.equal(plannedContent({ action: 'create', content: 'new' }), 'new');
+    assert.equal(plannedContent({ action: 'update', content: 'new' }), 'new');
+    assert.equal(plannedContent({ action: 'merge', content: 'new', merged: 'merged' }), 'merged');
+    assert.equal(plannedContent(conflict, 'overwrite'), 'template');
+    assert.equal(plannedContent(conflict, 'merge'), 'merged');
+    assert.equal(plannedContent(conflict, 'skip'), null);
+    assert.equal(plannedContent(conflict), null);
+    for (const action of ['unchanged', 'keep', 'obsolete']) assert.equal(plannedContent({ action, content: 'x' }), null);
+});
+
+test('the generation manifest records what was generated', async () => {
+    const dir = await tempDir();
+    assert.equal(await readGenerationManifest(dir), null);
+    await writeGenerationManifest(dir, {
+        template: { name: 'vpc', version: '1.0.0', source: 'built-in' },
+        tool: 'tofu',
+        values: { project: 'web' },
+        files: [{ path: 'main.tf', content: template }, { path: 'modules', content: null }],
+    });
+    const manifest = await readGenerationManifest(dir);
+    assert.equal(manifest.template, 'vpc');
+    assert.equal(manifest.source, 'built-in');
+    assert.deepEqual(manifest.files, { 'main.tf': template });
+
+    await fs.writeFile(path.join(dir, manifestFile), '{ "template": 1 }');
+    await assert.rejects(readGenerationManifest(dir), /expected template and files/);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGraph, loadProject, referenceAddress } from '../utils/graph.js';
+import { parse } from '../utils/hcl.js';
+import { tempDir } from './helpers.js';
+
+const network = `provider "aws" {
+  region = var.region
+}
+
+provider "aws" {
+  alias  = "west"
+  region = "us-west-2"
+}
+
+variable "region" {}
+
+locals {
+  cidrs = [for index in range(2) : cidrsubnet(aws_vpc.main.cidr_block, 8, index)]
+}
+
+resource "aws_vpc" "main" {
+  cidr_block = "10.0.0.0/16"
+}
+
+resource "aws_subnet" "private" {
+  count      = length(local.cidrs)
+  vpc_id     = aws_vpc.main.id
+  cidr_block = local.cidrs[count.index]
+}
+
+resource "aws_instance" "web" {
+  provider  = aws.west
+  subnet_id = aws_subnet.private[*].id[0]
+  ami       = data.aws_ami.ubuntu.id
+
+  tags = {
+    Name = "\${var.region}-web"
+  }
+}
+`;
+
+const outputs = `output "ips" {
+  value = aws_instance.web.*.private_ip
+}
+
+output "missing" {
+  value = aws_nat_gateway.main.id
+}
+`;
+
+function edgesFrom(graph, address) {
+    return graph.edges.filter((edge) => edge.from === address).map((edge) => edge.to).sort();
+}
+
+test('reference addresses', () => {
+    const traversal = (text) => parse(`x = ${text}\n`).attributes[0].value;
+    assert.equal(referenceAddress(traversal('var.region')), 'var.region');
+    assert.equal(referenceAddress(traversal('aws_vpc.main.id')), 'aws_vpc.main');
+    assert.equal(referenceAddress(traversal('data.aws_ami.ubuntu.id')), 'data.aws_ami.ubuntu');
+    assert.equal(referenceAddress(traversal('module.net.vpc_id')), 'module.net');
+    assert.equal(referenceAddress(traversal('aws_instance.web[*].id')), 'aws_instance.web');
+    assert.equal(referenceAddress(traversal('count.index')), null);
+    assert.equal(referenceAddress(traversal('each.value')), null);
+});
+
+test('nodes and edges across the files of a module', () => {
+    const graph = buildGraph([
+        { path: '/p/main.tf', content: network },
+        { path: '/p/outputs.tf', content: outputs },
+    ]);
+
+    assert.deepEqual([...graph.nodes.keys()].sort(), [
+        'aws_instance.web',
+        'aws_subnet.private',
+        'aws_vpc.main',
+        'local.cidrs',
+        'output.ips',
+        'output.missing',
+        'provider.aws',
+        'provider.aws.west',
+        'var.region',
+    ]);
+    assert.equal(graph.nodes.get('output.ips').path, '/p/outputs.tf');
+
+    assert.deepEqual(edgesFrom(graph, 'provider.aws'), ['var.region']);
+    // The for expression's variable is not a reference; the vpc inside the call is
+    assert.deepEqual(edgesFrom(graph, 'local.cidrs'), ['aws_vpc.main']);
+    assert.deepEqual(edgesFrom(graph, 'aws_subnet.private'), ['aws_vpc.main', 'local.cidrs', 'provider.aws']);
+    // An explicit provider replaces the default one; splats and interpolations are followed
+    assert.deepEqual(edgesFrom(graph, 'aws_instance.web'), ['aws_subnet.private', 'provider.aws.west', 'var.region']);
+    assert.deepEqual(edgesFrom(graph, 'output.ips'), ['aws_instance.web']);
+
+    assert.deepEqual(graph.unresolved, [
+        { from: 'aws_instance.web', to: 'data.aws_ami.ubuntu' },
+        { from: 'output.missing', to: 'aws_nat_gateway.main' },
+    ]);
+});
+
+test('files that do not parse are reported, the rest still graphed', () => {
+    const graph = buildGraph([
+        { path: '/p/broken.tf', content: 'resource "aws_vpc" "x" {' },
+        { path: '/p/ok.tf', content: 'variable "name" {}\n' },
+        { path: '/p/vars.tfvars', content: 'not = [hcl' },
+    ]);
+    assert.deepEqual([...graph.nodes.keys()], ['var.name']);
+    assert.deepEqual(graph.errors.map((error) => error.path), ['/p/broken.tf']);
+});
+
+test('a project links local module calls to their directories', async () => {
+    const dir = await tempDir({
+        'main.tf': 'module "network" {\n  source = "./modules/network"\n}\n\nmodule "dns" {\n  source = "./modules/dns"\n}\n\nmodule "remote" {\n  source = "terraform-aws-modules/vpc/aws"\n}\n',
+        'modules/network/main.tf': network,
+    });
+
+    const project = await loadProject(dir, { quiet: true });
+    assert.deepEqual([...project.modules.keys()].sort(), ['.', 'modules/network']);
+    assert.equal(project.modules.get('modules/network').nodes.size, 7);
+    assert.deepEqual(project.moduleCalls, [
+        { caller: '.', address: 'module.network', target: 'modules/network', found: true },
+        { caller: '.', address: 'module.dns', target: 'modules/dns', found: false },
+    ]);
+});
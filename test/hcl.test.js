@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HclSyntaxError, listDeclarations, literalValue, parse, references } from '../utils/hcl.js';
+
+function attribute(source, name) {
+    return parse(source).attributes.find((item) => item.name === name);
+}
+
+// Traversals as text, e.g. aws_instance.web[*].id
+function names(expression) {
+    return references(expression).map((traversal) =>
+        [traversal.root, ...traversal.steps.map((step) => (step.type === 'attr' ? `.${step.name}` : step.type === 'splat' ? (step.full ? '[*]' : '.*') : '[]'))].join('')
+    );
+}
+
+test('blocks keep their type, labels, position and nested blocks', () => {
+    const source = `resource "aws_instance" "web" {
+  ami = "ami-123"
+
+  ebs_block_device {
+    volume_size = 8
+  }
+}
+`;
+    const [block] = parse(source).blocks;
+    assert.equal(block.type, 'resource');
+    assert.deepEqual(block.labels, ['aws_instance', 'web']);
+    assert.equal(block.line, 1);
+    assert.equal(block.endLine, 7);
+    assert.equal(source.slice(block.start, block.end), source.trimEnd());
+    assert.equal(block.body.attributes[0].expression, '"ami-123"');
+    assert.equal(block.body.blocks[0].type, 'ebs_block_device');
+    assert.equal(literalValue(block.body.blocks[0].body.attributes[0].value), 8);
+});
+
+test('heredocs keep their text; the indented form strips the common indentation', () => {
+    const source = 'plain = <<EOT\nraw\n  kept\nEOT\nindented = <<-EOT\n    one\n      two\n  EOT\nafter = 1\n';
+    assert.equal(literalValue(attribute(source, 'plain').value), 'raw\n  kept\n');
+    assert.equal(literalValue(attribute(source, 'indented').value), 'one\n  two\n');
+    assert.equal(attribute(source, 'after').line, 9);
+});
+
+test('heredocs can hold interpolations and template directives', () => {
+    const source = 'policy = <<-EOT\n  Hello ${var.name}\n  %{ for subnet in var.subnets }- ${subnet}\n  %{ endfor }\nEOT\n';
+    const { value } = attribute(source, 'policy');
+    assert.equal(value.type, 'template');
+    assert.equal(literalValue(value), undefined);
+    // The directive's loop variable is not a reference
+    assert.deepEqual(names(value), ['var.name', 'var.subnets']);
+});
+
+test('template interpolation in quoted strings', () => {
+    const { value } = attribute('name = "${var.prefix}-${local.env}-web"\n', 'name');
+    assert.deepEqual(
+        value.parts.map((part) => part.type),
+        ['interpolation', 'literal', 'interpolation', 'literal']
+    );
+    assert.deepEqual(names(value), ['var.prefix', 'local.env']);
+    assert.equal(literalValue(attribute('escaped = "$${not.a.reference}"\n', 'escaped').value), '${not.a.reference}');
+});
+
+test('for expressions bind their variables', () => {
+    const tuple = attribute('ids = [for key, item in var.items : upper(item.name) if key != "skip"]\n', 'ids').value;
+    assert.equal(tuple.type, 'for');
+    assert.equal(tuple.kind, 'tuple');
+    assert.equal(tuple.keyVar, 'key');
+    assert.equal(tuple.valueVar, 'item');
+    assert.deepEqual(names(tuple), ['var.items']);
+
+    const object = attribute('by_id = { for subnet in aws_subnet.private : subnet.id => subnet.cidr_block... }\n', 'by_id').value;
+    assert.equal(object.kind, 'object');
+    assert.equal(object.grouping, true);
+    assert.deepEqual(names(object), ['aws_subnet.private']);
+});
+
+test('full and attribute splats', () => {
+    assert.deepEqual(names(attribute('ids = aws_instance.web[*].id\n', 'ids').value), ['aws_instance.web[*].id']);
+    assert.deepEqual(names(attribute('ips = aws_instance.web.*.private_ip\n', 'ips').value), ['aws_instance.web.*.private_ip']);
+});
+
+test('operators, conditionals and collections', () => {
+    const source = 'size = var.large ? 2 * var.base : -1\nlist = [1, "two", true]\nmap = { a = 1, "b" = [null] }\n';
+    const size = attribute(source, 'size').value;
+    assert.equal(size.type, 'conditional');
+    assert.equal(size.trueResult.type, 'binary');
+    assert.deepEqual(names(size), ['var.large', 'var.base']);
+    assert.deepEqual(literalValue(attribute(source, 'list').value), [1, 'two', true]);
+    assert.deepEqual(literalValue(attribute(source, 'map').value), { a: 1, b: [null] });
+});
+
+test('comments of every style are ignored', () => {
+    const body = parse('# hash\n// slashes\n/* block\n comment */\na = 1 # trailing\n');
+    assert.deepEqual(body.attributes.map((item) => item.name), ['a']);
+});
+
+test('syntax errors name the line', () => {
+    const cases = [
+        ['a = ', 1, /Expected an expression/],
+        ['resource "x" {', 1, /Missing '}'/],
+        ['a = "unterminated', 1, /Unterminated string/],
+        ['a = <<EOT\nno end\n', 3, /Unterminated heredoc/],
+        ['a = 1\na = 2\n', 2, /Duplicate attribute 'a'/],
+    ];
+    for (const [source, line, message] of cases) {
+        assert.throws(() => parse(source), (error) => error instanceof HclSyntaxError && error.line === line && message.test(error.message), source);
+    }
+});
+
+test('declarations are listed by Terraform address', () => {
+    const body = parse('resource "aws_vpc" "main" {}\ndata "aws_ami" "ubuntu" {}\nvariable "region" {}\noutput "id" {\n  value = 1\n}\nmodule "net" {}\nlocals {}\n');
+    assert.deepEqual(listDeclarations(body), ['aws_vpc.main', 'data.aws_ami.ubuntu', 'var.region', 'output.id', 'module.net']);
+});
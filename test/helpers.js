@@ -0,0 +1,19 @@
+import { after } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const created = [];
+
+after(() => Promise.all(created.map((dir) => fs.rm(dir, { recursive: true, force: true }))));
+
+// A temporary folder holding `files` (relative path → content), removed when the test file ends
+export async function tempDir(files = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ta-test-'));
+    created.push(dir);
+    for (const [name, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(dir, name)), { recursive: true });
+        await fs.writeFile(path.join(dir, name), content);
+    }
+    return dir;
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { tempDir } from './helpers.js';
+
+const entry = fileURLToPath(new URL('../index.js', import.meta.url));
+
+// Run `ta` non-interactively with its home, cache and reports inside `dir`
+function ta(dir, args) {
+    const env = { ...process.env, HOME: path.join(dir, 'home'), TA_CACHE_DIR: path.join(dir, 'cache'), TA_FIXTURES: path.join(dir, 'fixtures') };
+    return execFileSync(process.execPath, [entry, ...args], { cwd: dir, env, encoding: 'utf8', input: '', timeout: 60000 });
+}
+
+const mysql = 'resource "aws_db_instance" "main" {\n  engine = "mysql"\n}\n';
+const postgres = mysql.replace('mysql', 'postgres');
+
+async function engineChange() {
+    return tempDir({
+        'project/main.tf': mysql,
+        'project/.tarc.json': '{ "reports": { "dir": "../reports" } }',
+        'fixtures/main.tf': postgres,
+        'home/.keep': '',
+    });
+}
+
+test('optimize --yes skips a change that may replace a resource', async () => {
+    const dir = await engineChange();
+    const output = ta(dir, ['optimize', 'project', '--provider', 'echo', '--yes']);
+    assert.match(output, /Change classification: destructive/);
+    assert.match(output, /Skipped project\/main\.tf: destructive change/);
+    assert.equal(await fs.readFile(path.join(dir, 'project', 'main.tf'), 'utf8'), mysql);
+});
+
+test('optimize --yes --allow-destructive applies it', async () => {
+    const dir = await engineChange();
+    ta(dir, ['optimize', 'project', '--provider', 'echo', '--yes', '--allow-destructive']);
+    assert.equal(await fs.readFile(path.join(dir, 'project', 'main.tf'), 'utf8'), postgres);
+});
+
+test('templates --preview --files prints the rendered files', async () => {
+    const dir = await tempDir({ 'home/.keep': '' });
+    const output = ta(dir, ['templates', '--preview', 'vpc', '--files']);
+    assert.match(output, /── modules\/vpc\/main\.tf/);
+    assert.match(output, /myapp-terraform-state/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { changeAction, hasDeletions, summarizePlan } from '../terraform/plan.js';
+
+function resourceChange(address, actions, extra = {}) {
+    const [type] = address.split('.');
+    return { address, type, change: { actions }, ...extra };
+}
+
+const plan = {
+    resource_changes: [
+        resourceChange('aws_s3_bucket.logs', ['create']),
+        resourceChange('aws_instance.web', ['update']),
+        resourceChange('aws_db_instance.main', ['delete', 'create'], { action_reason: 'replace_because_cannot_update' }),
+        resourceChange('aws_eip.old', ['delete']),
+        resourceChange('aws_vpc.main', ['no-op']),
+        resourceChange('data.aws_ami.ubuntu', ['read']),
+    ],
+};
+
+test('terraform action lists map to one action', () => {
+    assert.equal(changeAction(['create']), 'create');
+    assert.equal(changeAction(['update']), 'update');
+    assert.equal(changeAction(['delete']), 'destroy');
+    assert.equal(changeAction(['delete', 'create']), 'replace');
+    assert.equal(changeAction(['create', 'delete']), 'replace');
+    assert.equal(changeAction(['read']), 'read');
+    assert.equal(changeAction(['no-op']), 'no-op');
+    assert.equal(changeAction(), 'no-op');
+});
+
+test('the summary counts changes and leaves out reads and no-ops', () => {
+    const summary = summarizePlan(plan);
+    assert.deepEqual(summary.counts, { create: 1, update: 1, replace: 1, destroy: 1 });
+    assert.deepEqual(summary.changes.map((change) => `${change.action} ${change.address}`), [
+        'create aws_s3_bucket.logs',
+        'update aws_instance.web',
+        'replace aws_db_instance.main',
+        'destroy aws_eip.old',
+    ]);
+    assert.equal(summary.changes[2].reason, 'replace_because_cannot_update');
+    assert.deepEqual(summarizePlan({}), { changes: [], counts: { create: 0, update: 0, replace: 0, destroy: 0 } });
+});
+
+test('replacements count as deletions', () => {
+    const replace = summarizePlan({ resource_changes: [resourceChange('aws_db_instance.main', ['delete', 'create'])] });
+    assert.equal(hasDeletions(replace), true);
+    assert.equal(hasDeletions(summarizePlan({ resource_changes: [resourceChange('aws_eip.old', ['delete'])] })), true);
+    assert.equal(hasDeletions(summarizePlan({ resource_changes: plan.resource_changes.slice(0, 2) })), false);
+});
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { refactorFile, refactorFiles } from '../refactor.js';
+import { createProvider, ProviderRequestError, ProviderUnavailableError } from '../providers/index.js';
+import { InvalidSuggestionError } from '../utils/response.js';
+import { tempDir } from './helpers.js';
+
+const bucket = `resource "aws_s3_bucket" "logs" {
+  bucket = "logs"
+}
+`;
+
+function tfFile(name, content) {
+    return { path: path.join('/project', name), relativePath: name, content };
+}
+
+// In-memory stand-in for utils/cache.js
+function memoryCache(entries = {}) {
+    const store = new Map(Object.entries(entries));
+    return {
+        store,
+        async get(content, prompt) {
+            return store.get(`${prompt}\n${content}`) ?? null;
+        },
+        async set(content, prompt, reply) {
+            store.set(`${prompt}\n${content}`, reply);
+        },
+    };
+}
+
+test('echo returns the input unchanged, classified as cosmetic', async () => {
+    const result = await refactorFile(tfFile('main.tf', bucket), 'Refactor', { provider: 'echo' });
+    assert.equal(result.error, undefined);
+    assert.equal(result.suggestion, bucket);
+    assert.equal(result.comparison.classification, 'cosmetic');
+});
+
+test('echo answers with the fixture named after the file', async () => {
+    const reply = "Here you go:\n```hcl\nresource \"aws_s3_bucket\" \"logs\" {\n  bucket = \"logs\"\n  tags   = { Team = \"ops\" }\n}\n```\n";
+    const dir = await tempDir({ 'main.tf': reply });
+    const result = await refactorFile(tfFile('main.tf', bucket), 'Refactor', { provider: 'echo', fixtures: dir });
+    assert.match(result.suggestion, /Team = "ops"/);
+    assert.doesNotMatch(result.suggestion, /Here you go/);
+    assert.equal(result.comparison.classification, 'additive');
+});
+
+test('a reply that is not Terraform is rejected', async () => {
+    const dir = await tempDir({ 'main.tf': 'Sorry, I cannot help with that.' });
+    const result = await refactorFile(tfFile('main.tf', bucket), 'Refactor', { provider: 'echo', fixtures: dir });
+    assert.equal(result.suggestion, null);
+    assert.ok(result.error instanceof InvalidSuggestionError);
+    assert.equal(result.reply, 'Sorry, I cannot help with that.');
+});
+
+test('a reply that drops a resource is rejected', async () => {
+    const dir = await tempDir({ 'main.tf': 'variable "region" {}\n' });
+    const result = await refactorFile(tfFile('main.tf', bucket), 'Refactor', { provider: 'echo', fixtures: dir });
+    assert.ok(result.error instanceof InvalidSuggestionError);
+    assert.match(result.error.message, /'aws_s3_bucket\.logs' was removed or renamed/);
+});
+
+test('a JSON reply that drops a resource is rejected', async () => {
+    const original = JSON.stringify({ resource: { aws_s3_bucket: { logs: { bucket: 'logs' }, site: { bucket: 'site' } } }, variable: [{ region: {} }] }, null, 2);
+    const dropped = JSON.stringify({ resource: [{ aws_s3_bucket: [{ logs: { bucket: 'logs' } }] }], variable: { region: {} } });
+    const dir = await tempDir({ 'main.tf.json': dropped, 'kept.tf.json': original.replace('"bucket": "site"', '"bucket": "web-site"') });
+
+    const result = await refactorFile(tfFile('main.tf.json', original), 'Refactor', { provider: 'echo', fixtures: dir });
+    assert.ok(result.error instanceof InvalidSuggestionError);
+    assert.match(result.error.message, /'aws_s3_bucket\.site' was removed or renamed/);
+
+    const kept = await refactorFile(tfFile('kept.tf.json', original), 'Refactor', { provider: 'echo', fixtures: dir });
+    assert.equal(kept.error, undefined);
+    assert.match(kept.suggestion, /web-site/);
+});
+
+test('suggestions are not printed', async (t) => {
+    const log = t.mock.method(console, 'log', () => {});
+    const result = await refactorFile(tfFile('main.tf', bucket), 'Refactor', { provider: 'echo' });
+    assert.equal(result.suggestion, bucket);
+    assert.ok(log.mock.calls.every((call) => !call.arguments.join(' ').includes('aws_s3_bucket')));
+});
+
+test('transient failures are retried', async () => {
+    const provider = createProvider({ provider: 'echo', failures: 2, retries: 2, backoff: 1 });
+    const result = await refactorFile(tfFile('main.tf', bucket), 'Refactor', provider);
+    assert.equal(result.error, undefined);
+    assert.equal(result.suggestion, bucket);
+});
+
+test('a request still failing after the retries reports the error', async () => {
+    const provider = createProvider({ provider: 'echo', failures: 3, retries: 2, backoff: 1 });
+    const result = await refactorFile(tfFile('main.tf', bucket), 'Refactor', provider);
+    assert.equal(result.suggestion, null);
+    assert.ok(result.error instanceof ProviderRequestError);
+});
+
+test('a valid cached reply is used instead of the provider', async () => {
+    const cached = bucket.replace('"logs"\n', '"logs"\n  force_destroy = false\n');
+    const cache = memoryCache({ [`Refactor\n${bucket}`]: cached });
+    const provider = { name: 'never', complete: () => assert.fail('the provider should not be asked') };
+    const result = await refactorFile(tfFile('main.tf', bucket), 'Refactor', provider, { cache });
+    assert.equal(result.cached, true);
+    assert.match(result.suggestion, /force_destroy/);
+});
+
+test('refactorFiles answers every file in order', async () => {
+    const dir = await tempDir({ 'b.tf': 'not terraform' });
+    const files = [tfFile('a.tf', bucket), tfFile('b.tf', bucket.replace(/logs/g, 'data')), tfFile('c.tf', 'variable "x" {}\n')];
+    const progress = [];
+    const results = await refactorFiles(files, 'Refactor', { provider: 'echo', fixtures: dir }, { concurrency: 2, onProgress: (event) => progress.push(event.done) });
+
+    assert.deepEqual(results.map((result) => result.relativePath), ['a.tf', 'b.tf', 'c.tf']);
+    assert.equal(results[0].suggestion, bucket);
+    assert.ok(results[1].error instanceof InvalidSuggestionError);
+    assert.equal(results[2].suggestion, 'variable "x" {}\n');
+    assert.deepEqual(progress, [1, 2, 3]);
+});
+
+test('refactorFiles retries through the provider wrapper', async () => {
+    const provider = createProvider({ provider: 'echo', failures: 1, retries: 1, backoff: 1 });
+    const [result] = await refactorFiles([tfFile('main.tf', bucket)], 'Refactor', provider);
+    assert.equal(result.suggestion, bucket);
+});
+
+test('refactorFiles sends large files in chunks and joins them back', async () => {
+    const content = ['one', 'two', 'three', 'four'].map((name) => `resource "aws_s3_bucket" "${name}" {\n  bucket = "${name}"\n}\n`).join('\n');
+    const inputs = [];
+    const provider = {
+        name: 'recording',
+        async complete({ input }) {
+            inputs.push(input);
+            return input;
+        },
+    };
+    const [result] = await refactorFiles([tfFile('main.tf', content)], 'Refactor', provider, { chunkSize: 80 });
+    assert.ok(inputs.length > 1);
+    assert.equal(result.error, undefined);
+    assert.equal(result.suggestion, content);
+});
+
+test('refactorFiles stops asking once the provider is unavailable', async () => {
+    let calls = 0;
+    const provider = {
+        name: 'down',
+        async complete() {
+            calls++;
+            throw new ProviderUnavailableError('down', 'not installed');
+        },
+    };
+    const files = [tfFile('a.tf', bucket), tfFile('b.tf', bucket), tfFile('c.tf', bucket)];
+    const results = await refactorFiles(files, 'Refactor', provider, { concurrency: 1 });
+    assert.equal(calls, 1);
+    assert.ok(results.every((result) => result.error instanceof ProviderUnavailableError));
+});
+
+test('refactorFiles caches each reply as it arrives, not at the end of the run', async () => {
+    const cache = memoryCache();
+    const cachedBeforeSlowReply = [];
+    const provider = {
+        name: 'slow',
+        async complete({ input, path: filePath }) {
+            if (filePath.endsWith('slow.tf')) {
+                await new Promise((resolve) => setTimeout(resolve, 50));
+                cachedBeforeSlowReply.push(...cache.store.values());
+            }
+            return input;
+        },
+    };
+    const files = [tfFile('fast.tf', bucket), tfFile('slow.tf', 'variable "x" {}\n'), tfFile('bad.tf', 'variable "y" {}\n')];
+    const broken = { ...provider, complete: (request) => (request.path.endsWith('bad.tf') ? 'no code here' : provider.complete(request)) };
+    await refactorFiles(files, 'Refactor', broken, { cache, concurrency: 3 });
+
+    assert.deepEqual(cachedBeforeSlowReply, [bucket]);
+    assert.deepEqual([...cache.store.values()].sort(), [bucket, 'variable "x" {}\n'].sort());
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isGitUrl, resolveSource } from '../generator/registry.js';
+import { tempDir } from './helpers.js';
+
+test('git URLs are told apart from folders', () => {
+    assert.equal(isGitUrl('https://github.com/acme/templates'), true);
+    assert.equal(isGitUrl('git@github.com:acme/templates.git'), true);
+    assert.equal(isGitUrl('../templates'), false);
+});
+
+test('sources that git would read as options are rejected', async () => {
+    const marker = path.join(os.tmpdir(), `ta-upload-pack-${process.pid}`);
+    await assert.rejects(resolveSource(`--upload-pack=touch ${marker};x.git`), /cannot start with '-'/);
+    await assert.rejects(resolveSource('-templates'), /cannot start with '-'/);
+    assert.equal(fs.existsSync(marker), false);
+});
+
+test('folders resolve to themselves', async () => {
+    const dir = await tempDir({ 'vpc/template.json': '{}' });
+    assert.equal(await resolveSource(dir), dir);
+    await assert.rejects(resolveSource(path.join(dir, 'missing')), /does not exist/);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createRunner, findTerraform, parseJsonOutput, runCommand, TerraformNotFoundError } from '../terraform/runner.js';
+import { toolVersion } from '../terraform/tools.js';
+import { tempDir } from './helpers.js';
+
+const plan = { format_version: '1.2', resource_changes: [{ address: 'aws_s3_bucket.logs', change: { actions: ['create'] } }] };
+
+// A fake terraform: `version`, `show` and `plan` answer like the real one, `validate` fails and
+// `apply` hangs; FAKE_PLAN_EXIT sets the plan exit code and FAKE_IGNORE_INT makes it ignore Ctrl-C
+const fake = `#!${process.execPath}
+const [command] = process.argv.slice(2);
+if (command === 'version') console.log(JSON.stringify({ terraform_version: '1.7.3' }));
+else if (command === 'show') console.log(${JSON.stringify(JSON.stringify(plan))});
+else if (command === 'plan') {
+    console.log('{"@level":"info","@message":"Plan: 1 to add"}');
+    console.log('{"@level":"info","type":"change_summary","changes":{"add":1}}');
+    process.exitCode = Number(process.env.FAKE_PLAN_EXIT || 0);
+} else if (command === 'validate') {
+    console.log('Error: Unsupported argument');
+    process.exitCode = 1;
+} else if (command === 'apply') {
+    process.on('SIGINT', () => {
+        if (!process.env.FAKE_IGNORE_INT) process.exit(130);
+    });
+    setTimeout(() => {}, 30000);
+}
+`;
+
+async function fakeTerraform() {
+    const dir = await tempDir({ 'bin/terraform': fake });
+    const binary = path.join(dir, 'bin', 'terraform');
+    await fs.chmod(binary, 0o755);
+    return binary;
+}
+
+test('a non-zero exit code is reported, not thrown', async () => {
+    const result = await runCommand(await fakeTerraform(), ['validate'], { capture: true });
+    assert.equal(result.code, 1);
+    assert.equal(result.stdout, 'Error: Unsupported argument\n');
+    assert.equal(result.timedOut, false);
+});
+
+test('plan -detailed-exitcode codes pass through', async () => {
+    const terraform = createRunner({ path: await fakeTerraform(), name: 'terraform' }, { capture: true });
+    for (const code of [0, 1, 2]) {
+        const result = await terraform.run(['plan', '-detailed-exitcode'], { env: { FAKE_PLAN_EXIT: String(code) } });
+        assert.equal(result.code, code);
+    }
+});
+
+test('show -json is parsed as one document, plan -json as one message per line', async () => {
+    const binary = await fakeTerraform();
+    assert.deepEqual((await runCommand(binary, ['show', '-json', 'tfplan'], { json: true })).json, plan);
+    const { json } = await runCommand(binary, ['plan', '-json'], { json: true });
+    assert.deepEqual(json.map((message) => message['@message'] ?? message.type), ['Plan: 1 to add', 'change_summary']);
+    assert.equal(parseJsonOutput('  \n'), null);
+    assert.deepEqual(parseJsonOutput('{"a":1}\n{broken\n'), [{ a: 1 }, { '@level': 'info', '@message': '{broken' }]);
+});
+
+test('a timeout interrupts the command', async () => {
+    const result = await runCommand(await fakeTerraform(), ['apply'], { capture: true, timeout: 200 });
+    assert.equal(result.timedOut, true);
+    assert.equal(result.code, 130);
+    assert.equal(result.cancelled, false);
+});
+
+test('a command ignoring the interrupt is killed after the grace period', async () => {
+    const result = await runCommand(await fakeTerraform(), ['apply'], { capture: true, timeout: 200, killGrace: 200, env: { FAKE_IGNORE_INT: '1' } });
+    assert.equal(result.timedOut, true);
+    assert.equal(result.signal, 'SIGKILL');
+});
+
+test('the binary is found through TA_TERRAFORM_BIN or PATH and probed with version -json', async () => {
+    const binary = await fakeTerraform();
+    const found = await findTerraform({ binary });
+    assert.deepEqual(found, { path: binary, name: 'terraform' });
+    assert.deepEqual(await toolVersion(createRunner(found)), [1, 7, 3]);
+
+    assert.deepEqual(await findTerraform({ env: { PATH: path.dirname(binary) } }), { path: binary, name: 'terraform' });
+    assert.equal(await findTerraform({ env: { PATH: path.join(binary, '..', '..') } }), null);
+});
+
+test('a missing binary is detected', async () => {
+    const missing = path.join(path.dirname(await fakeTerraform()), 'tofu');
+    await assert.rejects(findTerraform({ binary: missing }), TerraformNotFoundError);
+    await assert.rejects(runCommand(missing, ['version']), TerraformNotFoundError);
+    assert.equal(await toolVersion(createRunner(missing)), null);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { scan } from '../security/engine.js';
+import { tempDir } from './helpers.js';
+
+async function untagged(dir) {
+    const { findings } = await scan(dir);
+    return findings.filter((finding) => finding.ruleId === 'TA-AWS-008').map((finding) => `${finding.path} ${finding.address}`);
+}
+
+const network = {
+    'modules/network/main.tf': 'resource "aws_vpc" "main" {\n  cidr_block = "10.0.0.0/16"\n}\n',
+    'modules/dns/main.tf': 'module "network" {\n  source = "../network"\n}\n\nresource "aws_route53_zone" "internal" {\n  name = "internal"\n}\n',
+};
+
+test('untagged resources are reported', async () => {
+    const dir = await tempDir({ ...network, 'main.tf': 'provider "aws" {}\n\nmodule "dns" {\n  source = "./modules/dns"\n}\n' });
+    assert.deepEqual((await untagged(dir)).sort(), ['modules/dns/main.tf aws_route53_zone.internal', 'modules/network/main.tf aws_vpc.main']);
+});
+
+test('default_tags of the root module cover the modules it calls', async () => {
+    const dir = await tempDir({
+        ...network,
+        'main.tf': 'provider "aws" {\n  default_tags {\n    tags = { Team = "ops" }\n  }\n}\n\nmodule "dns" {\n  source = "./modules/dns"\n}\n',
+    });
+    assert.deepEqual(await untagged(dir), []);
+});
+
+test('every caller needs default_tags', async () => {
+    const dir = await tempDir({
+        ...network,
+        'main.tf': 'provider "aws" {\n  default_tags {\n    tags = { Team = "ops" }\n  }\n}\n\nmodule "dns" {\n  source = "./modules/dns"\n}\n',
+        'envs/dev/main.tf': 'provider "aws" {}\n\nmodule "network" {\n  source = "../../modules/network"\n}\n',
+    });
+    assert.deepEqual(await untagged(dir), ['modules/network/main.tf aws_vpc.main']);
+});
+
+test('resources that cannot carry tags are not reported', async () => {
+    const dir = await tempDir({
+        'main.tf': [
+            'resource "aws_route53_record" "www" {\n  name = "www"\n}',
+            'resource "aws_kms_alias" "key" {\n  name = "alias/key"\n}',
+            'resource "aws_lambda_permission" "invoke" {\n  action = "lambda:InvokeFunction"\n}',
+            'resource "aws_iam_role_policy_attachment" "read" {\n  role = "r"\n}',
+            'resource "aws_iam_policy" "read" {\n  policy = "{}"\n}',
+        ].join('\n\n') + '\n',
+    });
+    assert.deepEqual(await untagged(dir), ['main.tf aws_iam_policy.read']);
+});
+
+test('rule modules in the scanned directory are not run unless passed explicitly', async () => {
+    const marker = path.join(os.tmpdir(), `ta-rule-ran-${process.pid}`);
+    const dir = await tempDir({
+        'main.tf': 'resource "aws_s3_bucket" "logs" {\n  bucket = "logs"\n}\n',
+        '.ta/rules/team.js': `import fs from 'fs';\nfs.writeFileSync(${JSON.stringify(marker)}, 'ran');\nexport default { id: 'TEAM-001', severity: 'low', check: () => [{ message: 'flagged' }] };\n`,
+    });
+
+    const { findings } = await scan(dir);
+    assert.equal(findings.some((finding) => finding.ruleId === 'TEAM-001'), false);
+    assert.equal(fs.existsSync(marker), false);
+
+    const explicit = await scan(dir, { rulesDirs: [path.join(dir, '.ta', 'rules')] });
+    assert.ok(explicit.findings.some((finding) => finding.ruleId === 'TEAM-001'));
+    fs.rmSync(marker, { force: true });
+});
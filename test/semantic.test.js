@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareTerraform, renderMovedBlocks } from '../utils/semantic.js';
+
+const database = `resource "aws_db_instance" "main" {
+  engine   = "mysql"
+  password = var.old_password
+  tags     = { Team = "data" }
+
+  timeouts {
+    create = "40m"
+  }
+}
+`;
+
+function impacts(comparison) {
+    return comparison.changes.map((change) => `${change.impact} ${change.address}: ${change.detail}`);
+}
+
+test('formatting and comments alone are cosmetic', () => {
+    const result = compareTerraform(database, database.replace(/ +=/g, ' =').replace('resource', '# The database\nresource'));
+    assert.equal(result.classification, 'cosmetic');
+    assert.deepEqual(result.changes, []);
+});
+
+test('changed tags and timeouts are in-place modifications', () => {
+    const result = compareTerraform(database, database.replace('"data"', '"platform"').replace('"40m"', '"60m"'));
+    assert.equal(result.classification, 'modified');
+    assert.deepEqual(
+        result.changes.map((change) => change.impact),
+        ['modified', 'modified']
+    );
+});
+
+test('changed values of variables and outputs are modifications', () => {
+    const before = 'variable "size" {\n  default = 20\n}\n\noutput "size" {\n  value = var.size\n}\n';
+    const result = compareTerraform(before, before.replace('20', '40').replace('var.size', 'var.size * 2'));
+    assert.equal(result.classification, 'modified');
+});
+
+test('a changed resource argument may replace the resource and is destructive', () => {
+    const result = compareTerraform(database, database.replace('"mysql"', '"postgres"'));
+    assert.equal(result.classification, 'destructive');
+    assert.deepEqual(impacts(result), ['destructive aws_db_instance.main: \'engine\' changed from "mysql" to "postgres", the resource may be replaced']);
+
+    const password = compareTerraform(database, database.replace('var.old_password', 'var.password'));
+    assert.equal(password.classification, 'destructive');
+});
+
+test('a removed resource argument is destructive, removed tags a modification', () => {
+    assert.deepEqual(impacts(compareTerraform(database, database.replace('  engine   = "mysql"\n', ''))), [
+        "destructive aws_db_instance.main: 'engine' removed, the resource may be replaced",
+    ]);
+    const result = compareTerraform(database, database.replace('  tags     = { Team = "data" }\n', ''));
+    assert.equal(result.classification, 'modified');
+    assert.deepEqual(impacts(result), ["modified aws_db_instance.main: 'tags' removed"]);
+});
+
+test('a removed nested block is destructive and reported once', () => {
+    const result = compareTerraform(database, database.replace(/\n  timeouts \{[^}]*\}\n/, ''));
+    assert.equal(result.classification, 'destructive');
+    assert.deepEqual(impacts(result), ['destructive aws_db_instance.main: block timeouts[0] removed']);
+});
+
+test('added attributes and blocks are additive', () => {
+    const result = compareTerraform(database, database.replace('  timeouts {', '  storage_encrypted = true\n\n  restore_to_point_in_time {\n    use_latest_restorable_time = true\n  }\n\n  timeouts {'));
+    assert.equal(result.classification, 'additive');
+    assert.deepEqual(impacts(result), [
+        "additive aws_db_instance.main: 'storage_encrypted' added",
+        'additive aws_db_instance.main: block restore_to_point_in_time[0] added',
+    ]);
+});
+
+test('count and for_each changes are destructive', () => {
+    const counted = database.replace('  engine', '  count    = 1\n  engine');
+    assert.equal(compareTerraform(counted, counted.replace('count    = 1', 'count = 2')).classification, 'destructive');
+    assert.equal(compareTerraform(database, counted).classification, 'destructive');
+});
+
+test('a removed resource is destructive', () => {
+    const result = compareTerraform(database, 'variable "x" {\n  default = 1\n}\n');
+    assert.equal(result.classification, 'destructive');
+    assert.ok(impacts(result).includes('destructive aws_db_instance.main: resource removed'));
+});
+
+test('a required variable is destructive, an optional one additive', () => {
+    assert.equal(compareTerraform(database, `${database}\nvariable "size" {}\n`).classification, 'destructive');
+    assert.equal(compareTerraform(database, `${database}\nvariable "size" {\n  default = 20\n}\n`).classification, 'additive');
+});
+
+test('a rename is cosmetic and gets a moved block', () => {
+    const renamed = database.replace('"main"', '"primary"');
+    const result = compareTerraform(database, renamed);
+    assert.equal(result.classification, 'cosmetic');
+    assert.deepEqual(result.moved, [{ from: 'aws_db_instance.main', to: 'aws_db_instance.primary' }]);
+    assert.equal(renderMovedBlocks(result.moved), 'moved {\n  from = aws_db_instance.main\n  to   = aws_db_instance.primary\n}\n');
+    assert.equal(renderMovedBlocks(result.moved, `${renamed}\nmoved {\n  from = aws_db_instance.main\n  to = aws_db_instance.primary\n}\n`), '');
+});
+
+test('references follow a rename, so dependents are not reported', () => {
+    const before = `${database}\noutput "endpoint" {\n  value = aws_db_instance.main.endpoint\n}\n`;
+    const result = compareTerraform(before, before.replace(/\bmain\b/g, 'primary'));
+    assert.equal(result.classification, 'cosmetic');
+});
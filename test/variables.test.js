@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { builtinTemplatesDir, readTemplate } from '../generator/registry.js';
+import { defaultValues, resolveValues } from '../generator/variables.js';
+
+test('default values of a real template fill in earlier values', async () => {
+    const template = await readTemplate(path.join(builtinTemplatesDir, 'vpc'), 'builtin');
+    const values = defaultValues(template.variables);
+    assert.equal(values.project, 'myapp');
+    assert.equal(values.state_bucket, 'myapp-terraform-state');
+    assert.equal(values.vpc_cidr, '10.0.0.0/16');
+});
+
+test('required variables have no default value', () => {
+    const variables = [{ name: 'project', default: 'web' }, { name: 'owner' }, { name: 'bucket', default: '{{project}}-{{owner}}' }];
+    assert.deepEqual(defaultValues(variables), { project: 'web', bucket: 'web-{{owner}}' });
+});
+
+test('answers are checked before anything is asked', async () => {
+    const variables = [{ name: 'size', type: 'number' }, { name: 'name' }];
+    const ask = () => assert.fail('nothing should be asked');
+    await assert.rejects(resolveValues(variables, { size: 'big' }, { ask }), /Invalid answer: size must be a number/);
+    await assert.rejects(resolveValues(variables, { colour: 'red' }, { ask }), /Unknown variable 'colour'/);
+});
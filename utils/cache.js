@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Suggestion cache: the provider's reply for a file, keyed by the file's content hash, the prompt
+// and the provider identity, so re-running over unchanged files does not ask the model again.
+// One JSON file per entry under ~/.ta/cache/suggestions (or TA_CACHE_DIR).
+
+export function cacheDir() {
+    return process.env.TA_CACHE_DIR || path.join(os.homedir(), '.ta', 'cache', 'suggestions');
+}
+
+export function contentHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// A cache for `provider`, or null when its replies cannot be cached (no identity) or `disabled`
+export function createSuggestionCache(provider, { dir = cacheDir(), disabled = false } = {}) {
+    if (disabled || !provider.identity) return null;
+
+    const keyFor = (content, prompt) => contentHash(JSON.stringify([contentHash(content), prompt, provider.identity]));
+    const fileFor = (key) => path.join(dir, key.slice(0, 2), `${key}.json`);
+
+    return {
+        async get(content, prompt) {
+            const text = await fs.readFile(fileFor(keyFor(content, prompt)), 'utf8').catch(() => null);
+            if (text === null) return null;
+            try {
+                return JSON.parse(text).reply ?? null;
+            } catch {
+                return null;
+            }
+        },
+        // Never fails the run: a cache that cannot be written only costs a request next time
+        async set(content, prompt, reply) {
+            const file = fileFor(keyFor(content, prompt));
+            const entry = { provider: provider.identity, createdAt: new Date().toISOString(), reply };
+            await fs
+                .mkdir(path.dirname(file), { recursive: true })
+                .then(() => fs.writeFile(file, JSON.stringify(entry) + '\n'))
+                .catch(() => {});
+        },
+    };
+}
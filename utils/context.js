@@ -0,0 +1,122 @@
+import path from 'path';
+import { buildGraph, referenceAddress } from './graph.js';
+import { parse } from './hcl.js';
+
+// What a refactor prompt carries besides the file itself: the declarations the file uses from
+// other files of its module (variables, locals, resources...) and the interface of the local
+// modules it calls, and, for files too big for one request, the file cut into chunks of whole
+// top-level blocks.
+
+// Cut `content` into pieces of at most `budget` characters at top-level block boundaries, so
+// each can be refactored on its own and joined back in order. A block bigger than the budget
+// becomes a piece of its own; content that does not parse is never cut.
+export function splitContent(content, budget) {
+    if (content.length <= budget) return [content];
+    let body;
+    try {
+        body = parse(content);
+    } catch {
+        return [content];
+    }
+
+    // Cut after the line each item ends on, so comments stay with the block below them
+    const items = [...body.attributes, ...body.blocks].sort((a, b) => a.start - b.start);
+    const cuts = items.slice(0, -1).map((item) => {
+        const newline = content.indexOf('\n', item.end);
+        return newline === -1 ? content.length : newline + 1;
+    });
+
+    const chunks = [];
+    let from = 0;
+    for (const cut of [...cuts, content.length]) {
+        const segment = content.slice(from, cut);
+        from = cut;
+        if (chunks.length && chunks[chunks.length - 1].length + segment.length <= budget) chunks[chunks.length - 1] += segment;
+        else chunks.push(segment);
+    }
+    return chunks;
+}
+
+// Refactored chunks back into one file. Each chunk gets the blank lines before it and the
+// whitespace after it that its original (`originals`, from splitContent) had, so the file's
+// spacing between chunks is kept rather than added to.
+export function joinChunks(chunks, originals) {
+    return chunks
+        .map((chunk, index) => {
+            const before = /^(\s*\n)?/.exec(originals[index])[0];
+            const after = /\s*$/.exec(originals[index])[0];
+            return before + chunk.replace(/^(\s*\n)+/, '').replace(/\s*$/, '') + after;
+        })
+        .join('');
+}
+
+function sourceOf(node, contents) {
+    const content = contents.get(node.path);
+    if (node.block) return content.slice(node.block.start, node.block.end);
+    return `locals {\n  ${content.slice(node.attribute.start, node.attribute.end)}\n}`;
+}
+
+// Variables in full (type, default, validation); outputs without their value, which is internal
+function interfaceOf(node, contents) {
+    if (node.kind === 'variable') return sourceOf(node, contents);
+    const description = node.block.body.attributes.find((attribute) => attribute.name === 'description');
+    return `output "${node.name}" {${description ? ` description = ${description.expression} ` : ''}}`;
+}
+
+// Context text for every file (by relative path) of `files`, the whole project as read by
+// readTfFiles. Files that use nothing from elsewhere get no entry. Each context is capped at
+// `budget` characters; declarations past it are left out and counted.
+export function buildContexts(files, { budget = 6000 } = {}) {
+    const contents = new Map(files.map((file) => [file.path, file.content]));
+    const relativePaths = new Map(files.map((file) => [file.path, file.relativePath]));
+    const byDirectory = new Map();
+    for (const file of files) {
+        const dir = path.posix.dirname(file.relativePath);
+        if (!byDirectory.has(dir)) byDirectory.set(dir, []);
+        byDirectory.get(dir).push(file);
+    }
+    const graphs = new Map([...byDirectory].map(([dir, dirFiles]) => [dir, buildGraph(dirFiles)]));
+
+    const contexts = new Map();
+    for (const file of files.filter((item) => item.path.endsWith('.tf'))) {
+        const dir = path.posix.dirname(file.relativePath);
+        const graph = graphs.get(dir);
+        const own = [...graph.nodes.values()].filter((node) => node.path === file.path);
+        const sections = [];
+
+        // Declarations this file refers to that live in another file of the same module
+        const used = new Set(own.flatMap((node) => node.refs.map(referenceAddress)).filter(Boolean));
+        const elsewhere = [...used].map((address) => graph.nodes.get(address)).filter((node) => node && node.path !== file.path);
+        for (const node of elsewhere.sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line)) {
+            sections.push(`# ${node.address} (${relativePaths.get(node.path)})\n${sourceOf(node, contents)}`);
+        }
+
+        // Inputs and outputs of the local modules it calls
+        for (const call of own.filter((node) => node.kind === 'module' && typeof node.source === 'string' && /^\.\.?\//.test(node.source))) {
+            const target = path.posix.normalize(path.posix.join(dir, call.source));
+            const moduleGraph = graphs.get(target);
+            if (!moduleGraph) continue;
+            const nodes = [...moduleGraph.nodes.values()];
+            const inputs = [...nodes.filter((node) => node.kind === 'variable'), ...nodes.filter((node) => node.kind === 'output')];
+            if (inputs.length === 0) continue;
+            sections.push(`# ${call.address} interface (${target})\n${inputs.map((node) => interfaceOf(node, contents)).join('\n')}`);
+        }
+
+        if (sections.length === 0) continue;
+        let text = '';
+        let omitted = 0;
+        for (const section of sections) {
+            if (text.length + section.length > budget) omitted++;
+            else text += `${section}\n\n`;
+        }
+        if (omitted) text += `# ${omitted} more declaration(s) left out\n`;
+        contexts.set(file.relativePath, text.trimEnd());
+    }
+    return contexts;
+}
+
+// `prompt` with the context for one file, placed before the code the provider appends
+export function withContext(prompt, context) {
+    if (!context) return prompt;
+    return `${prompt}\n\nFor reference only, declarations this file uses from other files (do not include them in your reply):\n\`\`\`hcl\n${context}\n\`\`\`\n\nCode to refactor:`;
+}
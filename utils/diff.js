@@ -0,0 +1,300 @@
+// Line and word diffing (Myers' O(ND) algorithm), hunks and unified patches
+
+// Shortest edit script between two arrays. Returns ops of { type: 'equal' | 'delete' | 'insert', value }.
+// Uses the linear-space variant of Myers: the middle snake of the forward and reverse searches splits
+// the problem in two, so memory stays proportional to the input instead of to input × edits.
+// Within each run of changes, deletions come before insertions.
+export function diffSequences(a, b) {
+    const ops = [];
+    diffRange(a, 0, a.length, b, 0, b.length, ops);
+
+    for (let start = 0; start < ops.length; ) {
+        if (ops[start].type === 'equal') {
+            start++;
+            continue;
+        }
+        let end = start;
+        while (end < ops.length && ops[end].type !== 'equal') end++;
+        const run = ops.slice(start, end);
+        ops.splice(start, run.length, ...run.filter((op) => op.type === 'delete'), ...run.filter((op) => op.type === 'insert'));
+        start = end;
+    }
+    return ops;
+}
+
+// Append the edit script of a[aStart, aEnd) and b[bStart, bEnd) to `ops`
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, ops) {
+    // Common prefix and suffix need no search
+    let prefix = 0;
+    while (aStart + prefix < aEnd && bStart + prefix < bEnd && a[aStart + prefix] === b[bStart + prefix]) prefix++;
+    let suffix = 0;
+    while (aEnd - suffix > aStart + prefix && bEnd - suffix > bStart + prefix && a[aEnd - suffix - 1] === b[bEnd - suffix - 1]) suffix++;
+
+    for (let i = 0; i < prefix; i++) ops.push({ type: 'equal', value: a[aStart + i] });
+    const lo = [aStart + prefix, bStart + prefix];
+    const hi = [aEnd - suffix, bEnd - suffix];
+
+    if (lo[0] === hi[0]) {
+        for (let j = lo[1]; j < hi[1]; j++) ops.push({ type: 'insert', value: b[j] });
+    } else if (lo[1] === hi[1]) {
+        for (let i = lo[0]; i < hi[0]; i++) ops.push({ type: 'delete', value: a[i] });
+    } else {
+        const split = middleSnake(a, lo[0], hi[0], b, lo[1], hi[1]);
+        if (split) {
+            diffRange(a, lo[0], split[0], b, lo[1], split[1], ops);
+            diffRange(a, split[0], hi[0], b, split[1], hi[1], ops);
+        } else {
+            for (let i = lo[0]; i < hi[0]; i++) ops.push({ type: 'delete', value: a[i] });
+            for (let j = lo[1]; j < hi[1]; j++) ops.push({ type: 'insert', value: b[j] });
+        }
+    }
+
+    for (let i = aEnd - suffix; i < aEnd; i++) ops.push({ type: 'equal', value: a[i] });
+}
+
+// Where the forward search from the start and the reverse search from the end of both ranges meet,
+// as [index in a, index in b], or null when the ranges have nothing in common
+function middleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const maxD = Math.ceil((n + m) / 2);
+    const offset = maxD;
+    const size = 2 * maxD + 2;
+    // Furthest x reached on each diagonal k = x - y, forwards and backwards (-1: not reached)
+    const forward = new Int32Array(size).fill(-1);
+    const backward = new Int32Array(size).fill(-1);
+    forward[offset + 1] = 0;
+    backward[offset + 1] = 0;
+    const delta = n - m;
+    // With an odd delta the paths overlap while searching forwards, with an even one backwards
+    const odd = delta % 2 !== 0;
+    // Diagonals that ran off the grid are not searched again
+    let forwardStart = 0;
+    let forwardEnd = 0;
+    let backwardStart = 0;
+    let backwardEnd = 0;
+
+    for (let d = 0; d < maxD; d++) {
+        for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+            const index = offset + k;
+            let x = k === -d || (k !== d && forward[index - 1] < forward[index + 1]) ? forward[index + 1] : forward[index - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                x++;
+                y++;
+            }
+            forward[index] = x;
+            if (x > n) forwardEnd += 2;
+            else if (y > m) forwardStart += 2;
+            else if (odd) {
+                const other = offset + delta - k;
+                if (other >= 0 && other < size && backward[other] !== -1 && x >= n - backward[other]) return [aStart + x, bStart + y];
+            }
+        }
+
+        for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+            const index = offset + k;
+            let x = k === -d || (k !== d && backward[index - 1] < backward[index + 1]) ? backward[index + 1] : backward[index - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[aEnd - x - 1] === b[bEnd - y - 1]) {
+                x++;
+                y++;
+            }
+            backward[index] = x;
+            if (x > n) backwardEnd += 2;
+            else if (y > m) backwardStart += 2;
+            else if (!odd) {
+                const other = offset + delta - k;
+                if (other >= 0 && other < size && forward[other] !== -1) {
+                    const forwardX = forward[other];
+                    const forwardY = forwardX - (other - offset);
+                    if (forwardX >= n - x) return [aStart + forwardX, bStart + forwardY];
+                }
+            }
+        }
+    }
+    return null;
+}
+
+// Split content into lines that keep their terminator, so a missing final newline is a change too
+function splitLines(content) {
+    return content.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+export function diffLines(oldContent, newContent) {
+    return diffSequences(splitLines(oldContent), splitLines(newContent));
+}
+
+// Word-level diff of two single lines, used to highlight what changed inside a line
+export function diffWords(oldLine, newLine) {
+    const tokenize = (line) => line.match(/\s+|\w+|[^\w\s]/g) || [];
+    return diffSequences(tokenize(oldLine), tokenize(newLine));
+}
+
+// Group a line diff into hunks with `context` unchanged lines around each change.
+// Each hunk line is { type: ' ' | '-' | '+', text, noNewline }.
+export function buildHunks(oldContent, newContent, { context = 3 } = {}) {
+    const ops = diffLines(oldContent, newContent);
+    const markers = { equal: ' ', delete: '-', insert: '+' };
+
+    // Position of every op in the old and new file
+    let oldLine = 0;
+    let newLine = 0;
+    const positioned = ops.map((op) => {
+        const entry = { ...op, oldLine, newLine };
+        if (op.type !== 'insert') oldLine++;
+        if (op.type !== 'delete') newLine++;
+        return entry;
+    });
+
+    const hunks = [];
+    let current = null;
+    let lastChange = -Infinity;
+
+    positioned.forEach((op, index) => {
+        if (op.type === 'equal') return;
+
+        if (!current || index - lastChange - 1 > context * 2) {
+            const start = Math.max(0, index - context);
+            current = { start, end: index };
+            hunks.push(current);
+        }
+        current.end = index;
+        lastChange = index;
+    });
+
+    return hunks.map(({ start, end }) => {
+        const slice = positioned.slice(start, Math.min(positioned.length, end + context + 1));
+        const oldLines = slice.filter((op) => op.type !== 'insert').length;
+        const newLines = slice.filter((op) => op.type !== 'delete').length;
+        return {
+            oldStart: oldLines ? slice[0].oldLine + 1 : slice[0].oldLine,
+            oldLines,
+            newStart: newLines ? slice[0].newLine + 1 : slice[0].newLine,
+            newLines,
+            lines: slice.map((op) => ({
+                type: markers[op.type],
+                text: op.value.replace(/\n$/, ''),
+                noNewline: !op.value.endsWith('\n'),
+            })),
+        };
+    });
+}
+
+// Rebuild a file from `oldContent` with one decision per hunk: { action: 'accept' } takes the
+// suggested side, { action: 'edit', text } uses `text` instead, anything else keeps the original.
+export function applyHunks(oldContent, hunks, decisions) {
+    const oldLines = splitLines(oldContent);
+    const side = (hunk, excluded) =>
+        hunk.lines
+            .filter((line) => line.type !== excluded)
+            .map((line) => line.text + (line.noNewline ? '' : '\n'))
+            .join('');
+
+    let result = '';
+    let cursor = 0;
+    hunks.forEach((hunk, index) => {
+        const start = hunk.oldLines ? hunk.oldStart - 1 : hunk.oldStart;
+        result += oldLines.slice(cursor, start).join('');
+
+        const decision = decisions[index] || {};
+        if (decision.action === 'accept') result += side(hunk, '-');
+        else if (decision.action === 'edit') result += decision.text;
+        else result += side(hunk, '+');
+
+        cursor = start + hunk.oldLines;
+    });
+    return result + oldLines.slice(cursor).join('');
+}
+
+export function formatHunkHeader(hunk) {
+    return `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+}
+
+// Standard unified diff, applicable with `git apply` or `patch -p1`. Empty string when nothing changed.
+export function createPatch(fileName, oldContent, newContent, { context = 3 } = {}) {
+    const hunks = buildHunks(oldContent, newContent, { context });
+    if (hunks.length === 0) return '';
+
+    const name = fileName.split('\\').join('/');
+    let patch = `diff --git a/${name} b/${name}\n--- a/${name}\n+++ b/${name}\n`;
+    for (const hunk of hunks) {
+        patch += `${formatHunkHeader(hunk)}\n`;
+        for (const line of hunk.lines) {
+            patch += `${line.type}${line.text}\n`;
+            if (line.noNewline) patch += '\\ No newline at end of file\n';
+        }
+    }
+    return patch;
+}
+
+function sameLines(a, b) {
+    return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+// Three-way merge of two edits of `base`. Regions changed on one side only take that side;
+// regions changed differently on both are kept as git-style conflict markers.
+// Returns { content, conflicts } with the number of conflict regions.
+export function mergeThree(base, ours, theirs, { ours: oursLabel = 'ours', theirs: theirsLabel = 'theirs' } = {}) {
+    const baseLines = splitLines(base);
+    const oursLines = splitLines(ours);
+    const theirsLines = splitLines(theirs);
+
+    // For every base line, the line it is kept as on each side, or -1 when that side changed it
+    const matches = (lines) => {
+        const matched = new Array(baseLines.length).fill(-1);
+        let baseIndex = 0;
+        let index = 0;
+        for (const op of diffSequences(baseLines, lines)) {
+            if (op.type === 'equal') matched[baseIndex] = index;
+            if (op.type !== 'insert') baseIndex++;
+            if (op.type !== 'delete') index++;
+        }
+        return matched;
+    };
+    const inOurs = matches(oursLines);
+    const inTheirs = matches(theirsLines);
+
+    const terminated = (lines) => lines.map((line, index) => (index === lines.length - 1 && !line.endsWith('\n') ? line + '\n' : line));
+    let content = '';
+    let conflicts = 0;
+    let i = 0;
+    let a = 0;
+    let b = 0;
+    while (i < baseLines.length || a < oursLines.length || b < theirsLines.length) {
+        if (i < baseLines.length && inOurs[i] === a && inTheirs[i] === b) {
+            content += baseLines[i++];
+            a++;
+            b++;
+            continue;
+        }
+
+        // The changed region runs up to the next base line both sides kept
+        let next = i;
+        while (next < baseLines.length && (inOurs[next] === -1 || inTheirs[next] === -1)) next++;
+        const oursEnd = next < baseLines.length ? inOurs[next] : oursLines.length;
+        const theirsEnd = next < baseLines.length ? inTheirs[next] : theirsLines.length;
+        const baseChunk = baseLines.slice(i, next);
+        const oursChunk = oursLines.slice(a, oursEnd);
+        const theirsChunk = theirsLines.slice(b, theirsEnd);
+
+        if (sameLines(oursChunk, baseChunk)) content += theirsChunk.join('');
+        else if (sameLines(theirsChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) content += oursChunk.join('');
+        else {
+            conflicts++;
+            content += `<<<<<<< ${oursLabel}\n${terminated(oursChunk).join('')}=======\n${terminated(theirsChunk).join('')}>>>>>>> ${theirsLabel}\n`;
+        }
+        i = next;
+        a = oursEnd;
+        b = theirsEnd;
+    }
+    return { content, conflicts };
+}
+
+// Lines two versions have in common, in order: the base for merging files with no shared history
+export function commonLines(oldContent, newContent) {
+    return diffLines(oldContent, newContent)
+        .filter((op) => op.type === 'equal')
+        .map((op) => op.value)
+        .join('');
+}
@@ -1,26 +1,103 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { glob } from 'glob';
 
-export async function readTfFiles(dir) {
+// Extra file kinds that can be included on top of plain `.tf` files
+const optionalExtensions = {
+    tfvars: ['tfvars'],
+    json: ['tf.json', 'tfvars.json'],
+    tests: ['tftest.hcl'],
+};
+
+export const includeKinds = Object.keys(optionalExtensions);
+
+// Never worth analyzing: provider caches, state (may contain secrets) and VCS/tooling folders
+const alwaysIgnored = [
+    '**/.terraform/**',
+    '**/*.tfstate',
+    '**/*.tfstate.*',
+    '**/.git/**',
+    '**/node_modules/**',
+];
+
+const ignoreFiles = ['.gitignore', '.taignore'];
+
+// Convert one .gitignore line into glob ignore patterns relative to the scanned root.
+// Negated patterns (`!foo`) are not supported and are dropped.
+function toGlobPatterns(line, base) {
+    let pattern = line.trim();
+    if (!pattern || pattern.startsWith('#') || pattern.startsWith('!')) return [];
+    if (pattern.startsWith('\\')) pattern = pattern.slice(1);
+
+    const directoryOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\/+/, '');
+
+    const prefix = base ? `${base}/` : '';
+    const full = anchored ? `${prefix}${pattern}` : `${prefix}**/${pattern}`;
+    return directoryOnly ? [`${full}/**`] : [full, `${full}/**`];
+}
+
+async function loadIgnorePatterns(dir) {
+    const found = await glob(
+        ignoreFiles.map((name) => `**/${name}`),
+        { cwd: dir, dot: true, nodir: true, ignore: alwaysIgnored, posix: true }
+    );
+
+    const patterns = [];
+    for (const file of found) {
+        const base = path.posix.dirname(file);
+        const content = await fs.readFile(path.join(dir, file), 'utf8');
+        for (const line of content.split(/\r?\n/)) {
+            patterns.push(...toGlobPatterns(line, base === '.' ? '' : base));
+        }
+    }
+    return patterns;
+}
+
+// Group a file by where it lives in the project: modules/<name>, environments/<name> or the root
+export function labelFor(relativePath) {
+    const segments = relativePath.split('/').slice(0, -1);
+    for (let i = segments.length - 2; i >= 0; i--) {
+        if (segments[i] === 'modules') return { type: 'module', name: segments[i + 1] };
+        if (segments[i] === 'environments' || segments[i] === 'envs') {
+            return { type: 'environment', name: segments[i + 1] };
+        }
+    }
+    return { type: 'root', name: segments.length ? segments.join('/') : '.' };
+}
+
+// Recursively read Terraform files under `dir`, honouring .gitignore/.taignore.
+// `options.include` adds optional kinds: 'tfvars', 'json' (.tf.json) and 'tests' (.tftest.hcl);
+// `options.ignore` adds .gitignore-style patterns relative to `dir`;
+// `options.quiet` turns off progress logging.
+export async function readTfFiles(dir, options = {}) {
     try {
+        const extensions = ['tf', ...(options.include || []).flatMap((kind) => optionalExtensions[kind] || [])];
+        const ignore = [
+            ...alwaysIgnored,
+            ...(await loadIgnorePatterns(dir)),
+            ...(options.ignore || []).flatMap((pattern) => toGlobPatterns(pattern, '')),
+        ];
+
+        if (!options.quiet) console.log(`Reading Terraform files from directory: ${dir}`);
+
+        const relativePaths = await glob(
+            extensions.map((extension) => `**/*.${extension}`),
+            { cwd: dir, dot: true, nodir: true, ignore, posix: true }
+        );
+        relativePaths.sort();
+
         const files = [];
-        const filePaths = await fs.readdir(dir);
-        
-        console.log(`Reading Terraform files from directory: ${dir}`);
-        console.log(`Files found: ${filePaths}`);
-
-        for (let filePath of filePaths) {
-            const fullPath = path.join(dir, filePath);
-            const stats = await fs.stat(fullPath);
-
-            if (stats.isFile() && fullPath.endsWith('.tf')) {
-                const content = await fs.readFile(fullPath, 'utf8');
-                console.log(`Reading file: ${fullPath}`);
-                files.push({ path: fullPath, content });
-            }
+        for (const relativePath of relativePaths) {
+            const fullPath = path.join(dir, relativePath);
+            const content = await fs.readFile(fullPath, 'utf8');
+            const label = labelFor(relativePath);
+            files.push({ path: fullPath, relativePath, content, label });
         }
 
-        if (files.length === 0) {
+        if (files.length === 0 && !options.quiet) {
             console.log('No Terraform files found in the directory.');
         }
 
@@ -0,0 +1,153 @@
+import path from 'path';
+import { readTfFiles } from './files.js';
+import { parse, references, literalValue } from './hcl.js';
+
+// Dependency graph of a Terraform configuration: resources, data sources, modules, variables,
+// locals, outputs and providers as nodes, references between them as edges.
+
+// Roots that never name a declared object
+const builtins = new Set(['count', 'each', 'self', 'path', 'terraform']);
+
+// Address of the object a traversal refers to (var.region, aws_vpc.main, data.aws_ami.ubuntu...), or null
+export function referenceAddress(traversal) {
+    const names = [];
+    for (const step of traversal.steps) {
+        if (step.type !== 'attr') break;
+        names.push(step.name);
+    }
+
+    const { root } = traversal;
+    if (builtins.has(root)) return null;
+    if (root === 'var' || root === 'local' || root === 'module') return names[0] ? `${root}.${names[0]}` : null;
+    if (root === 'data') return names.length >= 2 ? `data.${names[0]}.${names[1]}` : null;
+    return names[0] ? `${root}.${names[0]}` : null;
+}
+
+// Every traversal used anywhere in a block body, nested blocks included
+function bodyReferences(body) {
+    return [
+        ...body.attributes.flatMap((attribute) => references(attribute.value)),
+        ...body.blocks.flatMap((block) => bodyReferences(block.body)),
+    ];
+}
+
+function attributeValue(body, name) {
+    return body.attributes.find((attribute) => attribute.name === name);
+}
+
+// Nodes declared by one top-level block
+function blockNodes(block, filePath) {
+    const [first, second] = block.labels;
+    const node = (address, kind, extra = {}) => ({
+        address,
+        kind,
+        path: filePath,
+        line: block.line,
+        block,
+        refs: bodyReferences(block.body),
+        ...extra,
+    });
+
+    switch (block.type) {
+        case 'resource':
+            return [node(`${first}.${second}`, 'resource', { type: first, name: second })];
+        case 'data':
+            return [node(`data.${first}.${second}`, 'data', { type: first, name: second })];
+        case 'module': {
+            const source = literalValue(attributeValue(block.body, 'source')?.value);
+            return [node(`module.${first}`, 'module', { name: first, source })];
+        }
+        case 'variable':
+            return [node(`var.${first}`, 'variable', { name: first })];
+        case 'output':
+            return [node(`output.${first}`, 'output', { name: first })];
+        case 'provider': {
+            const alias = literalValue(attributeValue(block.body, 'alias')?.value);
+            return [node(alias ? `provider.${first}.${alias}` : `provider.${first}`, 'provider', { name: first, alias })];
+        }
+        case 'locals':
+            return block.body.attributes.map((attribute) => ({
+                address: `local.${attribute.name}`,
+                kind: 'local',
+                name: attribute.name,
+                path: filePath,
+                line: attribute.line,
+                attribute,
+                refs: references(attribute.value),
+            }));
+        default:
+            return [];
+    }
+}
+
+// Build the graph of one Terraform module (all .tf files of one directory).
+// Returns { nodes: Map<address, node>, edges: [{ from, to }], unresolved: [{ from, to }], errors: [{ path, error }] }
+export function buildGraph(files) {
+    const nodes = new Map();
+    const errors = [];
+
+    for (const file of files) {
+        if (!file.path.endsWith('.tf')) continue;
+        let body;
+        try {
+            body = parse(file.content);
+        } catch (error) {
+            errors.push({ path: file.path, error });
+            continue;
+        }
+        for (const block of body.blocks) {
+            for (const node of blockNodes(block, file.path)) nodes.set(node.address, node);
+        }
+    }
+
+    const edges = [];
+    const unresolved = [];
+    for (const node of nodes.values()) {
+        const targets = new Set(node.refs.map(referenceAddress).filter(Boolean));
+
+        // Resources use the provider named by `provider = aws.west` or their type prefix
+        if (node.kind === 'resource' || node.kind === 'data') {
+            const explicit = attributeValue(node.block.body, 'provider')?.value;
+            const providerAddress = explicit?.type === 'traversal'
+                ? ['provider', explicit.root, ...explicit.steps.map((step) => step.name)].join('.')
+                : `provider.${node.type.split('_')[0]}`;
+            if (nodes.has(providerAddress)) targets.add(providerAddress);
+            if (explicit) targets.delete(`${explicit.root}.${explicit.steps[0]?.name}`);
+        }
+
+        for (const target of targets) {
+            if (target === node.address) continue;
+            if (nodes.has(target)) edges.push({ from: node.address, to: target });
+            else unresolved.push({ from: node.address, to: target });
+        }
+    }
+
+    return { nodes, edges, unresolved, errors };
+}
+
+// Read every Terraform module under `dir` and link local `module` calls to the directories they use.
+// Returns { dir, modules: Map<relative dir, graph>, moduleCalls: [{ caller, address, target, found }] }
+export async function loadProject(dir, options = {}) {
+    const files = await readTfFiles(dir, options);
+
+    const byDirectory = new Map();
+    for (const file of files) {
+        const moduleDir = path.posix.dirname(file.relativePath);
+        if (!byDirectory.has(moduleDir)) byDirectory.set(moduleDir, []);
+        byDirectory.get(moduleDir).push(file);
+    }
+
+    const modules = new Map();
+    for (const [moduleDir, moduleFiles] of byDirectory) modules.set(moduleDir, buildGraph(moduleFiles));
+
+    const moduleCalls = [];
+    for (const [moduleDir, graph] of modules) {
+        for (const node of graph.nodes.values()) {
+            if (node.kind !== 'module' || typeof node.source !== 'string' || !/^\.\.?\//.test(node.source)) continue;
+            const target = path.posix.normalize(path.posix.join(moduleDir, node.source));
+            moduleCalls.push({ caller: moduleDir, address: node.address, target, found: modules.has(target) });
+        }
+    }
+
+    return { dir, modules, moduleCalls };
+}
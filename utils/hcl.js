@@ -0,0 +1,684 @@
+// HCL2 reader: tokenizer, parser for bodies, blocks, attributes and expressions, and helpers
+// to walk expressions. Attributes keep both their source text and an expression AST.
+
+export class HclSyntaxError extends Error {
+    constructor(message, line, column) {
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = 'HclSyntaxError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+const punctuation = ['...', '==', '!=', '<=', '>=', '&&', '||', '=>', '{', '}', '[', ']', '(', ')', '=', ',', '.', ':', '?', '!', '+', '-', '*', '/', '%', '<', '>'];
+
+export function tokenize(source, { line: firstLine = 1 } = {}) {
+    const tokens = [];
+    let pos = 0;
+    let line = firstLine;
+    let lineStart = 0;
+
+    // Position where the current token started
+    let tokenLine = firstLine;
+    let tokenLineStart = 0;
+
+    const error = (message, at = pos) => new HclSyntaxError(message, line, at - lineStart + 1);
+    const push = (type, start, extra = {}) =>
+        tokens.push({
+            type,
+            value: source.slice(start, pos),
+            start,
+            end: pos,
+            line: tokenLine,
+            column: start - tokenLineStart + 1,
+            ...extra,
+        });
+
+    const newline = () => {
+        line++;
+        lineStart = pos;
+    };
+
+    // Quoted template, including nested interpolations such as "${var.a ? "x" : "y"}"
+    const scanString = () => {
+        pos++;
+        while (pos < source.length) {
+            const char = source[pos];
+            if (char === '\n') throw error('Unterminated string');
+            if (char === '\\') {
+                pos += 2;
+            } else if (char === '"') {
+                pos++;
+                return;
+            } else if ((char === '$' || char === '%') && source[pos + 1] === '{' && source[pos - 1] !== char) {
+                pos += 2;
+                scanInterpolation();
+            } else {
+                pos++;
+            }
+        }
+        throw error('Unterminated string');
+    };
+
+    const scanInterpolation = () => {
+        let depth = 1;
+        while (pos < source.length) {
+            const char = source[pos];
+            if (char === '"') {
+                scanString();
+                continue;
+            }
+            if (char === '\n') {
+                pos++;
+                newline();
+                continue;
+            }
+            if (char === '{') depth++;
+            if (char === '}' && --depth === 0) {
+                pos++;
+                return;
+            }
+            pos++;
+        }
+        throw error('Unterminated template interpolation');
+    };
+
+    while (pos < source.length) {
+        const char = source[pos];
+        const start = pos;
+        tokenLine = line;
+        tokenLineStart = lineStart;
+
+        if (char === ' ' || char === '\t' || char === '\r' || char === '\ufeff') {
+            pos++;
+        } else if (char === '\n') {
+            pos++;
+            push('newline', start);
+            newline();
+        } else if (char === '#' || (char === '/' && source[pos + 1] === '/')) {
+            while (pos < source.length && source[pos] !== '\n') pos++;
+        } else if (char === '/' && source[pos + 1] === '*') {
+            const end = source.indexOf('*/', pos + 2);
+            if (end === -1) throw error('Unterminated comment');
+            for (; pos < end + 2; pos++) {
+                if (source[pos] === '\n') {
+                    lineStart = pos + 1;
+                    line++;
+                }
+            }
+        } else if (char === '"') {
+            scanString();
+            push('string', start);
+        } else if (char === '<' && source[pos + 1] === '<' && /^<<-?[A-Za-z_]/.test(source.slice(pos, pos + 4))) {
+            const header = /^<<(-?)([A-Za-z_][\w-]*)\r?\n/.exec(source.slice(pos));
+            if (!header) throw error('Invalid heredoc header');
+            const marker = header[2];
+            pos += header[0].length;
+            newline();
+            for (;;) {
+                if (pos >= source.length) throw error(`Unterminated heredoc, expected ${marker}`);
+                let end = source.indexOf('\n', pos);
+                if (end === -1) end = source.length;
+                const text = source.slice(pos, end).trim();
+                pos = end;
+                if (text === marker) break;
+                if (pos < source.length) {
+                    pos++;
+                    newline();
+                }
+            }
+            push('heredoc', start, { marker, indent: header[1] === '-' });
+        } else if (/[0-9]/.test(char)) {
+            const match = /^[0-9]+(\.[0-9]+)?([eE][+-]?[0-9]+)?/.exec(source.slice(pos));
+            pos += match[0].length;
+            push('number', start);
+        } else if (/[A-Za-z_]/.test(char)) {
+            const match = /^[A-Za-z_][\w-]*/.exec(source.slice(pos));
+            pos += match[0].length;
+            push('ident', start);
+        } else {
+            const symbol = punctuation.find((candidate) => source.startsWith(candidate, pos));
+            if (!symbol) throw error(`Unexpected character '${char}'`);
+            pos += symbol.length;
+            push('punct', start);
+        }
+    }
+
+    tokenLine = line;
+    tokenLineStart = lineStart;
+    push('eof', pos);
+    return tokens;
+}
+
+// Unquote a label or plain string token ("aws_instance" -> aws_instance)
+export function unquote(value) {
+    if (!value.startsWith('"')) return value;
+    return value.slice(1, -1).replace(/\\(["\\])/g, '$1').replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+}
+
+const binaryOperators = [['||'], ['&&'], ['==', '!='], ['<', '>', '<=', '>='], ['+', '-'], ['*', '/', '%']];
+
+// Index of the `}` closing an interpolation that starts at `i` (just after `${`), skipping nested strings
+function findClosingBrace(text, i) {
+    let depth = 1;
+    while (i < text.length) {
+        if (text[i] === '"') {
+            i = skipString(text, i);
+            continue;
+        }
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0) return i;
+        i++;
+    }
+    return -1;
+}
+
+function skipString(text, i) {
+    i++;
+    while (i < text.length) {
+        if (text[i] === '\\') {
+            i += 2;
+        } else if (text[i] === '"') {
+            return i + 1;
+        } else if ((text[i] === '$' || text[i] === '%') && text[i + 1] === '{') {
+            const end = findClosingBrace(text, i + 2);
+            i = end === -1 ? text.length : end + 1;
+        } else {
+            i++;
+        }
+    }
+    return i;
+}
+
+const escapes = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+
+function createParser(source, tokens, { newlineDepth: initialDepth = 0 } = {}) {
+    let index = 0;
+    // Newlines only end an attribute at depth 0; inside (), [] and {} expressions they are layout
+    let newlineDepth = initialDepth;
+
+    const peek = () => {
+        if (newlineDepth > 0) while (tokens[index].type === 'newline') index++;
+        return tokens[index];
+    };
+    const next = () => {
+        const token = peek();
+        index++;
+        return token;
+    };
+    const previous = () => tokens[index - 1];
+    const is = (value) => peek().type === 'punct' && peek().value === value;
+    const isKeyword = (value) => peek().type === 'ident' && peek().value === value;
+    const fail = (token, message) => {
+        throw new HclSyntaxError(message, token.line, token.column);
+    };
+    const describe = (token) => (token.type === 'eof' ? 'end of file' : token.type === 'newline' ? 'newline' : `'${token.value}'`);
+    const expect = (value) => {
+        const token = next();
+        if (token.type !== 'punct' || token.value !== value) fail(token, `Expected '${value}', found ${describe(token)}`);
+        return token;
+    };
+    const expectIdent = () => {
+        const token = next();
+        if (token.type !== 'ident') fail(token, `Expected a name, found ${describe(token)}`);
+        return token.value;
+    };
+    const nested = (depth, parseInner) => {
+        const saved = newlineDepth;
+        newlineDepth = depth;
+        try {
+            return parseInner();
+        } finally {
+            newlineDepth = saved;
+        }
+    };
+
+    const parseExpression = () => {
+        const condition = parseBinary(0);
+        if (!is('?')) return condition;
+        next();
+        const trueResult = parseExpression();
+        expect(':');
+        const falseResult = parseExpression();
+        return { type: 'conditional', condition, trueResult, falseResult };
+    };
+
+    const parseBinary = (level) => {
+        if (level === binaryOperators.length) return parseUnary();
+        let left = parseBinary(level + 1);
+        while (peek().type === 'punct' && binaryOperators[level].includes(peek().value)) {
+            const operator = next().value;
+            left = { type: 'binary', operator, left, right: parseBinary(level + 1) };
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        if (is('!') || is('-')) {
+            const operator = next().value;
+            return { type: 'unary', operator, operand: parseUnary() };
+        }
+        return parsePostfix(parsePrimary());
+    };
+
+    const appendStep = (expression, step) => {
+        if (expression.type === 'traversal' || expression.type === 'relative') {
+            return { ...expression, steps: [...expression.steps, step] };
+        }
+        return { type: 'relative', object: expression, steps: [step] };
+    };
+
+    const parsePostfix = (expression) => {
+        for (;;) {
+            let step;
+            if (is('.')) {
+                next();
+                const token = next();
+                if (token.type === 'punct' && token.value === '*') step = { type: 'splat' };
+                else if (token.type === 'ident') step = { type: 'attr', name: token.value };
+                else if (token.type === 'number') step = { type: 'index', key: { type: 'literal', value: Number(token.value) } };
+                else fail(token, `Expected an attribute name, found ${describe(token)}`);
+            } else if (is('[')) {
+                next();
+                step = nested(1, () => {
+                    if (is('*')) {
+                        next();
+                        expect(']');
+                        return { type: 'splat', full: true };
+                    }
+                    const key = parseExpression();
+                    expect(']');
+                    return { type: 'index', key };
+                });
+            } else {
+                return expression;
+            }
+            expression = appendStep(expression, step);
+        }
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (token.type === 'number') {
+            next();
+            return { type: 'literal', value: Number(token.value) };
+        }
+        if (token.type === 'string') {
+            next();
+            return parseTemplate(token.value.slice(1, -1), token.line, false);
+        }
+        if (token.type === 'heredoc') {
+            next();
+            return parseHeredoc(token);
+        }
+        if (token.type === 'ident') {
+            next();
+            if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+            if (token.value === 'null') return { type: 'literal', value: null };
+
+            // Provider-defined functions: provider::aws::arn_parse(...)
+            let name = token.value;
+            while (is(':') && tokens[index + 1].value === ':') {
+                index += 2;
+                name += `::${expectIdent()}`;
+            }
+            if (is('(')) return parseCall(name);
+            return { type: 'traversal', root: name, steps: [] };
+        }
+        if (is('(')) {
+            next();
+            return nested(1, () => {
+                const expression = parseExpression();
+                expect(')');
+                return { type: 'parens', expression };
+            });
+        }
+        if (is('[')) return parseTuple();
+        if (is('{')) return parseObject();
+        return fail(token, `Expected an expression, found ${describe(token)}`);
+    };
+
+    const parseCall = (name) =>
+        nested(1, () => {
+            expect('(');
+            const args = [];
+            let expandFinal = false;
+            while (!is(')')) {
+                args.push(parseExpression());
+                if (is('...')) {
+                    next();
+                    expandFinal = true;
+                }
+                if (!is(')')) expect(',');
+            }
+            expect(')');
+            return { type: 'call', name, args, expandFinal };
+        });
+
+    const parseFor = (kind) => {
+        next();
+        let keyVar = null;
+        let valueVar = expectIdent();
+        if (is(',')) {
+            next();
+            keyVar = valueVar;
+            valueVar = expectIdent();
+        }
+        if (!isKeyword('in')) fail(peek(), `Expected 'in', found ${describe(peek())}`);
+        next();
+        const collection = parseExpression();
+        expect(':');
+        let key = null;
+        if (kind === 'object') {
+            key = parseExpression();
+            expect('=>');
+        }
+        const value = parseExpression();
+        let grouping = false;
+        if (kind === 'object' && is('...')) {
+            next();
+            grouping = true;
+        }
+        let condition = null;
+        if (isKeyword('if')) {
+            next();
+            condition = parseExpression();
+        }
+        expect(kind === 'tuple' ? ']' : '}');
+        return { type: 'for', kind, keyVar, valueVar, collection, key, value, grouping, condition };
+    };
+
+    const parseTuple = () =>
+        nested(1, () => {
+            expect('[');
+            if (isKeyword('for')) return parseFor('tuple');
+            const items = [];
+            while (!is(']')) {
+                items.push(parseExpression());
+                if (!is(']')) expect(',');
+            }
+            expect(']');
+            return { type: 'tuple', items };
+        });
+
+    const parseObject = () =>
+        nested(1, () => {
+            expect('{');
+            if (isKeyword('for')) return parseFor('object');
+            const items = [];
+            while (!is('}')) {
+                let key = parseExpression();
+                // A bare name as key is a literal, not a reference
+                if (key.type === 'traversal' && key.steps.length === 0) key = { type: 'literal', value: key.root };
+                if (!is('=') && !is(':')) fail(peek(), `Expected '=' or ':' after object key, found ${describe(peek())}`);
+                next();
+                items.push({ key, value: parseExpression() });
+                if (is(',')) next();
+            }
+            expect('}');
+            return { type: 'object', items };
+        });
+
+    const parseHeredoc = (token) => {
+        const lines = token.value.split('\n').slice(1, -1);
+        let content = lines.map((line) => line.replace(/\r$/, ''));
+        if (token.indent) {
+            const indents = content.filter((line) => line.trim()).map((line) => line.match(/^[ \t]*/)[0].length);
+            const strip = indents.length ? Math.min(...indents) : 0;
+            content = content.map((line) => line.slice(strip));
+        }
+        return parseTemplate(content.map((line) => `${line}\n`).join(''), token.line + 1, true);
+    };
+
+    // Split a template into literal text, ${ interpolations } and %{ directives }
+    const parseTemplate = (content, line, heredoc) => {
+        const parts = [];
+        let literal = '';
+        const flush = () => {
+            if (literal) parts.push({ type: 'literal', value: literal });
+            literal = '';
+        };
+        const lineAt = (offset) => line + (content.slice(0, offset).match(/\n/g) || []).length;
+
+        for (let i = 0; i < content.length; ) {
+            const char = content[i];
+            if (!heredoc && char === '\\') {
+                const escape = content[i + 1];
+                if (escape === 'u' || escape === 'U') {
+                    const length = escape === 'u' ? 4 : 8;
+                    literal += String.fromCodePoint(parseInt(content.slice(i + 2, i + 2 + length), 16));
+                    i += 2 + length;
+                } else {
+                    literal += escapes[escape] ?? escape;
+                    i += 2;
+                }
+            } else if ((char === '$' || char === '%') && content[i + 1] === char && content[i + 2] === '{') {
+                literal += `${char}{`;
+                i += 3;
+            } else if ((char === '$' || char === '%') && content[i + 1] === '{') {
+                const end = findClosingBrace(content, i + 2);
+                if (end === -1) throw new HclSyntaxError('Unterminated template interpolation', lineAt(i), 1);
+                const inner = content.slice(i + 2, end).replace(/^~/, '').replace(/~$/, '');
+                flush();
+                if (char === '$') {
+                    parts.push({ type: 'interpolation', expression: parseExpressionSource(inner, lineAt(i)) });
+                } else {
+                    parts.push(parseDirective(inner, lineAt(i)));
+                }
+                i = end + 1;
+            } else {
+                literal += char;
+                i++;
+            }
+        }
+        flush();
+        return { type: 'template', parts };
+    };
+
+    const parseDirective = (text, directiveLine) => {
+        const forMatch = /^\s*for\s+([A-Za-z_][\w-]*)(?:\s*,\s*([A-Za-z_][\w-]*))?\s+in\s+([\s\S]*)$/.exec(text);
+        if (forMatch) {
+            const [, first, second, collection] = forMatch;
+            return {
+                type: 'directive',
+                keyword: 'for',
+                keyVar: second ? first : null,
+                valueVar: second || first,
+                expression: parseExpressionSource(collection, directiveLine),
+            };
+        }
+        const ifMatch = /^\s*if\s+([\s\S]*)$/.exec(text);
+        if (ifMatch) return { type: 'directive', keyword: 'if', expression: parseExpressionSource(ifMatch[1], directiveLine) };
+        const keyword = text.trim();
+        if (['else', 'endif', 'endfor'].includes(keyword)) return { type: 'directive', keyword };
+        throw new HclSyntaxError(`Unknown template directive '${keyword}'`, directiveLine, 1);
+    };
+
+    const parseBody = (isNested) => {
+        const body = { attributes: [], blocks: [] };
+        const seen = new Set();
+
+        for (;;) {
+            const token = peek();
+            if (token.type === 'newline') {
+                next();
+                continue;
+            }
+            if (token.type === 'eof') {
+                if (isNested) fail(token, "Missing '}' to close block");
+                return body;
+            }
+            if (token.value === '}' && token.type === 'punct') {
+                if (!isNested) fail(token, "Unexpected '}'");
+                return body;
+            }
+            if (token.type !== 'ident') fail(token, `Expected an attribute or block, found ${describe(token)}`);
+
+            next();
+            if (is('=')) {
+                next();
+                if (seen.has(token.value)) fail(token, `Duplicate attribute '${token.value}'`);
+                seen.add(token.value);
+                const first = peek();
+                const value = parseExpression();
+                const last = previous();
+                body.attributes.push({
+                    name: token.value,
+                    expression: source.slice(first.start, last.end),
+                    value,
+                    line: token.line,
+                    start: token.start,
+                    end: last.end,
+                });
+            } else {
+                const labels = [];
+                while (peek().type === 'string' || peek().type === 'ident') labels.push(unquote(next().value));
+                if (!is('{')) fail(peek(), `Expected '{' after block '${token.value}', found ${describe(peek())}`);
+                next();
+                const inner = parseBody(true);
+                const close = next();
+                body.blocks.push({
+                    type: token.value,
+                    labels,
+                    body: inner,
+                    line: token.line,
+                    endLine: close.line,
+                    start: token.start,
+                    end: close.end,
+                });
+            }
+
+            const after = peek();
+            if (after.type !== 'newline' && after.type !== 'eof' && after.value !== '}') {
+                fail(after, `Expected a newline, found ${describe(after)}`);
+            }
+        }
+    };
+
+    return { parseBody, parseExpression, peek, fail, describe };
+}
+
+// Parse a standalone expression, e.g. the inside of a template interpolation
+export function parseExpressionSource(text, line = 1) {
+    const parser = createParser(text, tokenize(text, { line }), { newlineDepth: 1 });
+    const expression = parser.parseExpression();
+    const rest = parser.peek();
+    if (rest.type !== 'eof') parser.fail(rest, `Unexpected ${parser.describe(rest)} after expression`);
+    return expression;
+}
+
+// Parse a file into { attributes, blocks }. Blocks are { type, labels, body, line, endLine, start, end };
+// attributes are { name, expression (source text), value (expression AST), line, start, end }.
+export function parse(source) {
+    return createParser(source, tokenize(source)).parseBody(false);
+}
+
+// Visit every expression node below `expression`; `visit` gets (node, boundNames)
+export function walk(expression, visit, bound = new Set()) {
+    if (!expression) return;
+    visit(expression, bound);
+    const recurse = (child, names = bound) => walk(child, visit, names);
+
+    switch (expression.type) {
+        case 'template': {
+            // %{ for } directives bind their names until the matching %{ endfor }
+            const scopes = [bound];
+            for (const part of expression.parts) {
+                const scope = scopes[scopes.length - 1];
+                if (part.type === 'interpolation' || (part.type === 'directive' && part.expression)) recurse(part.expression, scope);
+                if (part.keyword === 'for') scopes.push(new Set([...scope, part.valueVar, ...(part.keyVar ? [part.keyVar] : [])]));
+                if (part.keyword === 'endfor' && scopes.length > 1) scopes.pop();
+            }
+            break;
+        }
+        case 'traversal':
+        case 'relative':
+            recurse(expression.object);
+            for (const step of expression.steps) if (step.type === 'index') recurse(step.key);
+            break;
+        case 'call':
+            expression.args.forEach((arg) => recurse(arg));
+            break;
+        case 'tuple':
+            expression.items.forEach((item) => recurse(item));
+            break;
+        case 'object':
+            expression.items.forEach((item) => {
+                recurse(item.key);
+                recurse(item.value);
+            });
+            break;
+        case 'for': {
+            recurse(expression.collection);
+            const inner = new Set([...bound, expression.valueVar, ...(expression.keyVar ? [expression.keyVar] : [])]);
+            [expression.key, expression.value, expression.condition].forEach((child) => recurse(child, inner));
+            break;
+        }
+        case 'conditional':
+            [expression.condition, expression.trueResult, expression.falseResult].forEach((child) => recurse(child));
+            break;
+        case 'binary':
+            recurse(expression.left);
+            recurse(expression.right);
+            break;
+        case 'unary':
+            recurse(expression.operand);
+            break;
+        case 'parens':
+            recurse(expression.expression);
+            break;
+    }
+}
+
+// Traversals (var.x, aws_vpc.main.id, ...) used by an expression, minus names bound by `for`
+export function references(expression) {
+    const found = [];
+    walk(expression, (node, bound) => {
+        if (node.type === 'traversal' && !bound.has(node.root)) found.push(node);
+    });
+    return found;
+}
+
+// The JavaScript value of a constant expression, or undefined when it depends on anything else
+export function literalValue(expression) {
+    if (!expression) return undefined;
+    switch (expression.type) {
+        case 'literal':
+            return expression.value;
+        case 'template':
+            return expression.parts.every((part) => part.type === 'literal')
+                ? expression.parts.map((part) => part.value).join('')
+                : undefined;
+        case 'parens':
+            return literalValue(expression.expression);
+        case 'unary': {
+            const operand = literalValue(expression.operand);
+            if (operand === undefined) return undefined;
+            return expression.operator === '-' ? -operand : !operand;
+        }
+        case 'tuple': {
+            const items = expression.items.map(literalValue);
+            return items.includes(undefined) ? undefined : items;
+        }
+        case 'object': {
+            const result = {};
+            for (const item of expression.items) {
+                const key = literalValue(item.key);
+                const value = literalValue(item.value);
+                if (key === undefined || value === undefined) return undefined;
+                result[key] = value;
+            }
+            return result;
+        }
+        default:
+            return undefined;
+    }
+}
+
+// Top-level declarations keyed the way Terraform addresses them (resource.aws_s3_bucket.logs, var.region, ...)
+export function listDeclarations(body) {
+    const prefixes = { variable: 'var', output: 'output', module: 'module', data: 'data', resource: '' };
+    return body.blocks
+        .filter((block) => block.type in prefixes && block.labels.length > 0)
+        .map((block) => [prefixes[block.type], ...block.labels].filter(Boolean).join('.'));
+}
@@ -0,0 +1,133 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Refactor goals. A run combines one or more profiles into a single prompt; projects add their
+// own profiles and house style guides in .ta/project.json:
+//   "refactor": {
+//     "profiles": { "<name>": { "description": "...", "instructions": "..." | "file": "docs/x.md" } },
+//     "styleGuides": ["docs/terraform-style.md"],
+//     "defaultProfiles": ["readability", "tagging"]
+//   }
+// Files are relative to the project. A project profile replaces a built-in one of the same name.
+// The `refactor` section of a .tarc file (already checked, with absolute paths) holds the same
+// settings and wins over .ta/project.json: its profiles are added by name, its lists replace.
+
+export const builtinProfiles = {
+    'best-practices': {
+        description: 'Readability, performance and best practices',
+        instructions: 'Improve readability, performance and adherence to Terraform best practices.',
+    },
+    readability: {
+        description: 'Formatting, naming, ordering and comments only',
+        instructions:
+            'Improve readability only: consistent formatting and argument order, clear names, short comments where intent is not obvious. Do not change what any resource does.',
+    },
+    tagging: {
+        description: 'Standardize resource tags',
+        instructions:
+            'Standardize tagging: every taggable resource gets its tags from one common map (a `tags` variable or local merged with resource-specific tags such as Name), using the same keys and casing throughout. Keep existing tag values.',
+    },
+    variables: {
+        description: 'Extract hard-coded values into variables',
+        instructions:
+            'Extract hard-coded values that differ between environments or deployments (regions, CIDR blocks, instance sizes, names, counts) into variables with a type, a description and, where the current value is a sensible default, that default. Reference variables already declared in the project instead of declaring them again.',
+    },
+    modules: {
+        description: 'Collapse repetition and mark module candidates',
+        instructions:
+            'Remove repetition: collapse resources that differ only in a few values with for_each, count or dynamic blocks, and use the local modules shown for reference where they already cover a group of resources. Add a `# module candidate: <name>` comment above groups of resources that belong in a module of their own.',
+    },
+    'aws-upgrade': {
+        description: 'Replace deprecated AWS provider arguments (provider v4/v5)',
+        instructions:
+            'Upgrade deprecated AWS provider usage to the current provider: move inline aws_s3_bucket arguments (acl, versioning, server_side_encryption_configuration, website, logging, lifecycle_rule, policy) to their own aws_s3_bucket_* resources, `name` to `db_name` on aws_db_instance, `vpc = true` to `domain = "vpc"` on aws_eip, and any other argument the provider documents as deprecated. Keep the resulting infrastructure the same.',
+    },
+    cost: {
+        description: 'Cost optimization',
+        instructions:
+            'Reduce cost without lowering availability or security: gp3 instead of gp2 or io1 volumes where performance allows, S3 lifecycle transitions for data that is rarely read, on-demand billing for rarely used DynamoDB tables, shorter log retention where none is set. Mark every cost-driven change with a short comment.',
+    },
+};
+
+export const defaultProfiles = ['best-practices'];
+
+const projectFile = path.join('.ta', 'project.json');
+
+function configProblem(config) {
+    if (typeof config !== 'object' || Array.isArray(config)) return 'refactor must be an object';
+    const { profiles = {}, styleGuides = [], defaultProfiles: defaults = [] } = config;
+    if (typeof profiles !== 'object' || Array.isArray(profiles)) return 'refactor.profiles must be an object';
+    for (const [name, profile] of Object.entries(profiles)) {
+        if (!/^[\w.-]+$/.test(name)) return `profile name '${name}' must be a word (letters, digits, . _ -)`;
+        if (!profile || typeof profile !== 'object') return `profile ${name} must be an object`;
+        if (typeof profile.instructions !== 'string' && typeof profile.file !== 'string') return `profile ${name} needs instructions or file`;
+    }
+    if (!Array.isArray(styleGuides) || styleGuides.some((file) => typeof file !== 'string')) return 'refactor.styleGuides must be a list of files';
+    if (!Array.isArray(defaults) || defaults.some((name) => typeof name !== 'string')) return 'refactor.defaultProfiles must be a list of profile names';
+    return null;
+}
+
+async function readProjectFile(dir, file, what, source) {
+    try {
+        return (await fs.readFile(path.resolve(dir, file), 'utf8')).trim();
+    } catch (error) {
+        throw new Error(`Cannot read ${what} ${file} (from ${source}): ${error.message}`);
+    }
+}
+
+// Built-in and project profiles, the project's style guides and default selection for `dir`.
+// `settings` is the refactor section of the .tarc settings.
+// Resolves to { profiles: { name: { description, instructions, source } }, styleGuides: [{ path, content }], defaults }.
+export async function loadProfiles(dir, settings = {}) {
+    const text = await fs.readFile(path.join(dir, projectFile), 'utf8').catch(() => null);
+    let config = {};
+    if (text !== null) {
+        try {
+            config = JSON.parse(text).refactor || {};
+        } catch (error) {
+            throw new Error(`Invalid ${projectFile}: ${error.message}`);
+        }
+    }
+    const problem = configProblem(config);
+    if (problem) throw new Error(`Invalid ${projectFile}: ${problem}.`);
+
+    const profiles = Object.fromEntries(Object.entries(builtinProfiles).map(([name, profile]) => [name, { ...profile, source: 'built-in' }]));
+    const ownProfiles = [
+        ...Object.entries(config.profiles || {}).map(([name, profile]) => [name, profile, projectFile]),
+        ...Object.entries(settings.profiles || {}).map(([name, profile]) => [name, profile, '.tarc']),
+    ];
+    for (const [name, profile, source] of ownProfiles) {
+        profiles[name] = {
+            description: profile.description || name,
+            instructions: profile.instructions ?? (await readProjectFile(dir, profile.file, `instructions of profile ${name}:`, source)),
+            source,
+        };
+    }
+
+    const styleGuides = [];
+    const guideSource = settings.styleGuides ? '.tarc' : projectFile;
+    for (const file of settings.styleGuides || config.styleGuides || []) {
+        const shown = path.isAbsolute(file) ? path.relative(dir, file).split(path.sep).join('/') : file;
+        styleGuides.push({ path: shown, content: await readProjectFile(dir, file, 'style guide', guideSource) });
+    }
+
+    const chosen = settings.defaultProfiles || config.defaultProfiles;
+    const defaults = chosen?.length ? chosen : defaultProfiles;
+    return { profiles, styleGuides, defaults: selectProfiles(profiles, defaults) };
+}
+
+// Check a selection (names, or a comma separated string) against the available profiles
+export function selectProfiles(profiles, names) {
+    const selected = (typeof names === 'string' ? names.split(',') : names).map((name) => name.trim()).filter(Boolean);
+    const unknown = selected.find((name) => !profiles[name]);
+    if (unknown) throw new Error(`Unknown refactor profile '${unknown}'. Available: ${Object.keys(profiles).join(', ')}.`);
+    if (selected.length === 0) throw new Error('Choose at least one refactor profile.');
+    return [...new Set(selected)];
+}
+
+// One prompt for the selected profiles and the project's style guides
+export function buildPrompt(profiles, selected, styleGuides = []) {
+    const goals = selected.map((name) => `- ${profiles[name].instructions}`).join('\n');
+    const guides = styleGuides.map((guide) => `\n\nFollow the house style guide (${guide.path}):\n${guide.content}`).join('');
+    return `Refactor this Terraform code with these goals:\n${goals}${guides}\n\nKeep every resource, data source, variable, output and module it declares (renaming is fine). Respond with only the fixed code.`;
+}
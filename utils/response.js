@@ -0,0 +1,117 @@
+import { parse, listDeclarations } from './hcl.js';
+import { compareTerraform, renderMovedBlocks } from './semantic.js';
+
+export class InvalidSuggestionError extends Error {
+    constructor(problems) {
+        super(`Suggestion rejected: ${problems.join('; ')}`);
+        this.name = 'InvalidSuggestionError';
+        this.problems = problems;
+    }
+}
+
+// Lines that can open Terraform code: a block header, an attribute or a comment
+const codeStart = /^\s*([A-Za-z_][\w-]*(\s+("[^"]*"|[A-Za-z_][\w-]*))*\s*\{|[A-Za-z_][\w-]*\s*=|#|\/\/|\/\*)/;
+
+// Pull the code out of a model reply: the fenced block when there is one, otherwise
+// everything between the first line that looks like HCL and the last closing brace or attribute.
+export function extractCode(reply) {
+    const text = reply.replace(/\r\n/g, '\n');
+
+    const fences = [...text.matchAll(/^\s*```[\w-]*[ \t]*\n([\s\S]*?)^\s*```[ \t]*$/gm)].map((match) => match[1]);
+    if (fences.length > 0) {
+        return fences.reduce((longest, fence) => (fence.length > longest.length ? fence : longest), '');
+    }
+
+    // Already clean code: keep it as it is, trailing comments included
+    try {
+        if (/^\s*\{/.test(text)) JSON.parse(text);
+        else parse(text);
+        return text;
+    } catch {
+        // fall through to trimming prose
+    }
+
+    const lines = text.split('\n');
+    const first = lines.findIndex((line) => codeStart.test(line));
+    if (first === -1) return '';
+
+    let last = lines.length - 1;
+    while (last > first && !/^\s*(\}|[A-Za-z_][\w-]*\s*=.*|\]|\)|EOT|EOF)\s*$/.test(lines[last])) last--;
+
+    return lines.slice(first, last + 1).join('\n') + '\n';
+}
+
+// Declaration addresses of a Terraform JSON document, like listDeclarations for HCL. Each block
+// kind maps labels to bodies, as an object or a list of objects.
+function listJsonDeclarations(document) {
+    const prefixes = { variable: 'var', output: 'output', module: 'module', data: 'data', resource: '' };
+    const objects = (value) => [].concat(value ?? []).filter((item) => item && typeof item === 'object');
+    const labels = (value, depth) =>
+        depth === 0 ? [[]] : objects(value).flatMap((item) => Object.entries(item).flatMap(([label, inner]) => labels(inner, depth - 1).map((rest) => [label, ...rest])));
+
+    return objects(document).flatMap((item) =>
+        Object.entries(item)
+            .filter(([kind]) => kind in prefixes)
+            .flatMap(([kind, value]) => labels(value, kind === 'resource' || kind === 'data' ? 2 : 1).map((parts) => [prefixes[kind], ...parts].filter(Boolean).join('.')))
+    );
+}
+
+// Clean up a raw model reply and check it is safe to offer: it must parse as HCL and keep
+// every resource, data source, variable, output and module the original declared. Renamed
+// resources and modules are allowed and get `moved {}` blocks appended.
+// Returns { code, comparison } (comparison is null when the original cannot be parsed)
+// or throws InvalidSuggestionError.
+export function processSuggestion(original, reply, filePath = '') {
+    let code = extractCode(reply);
+    if (!code.trim()) throw new InvalidSuggestionError(['the reply contains no Terraform code']);
+
+    if (filePath.endsWith('.json')) {
+        let document;
+        try {
+            document = JSON.parse(code);
+        } catch (error) {
+            throw new InvalidSuggestionError([`invalid JSON: ${error.message}`]);
+        }
+        if (filePath.endsWith('.tf.json')) {
+            let before;
+            try {
+                before = listJsonDeclarations(JSON.parse(original));
+            } catch {
+                return { code, comparison: null };
+            }
+            // No rename detection for JSON: every declaration must keep its address
+            const after = new Set(listJsonDeclarations(document));
+            const missing = before.filter((address) => !after.has(address));
+            if (missing.length > 0) throw new InvalidSuggestionError(missing.map((address) => `'${address}' was removed or renamed`));
+        }
+        return { code, comparison: null };
+    }
+
+    let suggested;
+    try {
+        suggested = parse(code);
+    } catch (error) {
+        throw new InvalidSuggestionError([`invalid HCL: ${error.message}`]);
+    }
+
+    let before;
+    try {
+        before = listDeclarations(parse(original));
+    } catch {
+        // The original does not parse either; nothing to compare against
+        return { code, comparison: null };
+    }
+
+    const comparison = compareTerraform(original, code);
+    const renamed = new Set(comparison.renames.map((rename) => rename.from));
+    const after = new Set(listDeclarations(suggested));
+    const missing = before.filter((address) => !after.has(address) && !renamed.has(address));
+    if (missing.length > 0) {
+        throw new InvalidSuggestionError(missing.map((address) => `'${address}' was removed or renamed`));
+    }
+
+    const moved = renderMovedBlocks(comparison.moved, code);
+    if (moved) code = `${code.replace(/\n*$/, '\n')}\n${moved}`;
+
+    return { code, comparison };
+}
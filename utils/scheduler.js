@@ -0,0 +1,29 @@
+// Bounded-concurrency work queue for provider requests
+
+// Run `worker(item, index)` over `items` with at most `concurrency` running at once and resolve
+// to the results in input order. `onProgress({ done, total, running, item, result })` is called
+// as each item finishes. Once `stop(result)` is true no new items start; those left resolve to
+// undefined. `worker` should not throw: a rejection rejects the whole run.
+export async function runScheduled(items, worker, { concurrency = 4, onProgress, stop } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+    let done = 0;
+    let running = 0;
+    let stopped = false;
+
+    const lane = async () => {
+        while (!stopped && next < items.length) {
+            const index = next++;
+            running++;
+            const result = await worker(items[index], index);
+            running--;
+            done++;
+            results[index] = result;
+            if (stop && stop(result)) stopped = true;
+            if (onProgress) onProgress({ done, total: items.length, running, item: items[index], result });
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane));
+    return results;
+}
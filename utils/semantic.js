@@ -0,0 +1,215 @@
+import { parse, tokenize } from './hcl.js';
+
+// Structural comparison of an original Terraform file and a suggested rewrite.
+// Classifies the rewrite as cosmetic (same infrastructure), additive (only adds things), modified
+// (changes tags, or values of variables, outputs, modules and other non-resource objects) or
+// destructive (removes resources or blocks, changes or removes resource arguments, which may force
+// a replacement, changes count/for_each, or breaks interfaces), and turns resource and module
+// renames into `moved {}` blocks so they do not force a destroy/recreate.
+
+// Whitespace, newlines, commas and comments do not change the meaning of an expression
+function normalize(expression) {
+    try {
+        return tokenize(expression)
+            .filter((token) => token.type !== 'newline' && token.type !== 'eof' && token.value !== ',')
+            .reduce((text, token) => (/\w$/.test(text) && /^\w/.test(token.value) ? `${text} ${token.value}` : text + token.value), '');
+    } catch {
+        return expression.replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Stands for a nested block in the flattened attributes, so removed and added blocks show up
+const blockMarker = '{block}';
+
+function flatten(body, prefix = '', out = new Map()) {
+    for (const attribute of body.attributes) out.set(`${prefix}${attribute.name}`, normalize(attribute.expression));
+
+    const counts = {};
+    for (const block of body.blocks) {
+        const name = [block.type, ...block.labels].join('.');
+        counts[name] = (counts[name] ?? -1) + 1;
+        const key = `${prefix}${name}[${counts[name]}]`;
+        out.set(key, blockMarker);
+        flatten(block.body, `${key}.`, out);
+    }
+    return out;
+}
+
+// Keys of the nested blocks a flattened key sits in
+function enclosingBlocks(key) {
+    const blocks = [];
+    for (let index = key.indexOf('].'); index !== -1; index = key.indexOf('].', index + 1)) blocks.push(key.slice(0, index + 1));
+    return blocks;
+}
+
+// Index the top-level declarations of a file by Terraform address
+function declarations(body) {
+    const result = new Map();
+    const add = (address, kind, type, attributes) => result.set(address, { address, kind, type, attributes });
+
+    for (const block of body.blocks) {
+        const [first, second] = block.labels;
+        switch (block.type) {
+            case 'resource':
+                add(`${first}.${second}`, 'resource', first, flatten(block.body));
+                break;
+            case 'data':
+                add(`data.${first}.${second}`, 'data', first, flatten(block.body));
+                break;
+            case 'module':
+                add(`module.${first}`, 'module', 'module', flatten(block.body));
+                break;
+            case 'variable':
+                add(`var.${first}`, 'variable', 'variable', flatten(block.body));
+                break;
+            case 'output':
+                add(`output.${first}`, 'output', 'output', flatten(block.body));
+                break;
+            case 'locals':
+                for (const attribute of block.body.attributes) {
+                    add(`local.${attribute.name}`, 'local', 'local', new Map([['value', normalize(attribute.expression)]]));
+                }
+                break;
+            case 'moved':
+            case 'import':
+            case 'removed':
+                // State bookkeeping, not infrastructure
+                break;
+            default: {
+                const alias = block.type === 'provider' && block.body.attributes.find((attribute) => attribute.name === 'alias');
+                const address = [block.type, ...block.labels, alias ? normalize(alias.expression) : null].filter(Boolean).join('.');
+                add(address, block.type, block.type, flatten(block.body));
+            }
+        }
+    }
+    return result;
+}
+
+// Rewrite references to renamed objects so that dependent attributes still compare equal
+function substitute(value, renames) {
+    return renames.reduce((text, { from, to }) => {
+        const pattern = new RegExp(`(?<![\\w.-])${from.replace(/\./g, '\\.')}(?![\\w-])`, 'g');
+        return text.replace(pattern, to);
+    }, value);
+}
+
+function sameAttributes(before, after, renames) {
+    if (before.size !== after.size) return false;
+    for (const [key, value] of before) {
+        if (substitute(value, renames) !== after.get(key)) return false;
+    }
+    return true;
+}
+
+const movable = new Set(['resource', 'module', 'data']);
+
+// Resource arguments that are always updated in place; any other changed argument may make
+// Terraform replace the resource (engine, name, bucket, ami, availability_zone, cidr_block, ...)
+const inPlace = /^(tags|tags_all|timeouts\[\d+\](\..*)?)$/;
+
+function mayReplace(item, key) {
+    return item.kind === 'resource' && !inPlace.test(key);
+}
+
+export function compareTerraform(originalSource, suggestedSource) {
+    const before = declarations(parse(originalSource));
+    const after = declarations(parse(suggestedSource));
+
+    // Find renames: a removed object with an added twin of the same type and identical attributes.
+    // Repeat until stable because one rename can make a dependent object's attributes match.
+    const renames = [];
+    for (let found = true; found; ) {
+        found = false;
+        const renamedFrom = new Set(renames.map((rename) => rename.from));
+        const renamedTo = new Set(renames.map((rename) => rename.to));
+        const added = [...after.values()].filter((item) => !before.has(item.address) && !renamedTo.has(item.address));
+
+        for (const item of before.values()) {
+            if (after.has(item.address) || renamedFrom.has(item.address) || !movable.has(item.kind)) continue;
+            const twin = added.find(
+                (candidate) =>
+                    candidate.kind === item.kind &&
+                    candidate.type === item.type &&
+                    !renamedTo.has(candidate.address) &&
+                    sameAttributes(item.attributes, candidate.attributes, renames)
+            );
+            if (twin) {
+                renames.push({ from: item.address, to: twin.address, kind: item.kind });
+                renamedTo.add(twin.address);
+                found = true;
+            }
+        }
+    }
+
+    const changes = [];
+    const record = (impact, address, detail) => changes.push({ impact, address, detail });
+    const renamedTo = new Map(renames.map((rename) => [rename.from, rename.to]));
+    const matched = new Set();
+
+    for (const item of before.values()) {
+        const target = renamedTo.get(item.address) || item.address;
+        const counterpart = after.get(target);
+
+        if (!counterpart) {
+            record('destructive', item.address, `${item.kind} removed`);
+            continue;
+        }
+        matched.add(target);
+        if (target !== item.address) record('cosmetic', item.address, `renamed to ${target}`);
+
+        for (const [key, value] of item.attributes) {
+            if (!counterpart.attributes.has(key)) {
+                // Attributes of a removed block are covered by the block's own entry
+                if (enclosingBlocks(key).some((block) => !counterpart.attributes.has(block))) continue;
+                if (value === blockMarker) record('destructive', target, `block ${key} removed`);
+                else if (mayReplace(item, key)) record('destructive', target, `'${key}' removed, the resource may be replaced`);
+                else record('modified', target, `'${key}' removed`);
+            } else if (substitute(value, renames) !== counterpart.attributes.get(key)) {
+                const change = `'${key}' changed from ${value} to ${counterpart.attributes.get(key)}`;
+                if (key === 'count' || key === 'for_each') record('destructive', target, `'${key}' changed, instances may be destroyed or recreated`);
+                else if (mayReplace(item, key)) record('destructive', target, `${change}, the resource may be replaced`);
+                else record('modified', target, change);
+            }
+        }
+        for (const [key, value] of counterpart.attributes) {
+            if (item.attributes.has(key) || enclosingBlocks(key).some((block) => !item.attributes.has(block))) continue;
+            if (key === 'count' || key === 'for_each') record('destructive', target, `'${key}' added, instance addresses change`);
+            else if (value === blockMarker) record('additive', target, `block ${key} added`);
+            else record('additive', target, `'${key}' added`);
+        }
+    }
+
+    for (const item of after.values()) {
+        if (matched.has(item.address)) continue;
+        if (item.kind === 'variable' && !item.attributes.has('default')) {
+            record('destructive', item.address, 'required variable added, callers must now set it');
+        } else {
+            record('additive', item.address, `${item.kind} added`);
+        }
+    }
+
+    const classification = ['destructive', 'modified', 'additive'].find((impact) => changes.some((change) => change.impact === impact)) || 'cosmetic';
+
+    // Data sources hold no state, so only resources and modules need moved blocks
+    const moved = renames.filter((rename) => rename.kind !== 'data').map(({ from, to }) => ({ from, to }));
+
+    return { classification, changes, renames, moved };
+}
+
+// `moved {}` blocks for renames not already declared in `source`
+export function renderMovedBlocks(moved, source = '') {
+    const existing = new Set();
+    try {
+        for (const block of parse(source).blocks.filter((block) => block.type === 'moved')) {
+            const get = (name) => normalize(block.body.attributes.find((attribute) => attribute.name === name)?.expression || '');
+            existing.add(`${get('from')}->${get('to')}`);
+        }
+    } catch {
+        // Unparseable source: render every block
+    }
+
+    return moved
+        .filter(({ from, to }) => !existing.has(`${from}->${to}`))
+        .map(({ from, to }) => `moved {\n  from = ${from}\n  to   = ${to}\n}\n`)
+        .join('\n');
+}
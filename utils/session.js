@@ -0,0 +1,61 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { contentHash } from './cache.js';
+
+// Refactor sessions: .ta/refactor-session.json in the analyzed directory records the decision for
+// every file as soon as it is made, so an interrupted `optimize` run can be resumed. A file is
+// skipped on resume when its content still matches what was recorded after the decision; failed
+// files are always retried. A session only resumes with the same prompt and provider.
+//   { startedAt, updatedAt, completed, prompt, provider,
+//     files: { "<relative path>": { hash, status, error, comparison, patch, hunks, decisions } } }
+
+export const sessionFile = path.join('.ta', 'refactor-session.json');
+
+export async function readSession(dir) {
+    const text = await fs.readFile(path.join(dir, sessionFile), 'utf8').catch(() => null);
+    if (text === null) return null;
+    try {
+        const session = JSON.parse(text);
+        if (!session.files || typeof session.files !== 'object') throw new Error('expected files');
+        return session;
+    } catch (error) {
+        throw new Error(`Invalid ${sessionFile}: ${error.message}. Delete it to start over.`);
+    }
+}
+
+export function createSession(prompt, provider) {
+    const now = new Date().toISOString();
+    return {
+        startedAt: now,
+        updatedAt: now,
+        completed: false,
+        prompt: contentHash(prompt),
+        provider: provider.identity || provider.name,
+        files: {},
+    };
+}
+
+export function canResume(session, prompt, provider) {
+    return Boolean(session) && !session.completed && session.prompt === contentHash(prompt) && session.provider === (provider.identity || provider.name);
+}
+
+// The recorded decision for `file` when it still applies, else null
+export function reviewedFile(session, file) {
+    const record = session.files[file.relativePath];
+    return record && record.status !== 'failed' && record.hash === contentHash(file.content) ? record : null;
+}
+
+// Written to a temporary file first so an interruption never leaves half a session behind
+export async function saveSession(dir, session) {
+    const file = path.join(dir, sessionFile);
+    session.updatedAt = new Date().toISOString();
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(session, null, 2) + '\n');
+    await fs.rename(`${file}.tmp`, file);
+}
+
+// Record the decision for `file`, hashed as it is now (after any accepted changes), and save
+export async function recordFile(dir, session, file, record) {
+    session.files[file.relativePath] = { hash: contentHash(file.content), ...record };
+    await saveSession(dir, session);
+}